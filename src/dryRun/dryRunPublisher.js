@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const Publisher = require('../publishers/publisher');
+const logger = require('../utils/logger');
+
+class DryRunPublisher extends Publisher {
+  constructor(outputDir) {
+    super();
+    this.outputDir = outputDir;
+  }
+
+  async publish(article, image = null) {
+    try {
+      const leadImage = image
+        ? { url: `file://${image.localPath}`, caption: image.caption }
+        : null;
+      const tags = this.tagsFor(article);
+
+      const articlePath = path.join(this.outputDir, 'article.md');
+      const metadataPath = path.join(this.outputDir, 'article.json');
+
+      fs.writeFileSync(articlePath, article.content);
+      fs.writeFileSync(metadataPath, JSON.stringify({
+        title: article.title,
+        wordCount: article.wordCount,
+        readabilityScore: article.readabilityScore,
+        tags,
+        disclosure: article.disclosure,
+        image: leadImage,
+        metadata: article.metadata
+      }, null, 2));
+
+      logger.info(`Dry run: article written to ${articlePath} instead of publishing`);
+
+      return {
+        success: true,
+        id: path.basename(this.outputDir),
+        url: `file://${articlePath}`,
+        image: leadImage,
+        tags
+      };
+    } catch (error) {
+      logger.error('Dry run publish failed:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async verify(result) {
+    return fs.existsSync(new URL(result.url));
+  }
+}
+
+module.exports = DryRunPublisher;
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const AssetEngine = require('../modules/assetEngine');
+const logger = require('../utils/logger');
+
+class FixtureAssetEngine extends AssetEngine {
+  constructor(fixtures, outputDir) {
+    super();
+    this.fixtures = fixtures;
+    this.outputDir = outputDir;
+
+    // Stand in for the Pexels client with the recorded search response
+    this.client = {
+      photos: {
+        search: async () => this.fixtures.readJson('pexels-search.json')
+      }
+    };
+  }
+
+  async downloadImage(imageUrl, filename) {
+    const imagePath = path.join(this.outputDir, filename);
+
+    // Write a placeholder instead of fetching the image bytes
+    fs.writeFileSync(imagePath, `Dry run placeholder for ${imageUrl}\n`);
+    logger.info(`Dry run: wrote placeholder image for ${imageUrl}`);
+
+    return imagePath;
+  }
+}
+
+module.exports = FixtureAssetEngine;
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures');
+
+class FixtureLoader {
+  constructor(fixturesDir = DEFAULT_FIXTURES_DIR) {
+    this.fixturesDir = fixturesDir;
+  }
+
+  resolve(name) {
+    return path.join(this.fixturesDir, name);
+  }
+
+  readText(name) {
+    const filePath = this.resolve(name);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Fixture not found: ${filePath}`);
+    }
+    return fs.readFileSync(filePath, 'utf8');
+  }
+
+  readJson(name) {
+    return JSON.parse(this.readText(name));
+  }
+}
+
+module.exports = FixtureLoader;
+module.exports.DEFAULT_FIXTURES_DIR = DEFAULT_FIXTURES_DIR;
@@ -0,0 +1,21 @@
+const SourceGrounding = require('../modules/sourceGrounding');
+const logger = require('../utils/logger');
+
+class FixtureSourceGrounding extends SourceGrounding {
+  constructor(fixtures, options) {
+    super(options);
+    this.fixtures = fixtures;
+  }
+
+  async fetch(url) {
+    // https://example.com/a/b -> pages/example.com/a/b.html
+    const { hostname, pathname } = new URL(url);
+    const file = `pages/${hostname}${pathname.replace(/\/$/, '') || '/index'}.html`;
+
+    logger.info(`Dry run: serving saved page ${file}`);
+
+    return { status: 200, data: this.fixtures.readText(file) };
+  }
+}
+
+module.exports = FixtureSourceGrounding;
\ No newline at end of file
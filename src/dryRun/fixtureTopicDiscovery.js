@@ -0,0 +1,44 @@
+const path = require('path');
+const TopicDiscovery = require('../modules/topicDiscovery');
+const logger = require('../utils/logger');
+
+// Recorded responses for each host the sources request, by URL
+const RECORDINGS = {
+  'trends.google.com': { file: () => 'google-trends.xml', json: false },
+  'blog.rust-lang.org': { file: () => 'rust-blog.xml', json: false },
+  'www.reddit.com': { file: () => 'reddit-top.json', json: true },
+  // /v0/topstories.json -> hacker-news/topstories.json, /v0/item/1.json -> hacker-news/item/1.json
+  'hacker-news.firebaseio.com': { file: url => `hacker-news${url.pathname.replace(/^\/v0/, '')}`, json: true }
+};
+
+class FixtureTopicDiscovery extends TopicDiscovery {
+  constructor(llm, fixtures, options, niche) {
+    super(llm, options, niche);
+    this.fixtures = fixtures;
+  }
+
+  async fetch(url) {
+    const parsed = new URL(url);
+    const recording = RECORDINGS[parsed.hostname];
+
+    if (!recording) {
+      throw new Error(`No recorded response for ${url}`);
+    }
+
+    const file = recording.file(parsed);
+    logger.debug(`Dry run: serving ${file} for ${url}`);
+
+    const data = recording.json
+      ? this.fixtures.readJson(file)
+      : this.fixtures.readText(file);
+
+    return { status: 200, data };
+  }
+
+  async readFile(filePath) {
+    // Local topic files are read from the fixtures directory instead of the repository
+    return this.fixtures.readText(path.basename(filePath));
+  }
+}
+
+module.exports = FixtureTopicDiscovery;
\ No newline at end of file
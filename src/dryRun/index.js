@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const FixtureLoader = require('./fixtureLoader');
+const FixtureTopicDiscovery = require('./fixtureTopicDiscovery');
+const FixtureAssetEngine = require('./fixtureAssetEngine');
+const FixtureSourceGrounding = require('./fixtureSourceGrounding');
+const DryRunPublisher = require('./dryRunPublisher');
+const OfflineWarp = require('./offlineWarp');
+const { LlmClient } = require('../llm');
+const MockProvider = require('../llm/mockProvider');
+const ContentGeneration = require('../modules/contentGeneration');
+const FactCheck = require('../modules/factCheck');
+const StyleEditor = require('../modules/styleEditor');
+const QualityGate = require('../modules/qualityGate');
+const { createStateManager } = require('../state');
+const DraftStore = require('../utils/draftStore');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../../dry-run');
+
+function createDryRunComponents(options = {}, { config, niche, prompts }) {
+  const fixtures = new FixtureLoader(options.fixturesDir);
+
+  // Every run gets its own output directory and a throwaway state file
+  const runId = new Date().toISOString().replace(/[:.]/g, '-');
+  const outputDir = path.join(options.outputDir || DEFAULT_OUTPUT_DIR, runId);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  // Every task is answered from the recorded responses, keeping the configured model chains
+  const mock = new MockProvider({
+    responses: fixtures.readJson('openrouter.json'),
+    readFile: name => fixtures.readText(name)
+  });
+  const routes = {};
+  for (const [task, route] of Object.entries(config.llm.tasks)) {
+    routes[task] = { provider: mock, models: route.models && route.models.length > 0 ? route.models : mock.defaultModels };
+  }
+  const llm = new LlmClient(routes, prompts);
+  const styleEditor = StyleEditor.load();
+
+  return {
+    outputDir,
+    stateManager: createStateManager({ ...config.state, file: null }, outputDir),
+    draftStore: new DraftStore(path.join(outputDir, 'drafts')),
+    topicDiscovery: new FixtureTopicDiscovery(llm, fixtures, config.discovery, niche),
+    contentGeneration: new ContentGeneration(llm, niche, styleEditor, new QualityGate(config.quality), config.generation, prompts),
+    sourceGrounding: new FixtureSourceGrounding(fixtures, config.grounding),
+    factCheck: new FactCheck(llm, config.factCheck, styleEditor),
+    assetEngine: new FixtureAssetEngine(fixtures, outputDir),
+    publisher: new DryRunPublisher(outputDir),
+    cloudflareWarp: new OfflineWarp()
+  };
+}
+
+module.exports = { createDryRunComponents };
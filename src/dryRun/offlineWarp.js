@@ -0,0 +1,22 @@
+const logger = require('../utils/logger');
+
+class OfflineWarp {
+  async connect() {
+    logger.info('Dry run: skipping Cloudflare WARP connection');
+    return true;
+  }
+
+  async validateIP() {
+    return true;
+  }
+
+  async disconnect() {
+    return true;
+  }
+
+  isConnected() {
+    return true;
+  }
+}
+
+module.exports = OfflineWarp;
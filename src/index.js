@@ -1,15 +1,33 @@
 const Orchestrator = require('./modules/orchestrator');
 const logger = require('./utils/logger');
 
+function parseArgs(argv) {
+  const fixturesArg = argv.find(arg => arg.startsWith('--fixtures='));
+  
+  return {
+    dryRun: argv.includes('--dry-run') || process.env.ARE_DRY_RUN === 'true',
+    fixturesDir: fixturesArg ? fixturesArg.split('=')[1] : undefined
+  };
+}
+
 async function main() {
   try {
-    const orchestrator = new Orchestrator();
+    const orchestrator = new Orchestrator(parseArgs(process.argv.slice(2)));
     const result = await orchestrator.run();
     
     if (result.success) {
       logger.info('Blogt ARE completed successfully');
       logger.info(`Published article: ${result.url}`);
       process.exit(0);
+    } else if (result.reason === 'state_write_failed') {
+      logger.error(`Blogt ARE published ${result.url} but could not save it to state; mark draft ${result.draftId} published and record it by hand before the next run`);
+      process.exit(1);
+    } else if (result.reason === 'awaiting_review') {
+      logger.info('Blogt ARE completed: drafts are waiting for human review');
+      process.exit(0);
+    } else if (result.reason === 'unresolved_claims') {
+      logger.info(`Blogt ARE completed: draft ${result.draftId} has unverified claims and needs human review`);
+      process.exit(0);
     } else {
       logger.warn(`Blogt ARE completed with status: ${result.reason}`);
       process.exit(1);
@@ -24,4 +42,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { main };
\ No newline at end of file
+module.exports = { main, parseArgs };
\ No newline at end of file
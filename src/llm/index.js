@@ -0,0 +1,59 @@
+const OpenRouterProvider = require('./openRouterProvider');
+const OpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+const LlmClient = require('./llmClient');
+const { LlmError } = require('./llmProvider');
+const PromptLibrary = require('../utils/promptLibrary');
+const { DEFAULTS } = require('../utils/config');
+
+// Provider type -> class; each provider entry in config.llm.providers names one of these
+const PROVIDER_TYPES = {
+  'openrouter': OpenRouterProvider,
+  'openai-compatible': OpenAiCompatibleProvider,
+  'mock': MockProvider
+};
+
+// Retry settings shared by every provider unless the provider entry overrides them
+const RETRY_OPTIONS = ['attemptsPerModel', 'backoffBaseMs', 'backoffMaxMs', 'maxRetryAfterMs'];
+
+function createProvider(options) {
+  const Provider = PROVIDER_TYPES[options.type];
+
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider type "${options.type}". Expected one of: ${Object.keys(PROVIDER_TYPES).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+// Builds only the providers some task is routed to, so an unused provider needs no setup
+function createLlm(config = DEFAULTS.llm, prompts = PromptLibrary.load()) {
+  const retry = {};
+  for (const key of RETRY_OPTIONS) {
+    if (config[key] !== undefined) {
+      retry[key] = config[key];
+    }
+  }
+
+  const providers = {};
+  const routes = {};
+
+  for (const [task, route] of Object.entries(config.tasks)) {
+    const providerConfig = config.providers[route.provider];
+    if (!providerConfig) {
+      throw new Error(`Task "${task}" uses unknown LLM provider "${route.provider}". Expected one of: ${Object.keys(config.providers).join(', ')}`);
+    }
+
+    if (!providers[route.provider]) {
+      providers[route.provider] = createProvider({ ...retry, ...providerConfig });
+    }
+
+    const provider = providers[route.provider];
+    const models = route.models && route.models.length > 0 ? route.models : provider.defaultModels;
+    routes[task] = { provider, models };
+  }
+
+  return new LlmClient(routes, prompts);
+}
+
+module.exports = { createLlm, createProvider, PROVIDER_TYPES, LlmClient, LlmError };
\ No newline at end of file
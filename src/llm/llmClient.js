@@ -0,0 +1,104 @@
+const logger = require('../utils/logger');
+const PromptLibrary = require('../utils/promptLibrary');
+const { parseScoreResponse, parseBatchScoreResponse } = require('../utils/fes2');
+
+const SCORING_ATTEMPTS = 2;
+const DEFAULT_NICHE = 'a technical audience of software developers';
+
+// What the pipeline modules talk to: each task is routed to one provider and its model chain
+class LlmClient {
+  constructor(routes, prompts = PromptLibrary.load()) {
+    this.routes = routes;
+    this.prompts = prompts;
+  }
+
+  routeFor(task) {
+    const route = this.routes[task];
+    if (!route) {
+      throw new Error(`No LLM provider configured for task "${task}". Expected one of: ${Object.keys(this.routes).join(', ')}`);
+    }
+    return route;
+  }
+
+  // { content, model }, with the model that actually answered
+  async generate(prompt, task = 'writing') {
+    const { provider, models } = this.routeFor(task);
+    return provider.generate(prompt, models, task);
+  }
+
+  async generateContent(prompt, task = 'writing') {
+    return (await this.generate(prompt, task)).content;
+  }
+
+  async requestParsed(basePrompt, parse, label, task = 'scoring') {
+    let prompt = basePrompt;
+    let lastError = null;
+    
+    for (let attempt = 1; attempt <= SCORING_ATTEMPTS; attempt++) {
+      let result;
+      let model;
+      try {
+        ({ content: result, model } = await this.generate(prompt, task));
+      } catch (error) {
+        // An outage is not a bad answer: report it as a failed request
+        logger.error(`Request for ${label} failed:`, error.message);
+        return { status: 'request_failed', error: error.message };
+      }
+      
+      try {
+        return { status: 'ok', value: parse(result), attempts: attempt, model };
+      } catch (error) {
+        lastError = error;
+        logger.warn(`Unparseable response for ${label} (attempt ${attempt}/${SCORING_ATTEMPTS}): ${error.message}`);
+        
+        // Ask again with the bad output quoted back so the model can correct itself
+        prompt = this.prompts.render('parse-retry', { prompt: basePrompt, error: error.message, reply: result.substring(0, 500) });
+      }
+    }
+    
+    return { status: 'parse_failed', error: lastError.message, attempts: SCORING_ATTEMPTS };
+  }
+
+  async scoreTopic(topic, nicheContext = DEFAULT_NICHE) {
+    const scoringPrompt = this.prompts.render('score-topic', { topic, niche: nicheContext });
+
+    const result = await this.requestParsed(scoringPrompt, parseScoreResponse, `FES2 "${topic}"`);
+    
+    if (result.status !== 'ok') {
+      return { score: null, status: result.status, error: result.error };
+    }
+    return { ...result.value, status: 'ok', attempts: result.attempts };
+  }
+
+  async scoreTopics(topics, nicheContext = DEFAULT_NICHE) {
+    if (topics.length === 1) {
+      return [await this.scoreTopic(topics[0], nicheContext)];
+    }
+    
+    const batchPrompt = this.prompts.render('score-topics', {
+      topics: topics.map((topic, i) => `${i + 1}. "${topic}"`).join('\n'),
+      niche: nicheContext
+    });
+
+    const result = await this.requestParsed(
+      batchPrompt,
+      text => parseBatchScoreResponse(text, topics),
+      `FES2 batch of ${topics.length}`
+    );
+    
+    if (result.status !== 'ok') {
+      return topics.map(() => ({ score: null, status: result.status, error: result.error }));
+    }
+    
+    // Topics the batch reply skipped or garbled get scored on their own
+    const scores = [];
+    for (let i = 0; i < topics.length; i++) {
+      scores.push(result.value[i]
+        ? { ...result.value[i], status: 'ok', attempts: result.attempts }
+        : await this.scoreTopic(topics[i], nicheContext));
+    }
+    return scores;
+  }
+}
+
+module.exports = LlmClient;
\ No newline at end of file
@@ -0,0 +1,103 @@
+const logger = require('../utils/logger');
+
+// Error kinds worth another attempt on the same model after a pause
+const RETRYABLE = ['timeout', 'rate_limited', 'server_error', 'network', 'empty_response'];
+
+class LlmError extends Error {
+  constructor(kind, message, details = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.kind = kind;
+    this.status = details.status || null;
+    this.model = details.model || null;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+    this.retryable = RETRYABLE.includes(kind);
+  }
+}
+
+// Common contract for every LLM backend:
+//   complete(model, prompt) -> { content, servedBy }, throwing an LlmError when the call fails
+//   defaultModels           -> models to use when a task's route names none
+// generate() walks a model chain on top of complete() and resolves to { content, model }, where
+// model is the one that answered: retryable failures are retried on the same model with
+// exponential backoff (or the server's Retry-After), others move to the next model
+class LlmProvider {
+  constructor(options = {}) {
+    this.options = options;
+    this.attemptsPerModel = options.attemptsPerModel || 3;
+    this.backoffBaseMs = options.backoffBaseMs !== undefined ? options.backoffBaseMs : 1000;
+    this.backoffMaxMs = options.backoffMaxMs || 30000;
+    // A Retry-After longer than this moves on to the next model instead of waiting
+    this.maxRetryAfterMs = options.maxRetryAfterMs || 60000;
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  get defaultModels() {
+    return [];
+  }
+
+  async complete(model, prompt) {
+    throw new Error(`${this.name} does not implement complete()`);
+  }
+
+  async generate(prompt, models, task) {
+    if (!models || models.length === 0) {
+      throw new Error(`No models configured for task "${task}" on ${this.name}`);
+    }
+
+    let lastError = null;
+
+    for (const model of models) {
+      for (let attempt = 1; attempt <= this.attemptsPerModel; attempt++) {
+        try {
+          const { content, servedBy } = await this.complete(model, prompt);
+          logger.info(`${this.name} ${task} response from ${servedBy}${servedBy !== model ? ` (requested ${model})` : ''}, attempt ${attempt}`);
+          return { content, model: servedBy };
+        } catch (error) {
+          lastError = error instanceof LlmError ? error : new LlmError('unknown', error.message, { model });
+
+          // Another model will not fix a rejected key
+          if (lastError.kind === 'auth') {
+            logger.error(`${this.name} rejected the request:`, lastError.message);
+            throw lastError;
+          }
+
+          const delay = this.backoffDelay(lastError, attempt);
+          if (!lastError.retryable || attempt === this.attemptsPerModel || delay === null) {
+            logger.warn(`${this.name} ${model} failed (${lastError.kind}): ${lastError.message}, moving to the next model`);
+            break;
+          }
+
+          logger.warn(`${this.name} ${model} failed (${lastError.kind}): ${lastError.message}, retrying in ${delay}ms`);
+          await this.sleep(delay);
+        }
+      }
+    }
+
+    logger.error(`Every ${task} model on ${this.name} failed:`, lastError.message);
+    throw new LlmError('exhausted', `All ${task} models failed, last error (${lastError.kind}): ${lastError.message}`, {
+      status: lastError.status,
+      model: lastError.model
+    });
+  }
+
+  // Milliseconds to wait before the next attempt, or null when the server asks for longer than we wait
+  backoffDelay(error, attempt) {
+    if (error.retryAfterMs !== null) {
+      return error.retryAfterMs <= this.maxRetryAfterMs ? error.retryAfterMs : null;
+    }
+    const exponential = Math.min(this.backoffBaseMs * 2 ** (attempt - 1), this.backoffMaxMs);
+    // Jitter keeps parallel scoring requests from retrying in lockstep
+    return Math.round(exponential * (0.75 + Math.random() * 0.5));
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = LlmProvider;
+module.exports.LlmError = LlmError;
\ No newline at end of file
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const LlmProvider = require('./llmProvider');
+const logger = require('../utils/logger');
+const { LlmError } = LlmProvider;
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// Deterministic scripted replies: the first entry whose pattern matches the prompt answers it.
+// Entries are { match: <regex source>, response: <string> } or { match, file: <path> }, given
+// inline as "responses" or in a JSON "script" file; files are read relative to the script
+class MockProvider extends LlmProvider {
+  constructor(options = {}) {
+    super(options);
+
+    if (options.responses) {
+      this.responses = options.responses;
+      this.readFile = options.readFile || (name => fs.readFileSync(path.resolve(ROOT_DIR, name), 'utf8'));
+    } else if (options.script) {
+      const scriptPath = path.resolve(ROOT_DIR, options.script);
+      this.responses = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+      this.readFile = name => fs.readFileSync(path.resolve(path.dirname(scriptPath), name), 'utf8');
+    } else {
+      throw new Error(`${this.name} needs "responses" or a "script" file`);
+    }
+  }
+
+  get defaultModels() {
+    return ['mock'];
+  }
+
+  async complete(model, prompt) {
+    const entry = this.responses.find(r => new RegExp(r.match, 'i').test(prompt));
+
+    if (!entry) {
+      throw new LlmError('bad_request', `No scripted response matches prompt: "${prompt.substring(0, 80)}..."`, { model });
+    }
+
+    logger.info(`${this.name}: scripted ${model} response for /${entry.match}/`);
+
+    return { content: entry.file ? this.readFile(entry.file) : entry.response, servedBy: model };
+  }
+}
+
+module.exports = MockProvider;
\ No newline at end of file
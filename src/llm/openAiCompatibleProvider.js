@@ -0,0 +1,113 @@
+const axios = require('axios');
+const LlmProvider = require('./llmProvider');
+const { LlmError } = LlmProvider;
+
+// Any server speaking the OpenAI chat completions API: llama.cpp server, Ollama, vLLM, LM Studio
+class OpenAiCompatibleProvider extends LlmProvider {
+  constructor(options = {}) {
+    super(options);
+    if (!options.baseUrl) {
+      throw new Error(`${this.name} needs a "baseUrl" option, e.g. http://localhost:11434/v1`);
+    }
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    // Local servers usually take no key; apiKeyEnv names the variable holding one if they do
+    this.apiKey = options.apiKeyEnv ? process.env[options.apiKeyEnv] : null;
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.temperature = options.temperature !== undefined ? options.temperature : 0.7;
+    this.maxTokens = options.maxTokens || 4096;
+  }
+
+  async complete(model, prompt) {
+    return this.post(model, prompt, this.apiKey);
+  }
+
+  async post(model, prompt, apiKey) {
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, {
+        model: model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: this.temperature,
+        max_tokens: this.maxTokens
+      }, {
+        timeout: this.timeoutMs,
+        headers: {
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (error) {
+      throw classifyError(error, model);
+    }
+
+    // Some gateways report upstream failures inside a 200 response
+    if (response.data && response.data.error) {
+      const { code, message } = response.data.error;
+      throw classifyStatus(Number(code) || 502, message || 'Upstream error', model, response.headers);
+    }
+
+    const choice = response.data && response.data.choices && response.data.choices[0];
+    const content = choice && choice.message && choice.message.content;
+    if (!content || !content.trim()) {
+      throw new LlmError('empty_response', 'Model returned no content', { model });
+    }
+
+    return { content, servedBy: response.data.model || model };
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function classifyStatus(status, message, model, headers = {}) {
+  const details = { status, model, retryAfterMs: parseRetryAfter(headers['retry-after']) };
+
+  if (status === 429) {
+    return new LlmError('rate_limited', message, details);
+  }
+  if (status === 401 || status === 403) {
+    return new LlmError('auth', message, details);
+  }
+  // Out of credits for this model: a cheaper or free model further down the chain may still answer
+  if (status === 402) {
+    return new LlmError('payment_required', message, details);
+  }
+  if (status === 404 || (status === 400 && /model|endpoint/i.test(message))) {
+    return new LlmError('model_unavailable', message, details);
+  }
+  if (status === 408) {
+    return new LlmError('timeout', message, details);
+  }
+  if (status >= 500) {
+    return new LlmError('server_error', message, details);
+  }
+  return new LlmError('bad_request', message, details);
+}
+
+function classifyError(error, model) {
+  if (error.response) {
+    const body = error.response.data;
+    const message = (body && body.error && (body.error.message || body.error)) || error.message;
+    return classifyStatus(error.response.status, String(message), model, error.response.headers);
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+    return new LlmError('timeout', error.message, { model });
+  }
+  if (error.code || error.request) {
+    return new LlmError('network', error.message, { model });
+  }
+  return new LlmError('unknown', error.message, { model });
+}
+
+module.exports = OpenAiCompatibleProvider;
+module.exports.classifyError = classifyError;
\ No newline at end of file
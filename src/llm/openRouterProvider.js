@@ -0,0 +1,27 @@
+const OpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+const logger = require('../utils/logger');
+
+// OpenRouter with the primary key, switching to the fallback key once the primary is rejected
+class OpenRouterProvider extends OpenAiCompatibleProvider {
+  constructor(options = {}) {
+    super({ baseUrl: 'https://openrouter.ai/api/v1', ...options });
+    this.keys = [process.env.OPENROUTER_KEY_A, process.env.OPENROUTER_KEY_B].filter(Boolean);
+    this.keyIndex = 0;
+  }
+
+  async complete(model, prompt) {
+    try {
+      return await this.post(model, prompt, this.keys[this.keyIndex]);
+    } catch (error) {
+      if (error.kind !== 'auth' || this.keyIndex >= this.keys.length - 1) {
+        throw error;
+      }
+
+      logger.warn(`OpenRouter key rejected (${error.status}), switching to the fallback key`);
+      this.keyIndex++;
+      return this.post(model, prompt, this.keys[this.keyIndex]);
+    }
+  }
+}
+
+module.exports = OpenRouterProvider;
\ No newline at end of file
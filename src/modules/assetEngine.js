@@ -24,6 +24,9 @@ class AssetEngine {
         return {
           url: photo.src.large,
           photographer: photo.photographer,
+          photographerUrl: photo.photographer_url,
+          pexelsUrl: photo.url,
+          alt: photo.alt || topic,
           id: photo.id
         };
       }
@@ -76,8 +79,11 @@ class AssetEngine {
       return {
         localPath: localPath,
         url: imageInfo.url,
+        alt: imageInfo.alt,
         photographer: imageInfo.photographer,
-        attribution: `Photo by ${imageInfo.photographer} from Pexels`
+        attribution: `Photo by ${imageInfo.photographer} from Pexels`,
+        // Markdown caption with the links Pexels asks for in attributions
+        caption: `Photo by [${imageInfo.photographer}](${imageInfo.photographerUrl}) on [Pexels](${imageInfo.pexelsUrl})`
       };
     } catch (error) {
       logger.error('Error getting image for article:', error.message);
@@ -85,15 +91,20 @@ class AssetEngine {
     }
   }
 
-  async uploadToMediumCDN(imagePath) {
-    // In a real implementation, this would use Medium's API
-    // For this demo, we'll simulate the process
-    logger.info(`Simulating upload of ${imagePath} to Medium CDN`);
+  async ensureLocalCopy(image) {
+    // Drafts can be published on a later run or machine where the download is gone
+    if (fs.existsSync(image.localPath)) {
+      return image;
+    }
+    
+    logger.info(`Local image missing, downloading again: ${image.url}`);
+    const localPath = await this.downloadImage(image.url, path.basename(image.localPath));
+    
+    if (!localPath) {
+      throw new Error(`Could not restore article image from ${image.url}`);
+    }
     
-    return {
-      cdnUrl: `https://cdn.medium.com/${Date.now()}-${path.basename(imagePath)}`,
-      success: true
-    };
+    return { ...image, localPath };
   }
 }
 
@@ -1,43 +1,75 @@
-const OpenRouterClient = require('../utils/openrouter');
+const { createLlm } = require('../llm');
+const Niche = require('../utils/niche');
+const StyleEditor = require('./styleEditor');
+const QualityGate = require('./qualityGate');
+const PromptLibrary = require('../utils/promptLibrary');
 const logger = require('../utils/logger');
-const fleschKincaid = require('flesch-kincaid');
+const { parseJsonLoosely } = require('../utils/llmJson');
+const { countText } = require('../utils/readability');
+
+// No part of an article is planned shorter than this
+const MIN_PART_WORDS = 60;
 
 class ContentGeneration {
-  constructor() {
-    this.openrouter = new OpenRouterClient();
+  constructor(llm = createLlm(), niche = Niche.load(), styleEditor = StyleEditor.load(), qualityGate = new QualityGate(), options = {}, prompts = PromptLibrary.load(niche)) {
+    this.llm = llm;
+    this.niche = niche;
+    this.prompts = prompts;
+    // Templates rendered and models that answered for the article being generated, recorded in its metadata
+    this.usage = { prompts: new Set(), models: {} };
+    this.styleEditor = styleEditor;
+    this.qualityGate = qualityGate;
+    this.sectionTolerance = options.sectionTolerance !== undefined ? options.sectionTolerance : 0.3;
+    this.transitions = options.transitions !== false;
   }
 
-  async generateArticle(topic) {
+  async generateArticle(topic, options = {}) {
     try {
-      // Generate content with specific requirements
-      const prompt = this.createContentPrompt(topic);
-      let content = await this.openrouter.generateContent(prompt);
-      
-      // Humanize the content
-      content = this.humanizeContent(content);
+      const grounding = options.grounding || { sources: [], context: null };
+      this.usage = { prompts: new Set(), models: {} };
       
-      // Validate readability
-      const readabilityScore = this.calculateReadability(content);
+      // Plan the article, then write it part by part against the plan
+      const outline = await this.createOutline(topic, options, grounding);
+      let content = await this.writeParts(topic, outline, options, grounding);
+      let styled;
+      let quality;
       
-      if (readabilityScore < 65) {
-        logger.warn(`Readability score too low (${readabilityScore}), regenerating...`);
-        content = await this.regenerateForReadability(topic, content);
+      // Edit, measure and repair until the article meets the spec or runs out of attempts
+      for (let attempt = 1; ; attempt++) {
+        // Apply the house style guide before measuring
+        styled = this.styleEditor.edit(content);
+        content = styled.content;
+        quality = this.qualityGate.check(content, attempt);
+        
+        if (quality.status === 'passed' || attempt >= this.qualityGate.maxAttempts) {
+          break;
+        }
+        
+        logger.warn(`Quality gate failed (attempt ${attempt}/${this.qualityGate.maxAttempts}), repairing: ${quality.failures.join('; ')}`);
+        content = await this.repairArticle(topic, content, quality);
       }
       
-      // Validate length
-      const wordCount = content.split(/\s+/).length;
-      if (wordCount < 1300 || wordCount > 1800) {
-        logger.warn(`Word count out of range (${wordCount}), adjusting...`);
-        content = await this.adjustLength(content, wordCount);
+      if (quality.status === 'failed') {
+        logger.warn(`Article still fails the quality gate after ${quality.attempts} attempts`);
       }
       
+      // Link the pages the article was grounded in
+      content = this.appendReferences(content, grounding.sources);
+      
       return {
-        title: this.extractTitle(content),
+        title: this.extractTitle(content, topic),
         content: content,
-        wordCount: wordCount,
-        readabilityScore: readabilityScore,
+        wordCount: quality.metrics.wordCount,
+        readabilityScore: quality.metrics.readingEase,
+        style: styled.report,
+        quality: quality,
         metadata: {
           topic: topic,
+          pillar: options.pillar || null,
+          outline: outline.parts.map(part => ({ kind: part.kind, heading: part.heading, budget: part.words, words: part.written })),
+          references: grounding.sources.map(source => ({ url: source.url, title: source.title })),
+          prompts: [...this.usage.prompts].map(name => this.prompts.describe(name)),
+          models: this.usage.models,
           generatedAt: new Date().toISOString()
         }
       };
@@ -47,107 +79,214 @@ class ContentGeneration {
     }
   }
 
-  createContentPrompt(topic) {
-    return `Write a comprehensive Medium article about "${topic}". Follow these requirements:
+  // Re-measures an article after later steps (fact check rewrites) have edited its text
+  measureQuality(article) {
+    article.quality = this.qualityGate.check(article.content, article.quality ? article.quality.attempts : 1);
+    article.wordCount = article.quality.metrics.wordCount;
+    article.readabilityScore = article.quality.metrics.readingEase;
+    return article.quality;
+  }
+
+  targetWords() {
+    return Math.round((this.qualityGate.minWords + this.qualityGate.maxWords) / 2);
+  }
+
+  // Renders a template and notes it for the article's metadata
+  prompt(name, variables) {
+    this.usage.prompts.add(name);
+    return this.prompts.render(name, variables);
+  }
+
+  // Model calls that note which model answered each task for the article's metadata
+  async generate(prompt, task) {
+    const { content, model } = await this.llm.generate(prompt, task);
+    this.noteModel(task, model);
+    return content;
+  }
+
+  async requestParsed(prompt, parse, label, task) {
+    const result = await this.llm.requestParsed(prompt, parse, label, task);
+    if (result.status === 'ok') {
+      this.noteModel(task, result.model);
+    }
+    // A reply that could not be parsed was asked for again with the parse-retry template
+    if (result.attempts > 1) {
+      this.usage.prompts.add('parse-retry');
+    }
+    return result;
+  }
+
+  noteModel(task, model) {
+    const models = this.usage.models[task] || (this.usage.models[task] = []);
+    if (!models.includes(model)) {
+      models.push(model);
+    }
+  }
+
+  // Niche, source material and reviewer notes shared by every prompt for one article
+  createBrief(options, grounding) {
+    return this.prompt('brief', {
+      publication: `${this.niche.name}${options.pillar ? ` (${options.pillar})` : ''}`,
+      audience: this.niche.audience,
+      angle: this.niche.angleFor(options.pillar),
+      grounding: this.formatGrounding(grounding),
+      reviewNotes: options.reviewNotes ? `\n${this.prompt('review-notes', { notes: options.reviewNotes })}\n` : ''
+    });
+  }
+
+  async createOutline(topic, options, grounding) {
+    const gate = this.qualityGate;
+    const prompt = this.prompt('outline', {
+      topic,
+      brief: this.createBrief(options, grounding),
+      minSections: gate.minSections,
+      maxSections: gate.maxSections,
+      targetWords: this.targetWords()
+    });
+    
+    const result = await this.requestParsed(prompt, text => parseOutline(text, gate), `outline of "${topic}"`, 'writing');
+    if (result.status !== 'ok') {
+      throw new Error(`Outline ${result.status}: ${result.error}`);
+    }
     
-    1. Length: 1300-1800 words
-    2. Structure: Clear introduction, 3-5 main sections with subheadings, conclusion
-    3. Style: Professional yet conversational, use "you" and "we" to engage reader
-    4. Technical depth: Include specific examples, code snippets if relevant, data points
-    5. Readability: Aim for Flesch-Kincaid score > 65
-    6. Engagement: End with a question or call-to-action
-    7. Formatting: Use Markdown formatting
-    8. Originality: Do not copy from existing sources
+    const outline = planBudgets(result.value, this.targetWords());
+    logger.info(`Outline for "${topic}": ${outline.parts.length} parts, word budgets ${outline.parts.map(part => part.words).join('/')}`);
     
-    Start with an engaging title, then write the full article content. Use variable sentence length and include idiosyncratic transitions between ideas.`;
+    return outline;
   }
 
-  humanizeContent(content) {
-    // Add variable sentence length
-    const sentences = content.split(/[.!?]+/);
-    const humanizedSentences = sentences.map(sentence => {
-      if (Math.random() < 0.2) {
-        // 20% chance to make sentence longer
-        return sentence + `, which means that ${this.generateTransition()}`;
-      }
-      return sentence;
-    });
+  async writeParts(topic, outline, options, grounding) {
+    const written = [];
     
-    // Add technical jargon where appropriate
-    const withJargon = humanizedSentences.map(sentence => {
-      if (Math.random() < 0.15 && sentence.length > 50) {
-        return sentence + ` (${this.generateTechnicalTerm()})`;
+    for (const part of outline.parts) {
+      const prompt = this.createPartPrompt(topic, outline, part, written, options, grounding);
+      let text = cleanPart(await this.generate(prompt, 'writing'));
+      part.written = countProseWords(text);
+      
+      // Length is settled part by part: one resize when a part misses its budget by too much
+      if (Math.abs(part.written - part.words) > part.words * this.sectionTolerance) {
+        logger.warn(`Part "${part.heading}" has ${part.written} words against a budget of ${part.words}, resizing`);
+        text = await this.resizePart(topic, part, text);
+        part.written = countProseWords(text);
       }
-      return sentence;
-    });
+      
+      written.push({ part, text });
+    }
     
-    return withJargon.join('. ');
+    if (this.transitions) {
+      await this.addTransitions(topic, written);
+    }
+    
+    return assemble(outline, written);
   }
 
-  generateTransition() {
-    const transitions = [
-      'has significant implications for the broader ecosystem',
-      'represents a fundamental shift in how we approach this problem',
-      'is particularly relevant when considering the current landscape',
-      'demonstrates the underlying complexity of modern systems',
-      'highlights an often-overlooked aspect of the discussion'
-    ];
-    return transitions[Math.floor(Math.random() * transitions.length)];
+  createPartPrompt(topic, outline, part, written, options, grounding) {
+    const plan = outline.parts
+      .map((p, i) => `${i + 1}. ${p.kind === 'introduction' ? 'Introduction' : `## ${p.heading}`} (${p.words} words): ${p.summary}`)
+      .join('\n');
+    const points = part.points.length > 0 ? `Points to cover:\n${part.points.map(point => `- ${point}`).join('\n')}\n` : '';
+    const closing = part.kind === 'conclusion'
+      ? `\n- End the last paragraph by asking the reader a question${outline.closingQuestion ? `, along the lines of: ${outline.closingQuestion}` : ''}`
+      : '';
+    
+    return this.prompt('article-part', {
+      topic,
+      brief: this.createBrief(options, grounding),
+      title: outline.title,
+      plan,
+      soFar: written.length > 0 ? assemble(outline, written) : '(nothing yet, this part opens the article)',
+      heading: part.heading,
+      summary: part.summary,
+      points,
+      words: part.words,
+      minReadingEase: this.qualityGate.minReadingEase,
+      closing
+    });
   }
 
-  generateTechnicalTerm() {
-    const terms = [
-      'paradigm shift', 'cognitive load', 'asynchronous processing',
-      'declarative approach', 'idempotent operations', 'event-driven architecture'
-    ];
-    return terms[Math.floor(Math.random() * terms.length)];
+  async resizePart(topic, part, text) {
+    const resizePrompt = this.prompt('resize-part', {
+      topic,
+      words: part.words,
+      written: part.written,
+      role: part.kind === 'introduction' ? 'the introduction' : `the section "${part.heading}"`,
+      text
+    });
+    
+    return cleanPart(await this.generate(resizePrompt, 'editing'));
   }
 
-  calculateReadability(text) {
-    try {
-      const result = fleschKincaid(text);
-      return result.score;
-    } catch (error) {
-      logger.error('Readability calculation failed:', error.message);
-      return 60; // Default to borderline acceptable
+  // Bridging sentences for each part after the introduction, in one request. The parts were
+  // written with the article so far in view, so a failed request only costs some polish
+  async addTransitions(topic, written) {
+    const joins = written.slice(1).map((entry, i) => ({
+      entry,
+      before: lastParagraph(written[i].text),
+      after: firstParagraph(entry.text)
+    }));
+    if (joins.length === 0) {
+      return;
+    }
+    
+    const list = joins
+      .map((join, i) => `${i + 1}. Into "${join.entry.part.heading}"\n   Previous part ends: ${join.before}\n   This part starts: ${join.after}`)
+      .join('\n');
+    const prompt = this.prompt('transitions', { topic, joins: list });
+    
+    const headings = joins.map(join => join.entry.part.heading);
+    const result = await this.requestParsed(prompt, text => parseTransitions(text, headings), `transitions for "${topic}"`, 'editing');
+    
+    if (result.status !== 'ok') {
+      logger.warn(`Assembling "${topic}" without transitions: ${result.error}`);
+      return;
     }
+    
+    joins.forEach((join, i) => {
+      if (result.value[i]) {
+        join.entry.text = prependSentence(join.entry.text, result.value[i]);
+      }
+    });
   }
 
-  async regenerateForReadability(topic, originalContent) {
-    const improvementPrompt = `Improve the readability of this article about "${topic}". 
-    Current content: "${originalContent.substring(0, 2000)}..."
-    
-    Requirements:
-    - Maintain all key information and structure
-    - Increase Flesch-Kincaid readability score to > 65
-    - Use simpler words and shorter sentences
-    - Keep professional tone
-    - Maintain 1300-1800 word length
+  formatGrounding({ sources, context }) {
+    if (sources.length === 0 && !context) {
+      return '';
+    }
     
-    Return the improved article:`;
+    const pages = sources.map(source => `[${source.id}] ${source.title} (${source.url})\n${source.text}`).join('\n\n');
     
-    return await this.openrouter.generateContent(improvementPrompt);
+    return `\n${this.prompt('grounding', {
+      sources: pages,
+      note: context ? `\nNote supplied with the topic:\n${context}\n` : ''
+    })}\n`;
   }
 
-  async adjustLength(content, currentWordCount) {
-    if (currentWordCount < 1300) {
-      // Need to expand
-      const expansionPrompt = `Expand this article to 1300-1800 words while maintaining quality:
-      "${content.substring(0, 2000)}..."
-      
-      Add more examples, deeper explanations, and additional relevant sections.`;
-      return await this.openrouter.generateContent(expansionPrompt);
-    } else {
-      // Need to shorten
-      const shorteningPrompt = `Condense this article to 1300-1800 words while preserving key information:
-      "${content.substring(0, 2000)}..."
-      
-      Remove redundancy, simplify explanations, and focus on core value.`;
-      return await this.openrouter.generateContent(shorteningPrompt);
+  appendReferences(content, sources) {
+    if (sources.length === 0) {
+      return content;
     }
+    
+    const links = sources.map(source => `- [${source.title.replace(/[[\]]/g, '')}](${source.url})`).join('\n');
+    return `${content.trimEnd()}\n\n## References\n\n${links}\n`;
   }
 
-  extractTitle(content) {
+  async repairArticle(topic, content, report) {
+    const gate = this.qualityGate;
+    const repairPrompt = this.prompt('repair-article', {
+      topic,
+      failures: report.failures.map(failure => `- ${failure}`).join('\n'),
+      minSections: gate.minSections,
+      maxSections: gate.maxSections,
+      minWords: gate.minWords,
+      maxWords: gate.maxWords,
+      minReadingEase: gate.minReadingEase,
+      content
+    });
+    
+    return await this.generate(repairPrompt, 'editing');
+  }
+
+  extractTitle(content, topic) {
     // Extract title from content (first line or h1)
     const lines = content.split('\n');
     for (const line of lines) {
@@ -164,4 +303,93 @@ class ContentGeneration {
   }
 }
 
-module.exports = ContentGeneration;
\ No newline at end of file
+function parseOutline(text, { minSections, maxSections }) {
+  const parsed = parseJsonLoosely(text);
+  if (!parsed || typeof parsed.title !== 'string' || !Array.isArray(parsed.sections)) {
+    throw new Error('Reply has no "title" and "sections"');
+  }
+  
+  const sections = parsed.sections.filter(section => section && typeof section.heading === 'string' && section.heading.trim());
+  if (sections.length < minSections || sections.length > maxSections) {
+    throw new Error(`Outline has ${sections.length} sections, expected ${minSections}-${maxSections}`);
+  }
+  
+  const part = (kind, heading, entry = {}) => ({
+    kind,
+    heading: heading.replace(/^#+\s*/, '').trim(),
+    summary: typeof entry.summary === 'string' ? entry.summary : '',
+    points: Array.isArray(entry.points) ? entry.points.filter(point => typeof point === 'string') : [],
+    words: Number(entry.words) > 0 ? Number(entry.words) : null
+  });
+  const conclusion = parsed.conclusion || {};
+  
+  return {
+    title: parsed.title.replace(/^#+\s*/, '').trim(),
+    closingQuestion: typeof parsed.closingQuestion === 'string' ? parsed.closingQuestion.trim() : null,
+    parts: [
+      part('introduction', 'Introduction', parsed.introduction),
+      ...sections.map(section => part('section', section.heading, section)),
+      part('conclusion', typeof conclusion.heading === 'string' && conclusion.heading.trim() ? conclusion.heading : 'Conclusion', conclusion)
+    ]
+  };
+}
+
+// Scales the outline's word budgets to the target length; parts without one get an even share
+function planBudgets(outline, targetWords) {
+  const share = Math.round(targetWords / outline.parts.length);
+  const planned = outline.parts.map(part => part.words || share);
+  const total = planned.reduce((sum, words) => sum + words, 0);
+  
+  outline.parts.forEach((part, i) => {
+    part.words = Math.max(Math.round(planned[i] * targetWords / total), MIN_PART_WORDS);
+  });
+  
+  return outline;
+}
+
+function parseTransitions(text, headings) {
+  const parsed = parseJsonLoosely(text);
+  const entries = (Array.isArray(parsed) ? parsed : parsed && parsed.transitions) || [];
+  const valid = entries.filter(entry => entry && typeof entry.sentence === 'string');
+  if (valid.length === 0) {
+    throw new Error('Reply has no "transitions" array');
+  }
+  
+  // Match on the heading first, the model's numbering second
+  return headings.map((heading, i) => {
+    const entry = valid.find(e => typeof e.heading === 'string' && e.heading.trim().toLowerCase() === heading.toLowerCase())
+      || valid.find(e => Number(e.id) === i + 1);
+    return entry ? entry.sentence.trim() : null;
+  });
+}
+
+// A part as the model returned it, minus any heading it repeated
+function cleanPart(text) {
+  return text.trim().replace(/^(#{1,6} .*\n+)+/, '').trim();
+}
+
+function countProseWords(markdown) {
+  return countText(markdown.replace(/^(```|~~~)[\s\S]*?^\1/gm, '')).word;
+}
+
+function firstParagraph(text) {
+  return text.split(/\n\s*\n/)[0].trim();
+}
+
+function lastParagraph(text) {
+  const paragraphs = text.split(/\n\s*\n/);
+  return paragraphs[paragraphs.length - 1].trim();
+}
+
+// Transitions join the opening paragraph, or stand alone before a list or code block
+function prependSentence(text, sentence) {
+  return /^([-*+>#|]|\d+[.)]|```|~~~)/.test(text) ? `${sentence}\n\n${text}` : `${sentence} ${text}`;
+}
+
+function assemble(outline, written) {
+  const parts = written.map(({ part, text }) => (part.kind === 'introduction' ? text : `## ${part.heading}\n\n${text}`));
+  return `${[`# ${outline.title}`, ...parts].join('\n\n')}\n`;
+}
+
+module.exports = ContentGeneration;
+module.exports.parseOutline = parseOutline;
\ No newline at end of file
@@ -0,0 +1,62 @@
+const moment = require('moment');
+const logger = require('../utils/logger');
+const { insertAfterTitle } = require('../utils/markdown');
+
+class Disclosure {
+  constructor(config, adapter) {
+    this.text = config.text;
+    this.placement = config.placement;
+    this.tags = config.tags || {};
+    this.adapter = adapter;
+  }
+
+  renderBlock(text = this.text) {
+    return `> *${text}*`;
+  }
+
+  platformTags() {
+    const tag = this.tags[this.adapter] !== undefined ? this.tags[this.adapter] : this.tags.default;
+    return tag ? [tag] : [];
+  }
+
+  apply(article) {
+    if (this.isDisclosed(article)) {
+      return article;
+    }
+
+    const block = this.renderBlock();
+
+    article.content = this.placement === 'top'
+      ? insertAfterTitle(article.content, block)
+      : `${article.content}\n\n${block}`;
+
+    article.disclosure = {
+      text: this.text,
+      placement: this.placement,
+      tags: this.platformTags(),
+      appliedAt: moment().toISOString()
+    };
+
+    logger.info(`AI disclosure added (${this.placement}) with tags: ${article.disclosure.tags.join(', ') || 'none'}`);
+
+    return article;
+  }
+
+  // The disclosure tags a publisher really applied. Targets may respell tags (Dev.to strips
+  // spaces and case), so they are compared by their letters and digits only
+  appliedTags(disclosure, publishedTags = []) {
+    const normalize = tag => String(tag).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const published = new Set(publishedTags.map(normalize));
+    return disclosure.tags.filter(tag => published.has(normalize(tag)));
+  }
+
+  isDisclosed(article) {
+    return Boolean(
+      article &&
+      article.disclosure &&
+      article.content.includes(this.renderBlock(article.disclosure.text))
+    );
+  }
+}
+
+module.exports = Disclosure;
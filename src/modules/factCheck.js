@@ -0,0 +1,374 @@
+const logger = require('../utils/logger');
+const { parseBlocks } = require('../utils/markdown');
+const { parseJsonLoosely } = require('../utils/llmJson');
+
+const NUMBER_WORDS = 'one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety|hundred|thousand|million|billion|trillion|dozen|half|percent';
+const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December';
+
+// Fact-bearing tokens per claim kind
+const PATTERNS = {
+  number: [
+    /\d(?:[\d,.]*\d)?(?:\s?%|x\b)?/g,
+    new RegExp(`\\b(?:(?:${NUMBER_WORDS})[\\s-]+)*(?:${NUMBER_WORDS})\\b`, 'gi')
+  ],
+  date: [
+    new RegExp(`\\b(?:${MONTHS})(?:\\s+\\d{1,2})?(?:,?\\s+\\d{4})?\\b`, 'g'),
+    /\b(?:19|20)\d{2}\b/g
+  ],
+  quote: [
+    /["“]([^"”]{12,})["”]/g
+  ],
+  // Capitalized or CamelCase names that do not start the sentence
+  product: [
+    /(?<=\s)(?:[A-Z][a-z]*[A-Z0-9][\w.-]*|[A-Z][a-z]{2,}(?:\s+[A-Z][a-z]+)*)/g
+  ]
+};
+
+// Matches too vague to count as facts: "one of", "half the time", capitalized ordinary words
+const IGNORED = {
+  number: new Set(['one', 'half', 'dozen', 'percent']),
+  date: new Set(),
+  quote: new Set(),
+  product: new Set([
+    'API', 'APIs', 'JSON', 'HTTP', 'URL', 'SQL', 'CI', 'CD',
+    'I', 'The', 'A', 'An', 'It', 'We', 'You', 'They', 'This', 'That', 'These', 'Those', 'If', 'When', 'But', 'And', 'Or',
+    'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', ...MONTHS.split('|')
+  ])
+};
+
+const VERDICTS = ['supported', 'unsupported', 'contradicted'];
+
+class FactCheck {
+  constructor(llm, options = {}, styleEditor = null) {
+    this.llm = llm;
+    // Rewritten sentences never went through the article's style pass, so they get its prose rules here
+    this.styleEditor = styleEditor;
+    this.enabled = options.enabled !== false;
+    this.maxClaims = options.maxClaims || 40;
+    // Templates rendered for the article being checked, added to its metadata
+    this.usage = new Set();
+  }
+
+  // Checks the article's claims against the grounding sources, rewriting or removing the
+  // unsupported ones in article.content, and returns the claim report
+  async check(article, grounding = { sources: [] }) {
+    const sources = grounding.sources || [];
+    const report = {
+      checkedAt: new Date().toISOString(),
+      status: 'passed',
+      sources: sources.map(source => source.url),
+      claims: [],
+      summary: { total: 0, supported: 0, rewritten: 0, removed: 0, unresolved: 0 }
+    };
+
+    if (!this.enabled) {
+      report.status = 'skipped';
+      return report;
+    }
+
+    const claims = extractClaims(article.content).slice(0, this.maxClaims);
+    report.claims = claims;
+    this.usage = new Set();
+
+    try {
+      await this.verify(claims, sources);
+
+      const flagged = claims.filter(claim => claim.verdict !== 'supported');
+      for (const claim of claims.filter(c => c.verdict === 'supported')) {
+        claim.action = 'kept';
+      }
+
+      if (flagged.length > 0) {
+        await this.rewrite(article, flagged, sources);
+      }
+    } catch (error) {
+      // An unchecked article is never treated as a checked one
+      logger.error('Fact check failed:', error.message);
+      report.status = 'unchecked';
+      report.error = error.message;
+      return report;
+    } finally {
+      this.recordPrompts(article);
+    }
+
+    for (const claim of claims) {
+      if (claim.verdict === 'supported' && claim.action === 'kept') report.summary.supported++;
+      if (claim.action === 'rewritten') report.summary.rewritten++;
+      if (claim.action === 'removed') report.summary.removed++;
+      if (claim.action === 'unresolved') report.summary.unresolved++;
+    }
+    report.summary.total = claims.length;
+    report.status = report.summary.unresolved > 0 ? 'unresolved' : 'passed';
+
+    logger.info(`Fact check: ${claims.length} claims, ${report.summary.supported} supported, ${report.summary.rewritten} rewritten, ${report.summary.removed} removed, ${report.summary.unresolved} unresolved`);
+
+    return report;
+  }
+
+  async verify(allClaims, sources) {
+    // Claims whose every number, quote and name appears verbatim in a source need no model
+    const corpus = sources.map(source => source.text).join('\n');
+    const claims = [];
+    for (const claim of allClaims) {
+      if (sources.length > 0 && claim.facts.every(fact => appearsIn(corpus, fact))) {
+        Object.assign(claim, { verdict: 'supported', evidence: 'verbatim in sources' });
+      } else {
+        claims.push(claim);
+      }
+    }
+
+    if (claims.length === 0) return;
+
+    if (sources.length === 0) {
+      // Nothing to check against: every specific claim is unsupported by definition
+      for (const claim of claims) {
+        Object.assign(claim, { verdict: 'unsupported', evidence: 'no grounding sources' });
+      }
+      return;
+    }
+
+    const prompt = this.prompt('fact-check', {
+      material: sources.map(source => `[${source.id}] ${source.title}\n${source.text}`).join('\n\n'),
+      claims: claims.map((claim, i) => `${i + 1}. ${claim.text}`).join('\n')
+    });
+
+    const result = await this.requestParsed(
+      prompt,
+      text => parseVerdicts(text, claims.map(claim => claim.text)),
+      `fact check of ${claims.length} claims`
+    );
+
+    if (result.status !== 'ok') {
+      throw new Error(`Claim verification ${result.status}: ${result.error}`);
+    }
+
+    claims.forEach((claim, i) => {
+      const verdict = result.value[i];
+      Object.assign(claim, verdict
+        ? { verdict: verdict.verdict, evidence: verdict.evidence, source: verdict.source }
+        : { verdict: 'unsupported', evidence: 'missing from fact check reply' });
+    });
+  }
+
+  async rewrite(article, claims, sources) {
+    const prompt = this.prompt('rewrite-claims', {
+      material: sources.length > 0
+        ? sources.map(source => `[${source.id}] ${source.title}\n${source.text}`).join('\n\n')
+        : '(none)',
+      sentences: claims.map((claim, i) => `${i + 1}. ${claim.text}\n   Problem: ${claim.verdict}${claim.evidence ? ` (${claim.evidence})` : ''}`).join('\n')
+    });
+
+    const result = await this.requestParsed(
+      prompt,
+      text => parseRewrites(text, claims.map(claim => claim.text)),
+      `claim rewrite of ${claims.length} sentences`
+    );
+
+    if (result.status !== 'ok') {
+      throw new Error(`Claim rewrite ${result.status}: ${result.error}`);
+    }
+
+    // Rewrites that still carry specifics get one more verification round
+    const recheck = [];
+    claims.forEach((claim, i) => {
+      let rewrite = result.value[i];
+
+      if (rewrite === null || !article.content.includes(claim.text)) {
+        claim.action = 'unresolved';
+        return;
+      }
+
+      if (rewrite !== '' && this.styleEditor) {
+        rewrite = this.restyle(article, claim.text, rewrite);
+      }
+
+      // A function replacement, so "$&" or "$1" in the rewrite are kept as written
+      article.content = rewrite === ''
+        ? removeSentence(article.content, claim.text)
+        : article.content.replace(claim.text, () => rewrite);
+      claim.rewrite = rewrite;
+      claim.action = rewrite === '' ? 'removed' : 'rewritten';
+
+      const facts = rewrite === '' ? [] : factsIn(rewrite);
+      if (facts.length > 0) {
+        recheck.push({ claim, check: { text: rewrite, facts } });
+      }
+    });
+
+    const checks = recheck.map(entry => entry.check);
+    await this.verify(checks, sources);
+    recheck.forEach(({ claim, check }) => {
+      if (check.verdict !== 'supported') {
+        claim.action = 'unresolved';
+        claim.evidence = `rewrite still ${check.verdict}: ${check.evidence || ''}`.trim();
+      }
+    });
+  }
+
+  // Renders a template and notes it for the article's metadata
+  prompt(name, variables) {
+    this.usage.add(name);
+    return this.llm.prompts.render(name, variables);
+  }
+
+  async requestParsed(prompt, parse, label) {
+    const result = await this.llm.requestParsed(prompt, parse, label, 'editing');
+    if (result.attempts > 1) {
+      this.usage.add('parse-retry');
+    }
+    return result;
+  }
+
+  // The check's templates join the ones the article was generated with
+  recordPrompts(article) {
+    const metadata = article.metadata || (article.metadata = {});
+    const recorded = metadata.prompts || (metadata.prompts = []);
+    for (const name of this.usage) {
+      if (!recorded.some(prompt => prompt.name === name)) {
+        recorded.push(this.llm.prompts.describe(name));
+      }
+    }
+  }
+
+  // Style edits to a rewrite are added to the article's style report, on the line the sentence is on
+  restyle(article, sentence, rewrite) {
+    const line = article.content.slice(0, article.content.indexOf(sentence)).split('\n').length;
+    const report = article.style || (article.style = { edits: [], warnings: [] });
+    return this.styleEditor.editProse(rewrite, line, report);
+  }
+}
+
+// Sentences of the article body that state numbers, dates, quotes or names; code, the
+// title, the references and the disclosure are left out
+function extractClaims(markdown) {
+  const claims = [];
+  const blocks = parseBlocks(markdown, { stripTitle: true });
+  const end = blocks.findIndex(block => block.type === 'heading' && /^references$/i.test(block.text.trim()));
+
+  for (const block of end === -1 ? blocks : blocks.slice(0, end)) {
+    const texts = block.type === 'paragraph' ? [block.text]
+      : block.type === 'list' ? block.items
+        : [];
+
+    for (const text of texts) {
+      for (const sentence of splitSentences(text)) {
+        const facts = factsIn(sentence);
+        if (facts.length > 0) {
+          claims.push({
+            id: claims.length + 1,
+            text: sentence,
+            kinds: claimKinds(sentence),
+            facts
+          });
+        }
+      }
+    }
+  }
+
+  return claims;
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+(?=["“(]?[A-Z0-9])/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.split(/\s+/).length >= 4);
+}
+
+function matchesOf(kind, sentence) {
+  const found = [];
+  for (const pattern of PATTERNS[kind]) {
+    for (const match of sentence.matchAll(pattern)) {
+      const value = (match[1] || match[0]).trim().replace(/[.,;:!?-]+$/, '');
+      if (value && !IGNORED[kind].has(kind === 'product' ? value : value.toLowerCase())) {
+        found.push(value);
+      }
+    }
+  }
+  return found;
+}
+
+function claimKinds(sentence) {
+  return Object.keys(PATTERNS).filter(kind => matchesOf(kind, sentence).length > 0);
+}
+
+function factsIn(sentence) {
+  return [...new Set(Object.keys(PATTERNS).flatMap(kind => matchesOf(kind, sentence)))];
+}
+
+function appearsIn(text, fact) {
+  const escaped = fact.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const start = /^\w/.test(fact) ? '\\b' : '';
+  const end = /\w$/.test(fact) ? '\\b' : '';
+  return new RegExp(`${start}${escaped}${end}`, 'i').test(text);
+}
+
+function removeSentence(content, sentence) {
+  // Take one neighbouring space with the sentence so no double spaces are left behind
+  return content.includes(`${sentence} `)
+    ? content.replace(`${sentence} `, '')
+    : content.replace(` ${sentence}`, '').replace(sentence, '');
+}
+
+// Reply entries are matched to requested items on their text first, the model's numbering second
+function matchEntries(entries, texts, textKey) {
+  const matched = new Array(texts.length).fill(null);
+  const normalize = value => String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+
+  for (const entry of entries) {
+    if (!entry) continue;
+
+    let index = typeof entry[textKey] === 'string'
+      ? texts.findIndex(text => normalize(text) === normalize(entry[textKey]))
+      : -1;
+    // Texts that were lightly edited after extraction still share their opening
+    if (index === -1 && typeof entry[textKey] === 'string') {
+      const head = normalize(entry[textKey]).replace(/[.!?]+$/, '');
+      index = head.length >= 20 ? texts.findIndex(text => normalize(text).startsWith(head)) : -1;
+    }
+    if (index === -1 && Number.isInteger(Number(entry.id))) {
+      index = Number(entry.id) - 1;
+    }
+    if (index >= 0 && index < texts.length && !matched[index]) {
+      matched[index] = entry;
+    }
+  }
+  return matched;
+}
+
+function parseVerdicts(text, claims) {
+  const parsed = parseJsonLoosely(text);
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.claims;
+  if (!Array.isArray(entries)) {
+    throw new Error('Reply has no "claims" array');
+  }
+
+  const matched = matchEntries(entries.filter(entry => entry && VERDICTS.includes(entry.verdict)), claims, 'claim');
+  if (matched.every(entry => entry === null)) {
+    throw new Error('Reply matched none of the claims');
+  }
+
+  return matched.map(entry => entry && {
+    verdict: entry.verdict,
+    evidence: typeof entry.evidence === 'string' ? entry.evidence : null,
+    source: Number.isInteger(Number(entry.source)) ? Number(entry.source) : null
+  });
+}
+
+function parseRewrites(text, sentences) {
+  const parsed = parseJsonLoosely(text);
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.rewrites;
+  if (!Array.isArray(entries)) {
+    throw new Error('Reply has no "rewrites" array');
+  }
+
+  const matched = matchEntries(entries.filter(entry => entry && typeof entry.rewrite === 'string'), sentences, 'original');
+  if (matched.every(entry => entry === null)) {
+    throw new Error('Reply matched none of the sentences');
+  }
+
+  return matched.map(entry => entry && entry.rewrite.trim());
+}
+
+module.exports = FactCheck;
+module.exports.extractClaims = extractClaims;
\ No newline at end of file
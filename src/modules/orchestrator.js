@@ -1,25 +1,74 @@
 const TopicDiscovery = require('./topicDiscovery');
 const ContentGeneration = require('./contentGeneration');
 const AssetEngine = require('./assetEngine');
-const PublishingStealth = require('./publishingStealth');
-const StateManager = require('../utils/stateManager');
+const Disclosure = require('./disclosure');
+const TopicBacklog = require('./topicBacklog');
+const SourceGrounding = require('./sourceGrounding');
+const FactCheck = require('./factCheck');
+const Originality = require('./originality');
+const StyleEditor = require('./styleEditor');
+const QualityGate = require('./qualityGate');
+const { createStateManager } = require('../state');
+const { createLlm } = require('../llm');
+const DraftStore = require('../utils/draftStore');
 const CloudflareWarp = require('../utils/cloudflareWarp');
 const logger = require('../utils/logger');
+const Niche = require('../utils/niche');
+const PromptLibrary = require('../utils/promptLibrary');
+const { loadConfig } = require('../utils/config');
+const { createPublisher } = require('../publishers');
+const { createDryRunComponents } = require('../dryRun');
 
 class Orchestrator {
-  constructor() {
-    this.stateManager = new StateManager();
-    this.topicDiscovery = new TopicDiscovery();
-    this.contentGeneration = new ContentGeneration();
-    this.assetEngine = new AssetEngine();
-    this.publishingStealth = new PublishingStealth();
-    this.cloudflareWarp = new CloudflareWarp();
+  constructor(options = {}) {
+    this.dryRun = Boolean(options.dryRun);
+    this.config = options.config || loadConfig();
+    this.niche = options.niche || Niche.load();
+
+    // Prompt templates with this niche's overrides, and one client routing each task to
+    // the provider and models chosen in config.llm
+    const prompts = PromptLibrary.load(this.niche);
+    const llm = createLlm(this.config.llm, prompts);
+
+    // Dry runs swap every network-bound component for a recorded or stub implementation
+    const components = this.dryRun
+      ? createDryRunComponents(options, { config: this.config, niche: this.niche, prompts })
+      : {};
+
+    this.outputDir = components.outputDir || null;
+    this.stateManager = components.stateManager || createStateManager(this.config.state);
+    this.draftStore = components.draftStore || new DraftStore();
+    this.topicBacklog = new TopicBacklog(this.stateManager, this.config.discovery.backlog);
+    this.topicDiscovery = components.topicDiscovery || new TopicDiscovery(llm, this.config.discovery, this.niche);
+    this.contentGeneration = components.contentGeneration || new ContentGeneration(llm, this.niche, StyleEditor.load(), new QualityGate(this.config.quality), this.config.generation, prompts);
+    this.sourceGrounding = components.sourceGrounding || new SourceGrounding(this.config.grounding);
+    this.factCheck = components.factCheck || new FactCheck(llm, this.config.factCheck, this.contentGeneration.styleEditor);
+    this.originality = new Originality(this.config.originality);
+    this.assetEngine = components.assetEngine || new AssetEngine();
+    this.publisher = components.publisher || createPublisher(this.config.publisher);
+    this.cloudflareWarp = components.cloudflareWarp || new CloudflareWarp();
+    this.disclosure = new Disclosure(this.config.disclosure, this.config.publisher.adapter);
+    
+    // Dry runs have no reviewer, so their drafts are approved on creation
+    this.autoApprove = this.dryRun || Boolean(this.config.review.autoApprove);
   }
 
   async run() {
+    // A second run writing the same state file would overwrite this one's history
+    try {
+      this.stateManager.lock();
+    } catch (error) {
+      logger.error('Cannot start:', error.message);
+      return { success: false, reason: 'state_locked' };
+    }
+    
     try {
       logger.info('Starting Blogt Autonomous Revenue Engine...');
       
+      if (this.dryRun) {
+        logger.info(`Dry run enabled, output will be written to ${this.outputDir}`);
+      }
+      
       // Check if we can publish (24-hour rule)
       if (!this.stateManager.canPublish()) {
         logger.info('24-hour cooldown period not elapsed, skipping run');
@@ -35,29 +84,64 @@ class Orchestrator {
       // Initialize Cloudflare WARP
       await this.initializeNetwork();
       
-      // Discover topics
-      const topics = await this.discoverTopics();
+      // Rewrite drafts that reviewers sent back with notes
+      await this.processRegenerationRequests();
       
-      // Get best topic to publish
-      const bestTopic = this.getBestTopic(topics);
-      if (!bestTopic) {
-        logger.warn('No suitable topics found for publishing');
-        await this.stateManager.incrementLowScores();
-        return { success: false, reason: 'no_suitable_topics' };
+      // Approved drafts are published before anything new is drafted
+      let draft = this.draftStore.nextApproved();
+      
+      if (!draft) {
+        const pending = this.draftStore.list('pending');
+        if (pending.length > 0) {
+          logger.info(`${pending.length} draft(s) awaiting review, skipping discovery`);
+          return { success: false, reason: 'awaiting_review' };
+        }
+        
+        draft = await this.createDraft();
+        if (!draft) {
+          return { success: false, reason: 'no_suitable_topics' };
+        }
+        
+        if (draft.status === 'rejected') {
+          const reason = draft.quality && draft.quality.status === 'failed' ? 'quality_rejected' : 'originality_rejected';
+          return { success: false, reason, draftId: draft.id };
+        }
+        
+        if (!this.autoApprove) {
+          logger.info(`Draft ${draft.id} saved for review`);
+          return { success: false, reason: 'awaiting_review', draftId: draft.id };
+        }
+        
+        // Claims the fact check could not settle need a human before anything goes out
+        if (!draft.fact_check || !['passed', 'skipped'].includes(draft.fact_check.status)) {
+          logger.warn(`Draft ${draft.id} not auto-approved: fact check ${draft.fact_check ? draft.fact_check.status : 'missing'}`);
+          return { success: false, reason: 'unresolved_claims', draftId: draft.id };
+        }
+        
+        draft = this.draftStore.approve(draft.id, 'Auto-approved');
       }
       
-      // Generate content
-      const article = await this.generateContent(bestTopic);
+      logger.info(`Publishing approved draft ${draft.id}`);
       
-      // Get assets
-      const image = await this.getArticleImage(bestTopic);
+      // Never publish AI-generated content without its disclosure
+      if (!this.disclosure.isDisclosed(draft.article)) {
+        logger.error(`Draft ${draft.id} has no AI disclosure, refusing to publish`);
+        await this.stateManager.addErrorTrace(new Error(`Missing AI disclosure on draft ${draft.id}`));
+        return { success: false, reason: 'missing_disclosure' };
+      }
       
-      // Publish to Medium
-      const publishResult = await this.publishArticle(article);
+      // Publish through the configured adapter with the sourced image as lead image
+      const image = draft.image ? await this.assetEngine.ensureLocalCopy(draft.image) : null;
+      const publishResult = await this.publishArticle(draft.article, image);
       
       if (publishResult.success) {
-        // Update state
-        await this.stateManager.updateLastPublish(bestTopic.hash);
+        const unrecorded = await this.recordPublish(draft, publishResult);
+        if (unrecorded.length > 0) {
+          // The article is live but the state does not say so, and the next run could publish it again
+          logger.error(`Published ${publishResult.url} but could not record: ${unrecorded.join(', ')}`);
+          await this.stateManager.addErrorTrace(new Error(`Unrecorded publish of draft ${draft.id} at ${publishResult.url}: ${unrecorded.join(', ')}`));
+          return { success: false, reason: 'state_write_failed', url: publishResult.url, draftId: draft.id };
+        }
         logger.info('Publish cycle completed successfully');
         return { success: true, url: publishResult.url };
       } else {
@@ -74,6 +158,31 @@ class Orchestrator {
     }
   }
 
+  // Records a live article, returning the records that could not be written. Every write is
+  // attempted even after one fails: each one that lands (draft status, cooldown, topic history)
+  // still keeps the article from being published twice
+  async recordPublish(draft, publishResult) {
+    const unrecorded = [];
+    const record = async (what, write) => {
+      try {
+        if (!(await write())) {
+          unrecorded.push(what);
+        }
+      } catch (error) {
+        logger.error(`Recording ${what} failed:`, error.message);
+        unrecorded.push(what);
+      }
+    };
+    
+    let published = null;
+    await record('draft status', () => (published = this.draftStore.markPublished(draft.id, publishResult.url, publishResult.image)));
+    await record('last publish', () => this.stateManager.updateLastPublish(draft.topic.hash));
+    await record('disclosure', () => this.stateManager.recordDisclosure(draft.topic.hash, publishResult.url, this.appliedDisclosure(draft.article.disclosure, publishResult)));
+    await record('published article', () => this.stateManager.recordPublishedArticle(published || draft, publishResult.url));
+    
+    return unrecorded;
+  }
+
   async initializeNetwork() {
     try {
       // Connect to Cloudflare WARP
@@ -93,10 +202,97 @@ class Orchestrator {
     }
   }
 
+  async createDraft() {
+    // Discover topics
+    const topics = await this.discoverTopics();
+    
+    // Get best topic to publish
+    const bestTopic = this.getBestTopic(topics);
+    if (!bestTopic) {
+      logger.warn('No suitable topics found for publishing');
+      await this.stateManager.incrementLowScores();
+      return null;
+    }
+    
+    // Generate content
+    const article = await this.generateContent(bestTopic);
+    
+    // Get assets
+    const image = await this.getArticleImage(bestTopic);
+    
+    const draft = this.draftStore.create({ topic: bestTopic, article, image });
+    
+    // The topic now lives in the review queue, not the backlog
+    await this.topicBacklog.remove(bestTopic.hash);
+    
+    return this.rejectIfFailing(draft);
+  }
+
+  // Drafts that miss the quality spec or copy other texts never reach a reviewer
+  rejectIfFailing(draft) {
+    let notes = null;
+    if (draft.quality && draft.quality.status === 'failed') {
+      notes = `Quality gate failed after ${draft.quality.attempts} attempt(s): ${draft.quality.failures.join('; ')}`;
+    } else if (draft.originality && draft.originality.status === 'rejected') {
+      notes = `Originality check failed: ${draft.originality.reason}`;
+    }
+    
+    if (!notes) {
+      return draft;
+    }
+    
+    logger.warn(`Draft ${draft.id} rejected: ${notes}`);
+    return this.draftStore.reject(draft.id, notes);
+  }
+
+  async processRegenerationRequests() {
+    for (const draft of this.draftStore.pendingRegenerations()) {
+      try {
+        logger.info(`Regenerating draft ${draft.id} with reviewer notes`);
+        
+        const article = await this.generateContent({ ...draft.topic, topic: draft.topic.text }, draft.review.notes);
+        this.rejectIfFailing(this.draftStore.replaceArticle(draft.id, article));
+      } catch (error) {
+        logger.error(`Regeneration of draft ${draft.id} failed:`, error.message);
+        await this.stateManager.addErrorTrace(error);
+      }
+    }
+  }
+
   async discoverTopics() {
     try {
       logger.info('Starting topic discovery...');
-      const topics = await this.topicDiscovery.discoverTopics();
+      // Published topics in the dedup window, for semantic deduplication; state doubles as the score cache
+      const history = this.stateManager.getRecentPublishedTopics(this.config.discovery.dedup.windowDays);
+      const topics = await this.topicDiscovery.discoverTopics(history, this.stateManager);
+      
+      // Every score is kept, so topics that scored well but were never published can be found later
+      await this.stateManager.recordScoredTopics(topics.all);
+      
+      // Record why sensitive candidates never reached scoring; quarantined ones wait for a human
+      const screened = [...topics.dropped, ...topics.quarantined];
+      if (screened.length > 0) {
+        await this.stateManager.recordSafetyDecisions(screened);
+      }
+      
+      // If nothing could be scored at all, this is an outage rather than a bad day for topics
+      if (topics.all.length === 0 && topics.failed.length > 0) {
+        throw new Error(`FES2 scoring failed for all ${topics.failed.length} topics`);
+      }
+      
+      // Carry queue tier topics over to later runs and bring back aged ones still above the bar
+      const backlog = this.topicBacklog.refresh(topics.queue, {
+        history,
+        similarityThreshold: this.config.discovery.dedup.similarityThreshold,
+        isCovered: hash => this.stateManager.isTopicProcessed(hash) || this.draftStore.hasOpenDraft(hash)
+      });
+      const freshHashes = new Set(topics.all.map(t => t.hash));
+      const agedTopics = backlog.filter(t => !freshHashes.has(t.hash) && t.score > 90);
+      
+      if (agedTopics.length > 0) {
+        logger.info(`${agedTopics.length} backlog topics still above publish threshold after decay`);
+        topics.publish = [...topics.publish, ...agedTopics];
+      }
       
       if (topics.publish.length === 0) {
         logger.warn('No topics met publish threshold (> 90)');
@@ -128,18 +324,39 @@ class Orchestrator {
       return null;
     }
     
+    // Check if topic is already waiting in the review queue
+    if (this.draftStore.hasOpenDraft(bestTopic.hash)) {
+      logger.warn('Best topic already has an open draft, skipping');
+      return null;
+    }
+    
     logger.info(`Selected best topic: "${bestTopic.topic}" (score: ${bestTopic.score})`);
     
     return bestTopic;
   }
 
-  async generateContent(topic) {
+  async generateContent(topic, reviewNotes = null) {
     try {
       logger.info(`Generating content for topic: "${topic.topic}"`);
       
-      const article = await this.contentGeneration.generateArticle(topic.topic);
+      // Ground the article in the pages the topic came from
+      const grounding = await this.sourceGrounding.gather(topic);
+      
+      const article = await this.contentGeneration.generateArticle(topic.topic, { reviewNotes, pillar: topic.pillar, grounding });
+      
+      // Check numbers, dates, quotes and names against the same sources
+      article.factCheck = await this.factCheck.check(article, grounding);
       
-      logger.info(`Content generated: ${article.wordCount} words, readability: ${article.readabilityScore}`);
+      // Rewrites and removals change the text, so the spec is measured again on the result
+      this.contentGeneration.measureQuality(article);
+      
+      // Compare the final text with its sources and everything we have published
+      article.originality = this.originality.check(article, this.originalityReferences(grounding));
+      
+      // Label the body as AI-assisted before it reaches review
+      this.disclosure.apply(article);
+      
+      logger.info(`Content generated: ${article.wordCount} words, reading ease ${article.readabilityScore}, quality gate ${article.quality.status}`);
       
       return article;
     } catch (error) {
@@ -148,6 +365,25 @@ class Orchestrator {
     }
   }
 
+  originalityReferences(grounding) {
+    const sources = grounding.sources.map(source => ({
+      kind: 'source',
+      id: String(source.id),
+      title: source.title,
+      url: source.url,
+      text: source.text
+    }));
+    const catalogue = this.draftStore.list('published').map(draft => ({
+      kind: 'catalogue',
+      id: draft.id,
+      title: draft.article.title,
+      url: draft.published_url,
+      text: draft.article.content
+    }));
+    
+    return [...sources, ...catalogue];
+  }
+
   async getArticleImage(topic) {
     try {
       logger.info('Sourcing image for article...');
@@ -167,21 +403,25 @@ class Orchestrator {
     }
   }
 
-  async publishArticle(article) {
+  async publishArticle(article, image = null) {
     try {
-      logger.info('Starting stealth publishing process...');
+      logger.info(`Publishing through ${this.publisher.name}...`);
       
       // Initialize publishing
-      await this.publishingStealth.initialize();
+      await this.publisher.initialize();
+      
+      // Publish the article
+      const result = await this.publisher.publish(article, image);
       
-      // Get Medium cookies from environment
-      const mediumCookies = process.env.MEDIUM_COOKIES_JSON;
-      if (!mediumCookies) {
-        throw new Error('MEDIUM_COOKIES_JSON environment variable not set');
+      if (!result.success) {
+        return result;
       }
       
-      // Publish the article
-      const result = await this.publishingStealth.publishToMedium(article, mediumCookies);
+      // Confirm the post is live on the target before recording it
+      const verified = await this.publisher.verify(result);
+      if (!verified) {
+        return { success: false, error: `Published post could not be verified: ${result.url}` };
+      }
       
       return result;
     } catch (error) {
@@ -190,10 +430,22 @@ class Orchestrator {
     }
   }
 
+  // The disclosure as it went out: the log records only the AI tags the target kept
+  appliedDisclosure(disclosure, publishResult) {
+    const tags = this.disclosure.appliedTags(disclosure, publishResult.tags || []);
+    const missing = disclosure.tags.filter(tag => !tags.includes(tag));
+    
+    if (missing.length > 0) {
+      logger.warn(`${this.publisher.name} did not apply AI tags: ${missing.join(', ')}`);
+    }
+    
+    return { ...disclosure, tags };
+  }
+
   async cleanup() {
     try {
       // Close publishing resources
-      await this.publishingStealth.close();
+      await this.publisher.close();
       
       // Disconnect Cloudflare WARP
       await this.cloudflareWarp.disconnect();
@@ -201,6 +453,8 @@ class Orchestrator {
       logger.info('Cleanup completed');
     } catch (error) {
       logger.error('Cleanup failed:', error.message);
+    } finally {
+      this.stateManager.close();
     }
   }
 }
@@ -0,0 +1,76 @@
+const logger = require('../utils/logger');
+const { parseBlocks } = require('../utils/markdown');
+const { tokenize, compareShingles } = require('../utils/shingles');
+
+class Originality {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.shingleSize = options.shingleSize || 8;
+    this.maxOverlapPercent = options.maxOverlapPercent !== undefined ? options.maxOverlapPercent : 15;
+    this.maxSpans = options.maxSpans || 3;
+  }
+
+  // Compares the article with each grounding source and each published article:
+  // references are [{ kind: 'source' | 'catalogue', id, title, url, text }]
+  check(article, references = []) {
+    const report = {
+      checkedAt: new Date().toISOString(),
+      status: 'passed',
+      shingleSize: this.shingleSize,
+      maxOverlapPercent: this.maxOverlapPercent,
+      maxOverlap: 0,
+      comparisons: []
+    };
+
+    if (!this.enabled) {
+      report.status = 'skipped';
+      return report;
+    }
+
+    const articleTokens = tokenize(proseOf(article.content));
+
+    for (const reference of references) {
+      // Published articles are Markdown too; their references and code are skipped the same way
+      const text = reference.kind === 'catalogue' ? proseOf(reference.text) : reference.text;
+      const result = compareShingles(articleTokens, tokenize(text), this.shingleSize);
+
+      report.comparisons.push({
+        kind: reference.kind,
+        id: reference.id || null,
+        title: reference.title || null,
+        url: reference.url || null,
+        overlap: result.overlap,
+        longestSpans: result.spans.slice(0, this.maxSpans)
+      });
+      report.maxOverlap = Math.max(report.maxOverlap, result.overlap);
+    }
+
+    const offenders = report.comparisons.filter(c => c.overlap > this.maxOverlapPercent);
+    if (offenders.length > 0) {
+      report.status = 'rejected';
+      report.reason = offenders
+        .map(c => `${c.overlap}% of shingles shared with ${c.kind} "${c.title || c.url}"`)
+        .join('; ');
+    }
+
+    logger.info(`Originality: max overlap ${report.maxOverlap}% across ${references.length} reference(s), ${report.status}`);
+
+    return report;
+  }
+}
+
+// The article's own prose: the title, code, quotations and the references list are
+// either expected to match other texts or not ours to judge
+function proseOf(markdown) {
+  const blocks = parseBlocks(markdown, { stripTitle: true });
+  const end = blocks.findIndex(block => block.type === 'heading' && /^references$/i.test(block.text.trim()));
+
+  return (end === -1 ? blocks : blocks.slice(0, end))
+    .filter(block => ['paragraph', 'list', 'heading'].includes(block.type))
+    .map(block => (block.type === 'list' ? block.items.join('\n') : block.text))
+    .join('\n\n')
+    // Keep link text, drop the URL
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1');
+}
+
+module.exports = Originality;
\ No newline at end of file
@@ -1,10 +1,16 @@
 const PuppeteerHelpers = require('../utils/puppeteerHelpers');
 const logger = require('../utils/logger');
+const { parseBlocks, renderHtml, renderFigure, summarizeBlocks, compareStructure } = require('../utils/markdown');
+
+// Hosts Medium serves re-hosted images from
+const MEDIUM_IMAGE_HOST = /^(miro\.medium\.com|cdn-images-\d+\.medium\.com)$/;
 
 class PublishingStealth {
   constructor() {
     this.helpers = new PuppeteerHelpers();
     this.maxRetries = 3;
+    this.imageHostTimeoutMs = 30000;
+    this.imagePollMs = 1000;
   }
 
   async initialize() {
@@ -15,7 +21,7 @@ class PublishingStealth {
     await this.helpers.close();
   }
 
-  async publishToMedium(article, cookies) {
+  async publishToMedium(article, cookies, image = null, tags = []) {
     try {
       // Load Medium and inject cookies
       await this.setupMediumSession(cookies);
@@ -24,7 +30,7 @@ class PublishingStealth {
       await this.navigateToNewStory();
       
       // Fill in article content
-      await this.fillArticleContent(article);
+      const leadImage = await this.fillArticleContent(article, image);
       
       // Verify draft saved
       const draftSaved = await this.verifyDraftSaved();
@@ -32,10 +38,10 @@ class PublishingStealth {
         throw new Error('Draft not saved successfully');
       }
       
-      // Publish the article
-      const publishSuccess = await this.publishArticle();
+      // Publish the article with its topics, AI disclosure tag first
+      const appliedTags = await this.publishArticle(tags);
       
-      if (!publishSuccess) {
+      if (!appliedTags) {
         throw new Error('Publish failed');
       }
       
@@ -46,7 +52,9 @@ class PublishingStealth {
       
       return {
         success: true,
-        url: publishedUrl
+        url: publishedUrl,
+        image: leadImage,
+        tags: appliedTags
       };
     } catch (error) {
       logger.error('Publish failed:', error.message);
@@ -102,7 +110,7 @@ class PublishingStealth {
     }
   }
 
-  async fillArticleContent(article) {
+  async fillArticleContent(article, image = null) {
     try {
       // Type title with human-like behavior
       await this.helpers.humanType(article.title, 'input[placeholder="Title"]');
@@ -110,22 +118,62 @@ class PublishingStealth {
       // Wait a bit
       await new Promise(resolve => setTimeout(resolve, 1000));
       
-      // Type content with human-like behavior
+      // Render the Markdown body to HTML and paste it in one pass, led by the image figure
+      const blocks = parseBlocks(article.content, { stripTitle: true });
+      const lead = image ? renderFigure(image.url, image.alt, image.caption) : '';
       const contentSelector = 'div[contenteditable="true"]';
-      await this.helpers.humanType(article.content, contentSelector);
+      await this.helpers.pasteHtml(lead + renderHtml(blocks), article.content, contentSelector);
+      
+      // Make sure the editor kept every heading, list, code block, quote and link
+      const expected = summarizeBlocks(blocks);
+      const actual = await this.helpers.readEditorStructure(contentSelector);
+      const mismatches = compareStructure(expected, actual);
+      
+      if (mismatches.length > 0) {
+        throw new Error(`Rendered article does not match source structure: ${mismatches.join('; ')}`);
+      }
       
-      logger.info('Article content filled');
+      logger.info(`Article content filled: ${blocks.length} blocks, ${expected.headings} headings`);
       
       // Add some human-like pauses and scrolling
       await this.helpers.humanScroll();
       await new Promise(resolve => setTimeout(resolve, 2000));
       
+      if (!image) {
+        return null;
+      }
+      
+      if (actual.images.length === 0) {
+        throw new Error('Lead image was not imported by the editor');
+      }
+      
+      return { url: await this.waitForHostedImage(contentSelector), caption: image.caption };
+      
     } catch (error) {
       logger.error('Filling article content failed:', error.message);
       throw error;
     }
   }
 
+  // Medium uploads pasted images in the background and swaps the src to its CDN when done;
+  // until then the editor still shows the source URL, which must not be recorded as hosted
+  async waitForHostedImage(selector) {
+    const deadline = Date.now() + this.imageHostTimeoutMs;
+    let src = null;
+    
+    while (true) {
+      src = (await this.helpers.readEditorStructure(selector)).images[0] || null;
+      if (src && isMediumHosted(src)) {
+        logger.info(`Lead image re-hosted by Medium: ${src}`);
+        return src;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Lead image was not re-hosted by Medium within ${this.imageHostTimeoutMs}ms (src: ${src || 'none'})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.imagePollMs));
+    }
+  }
+
   async verifyDraftSaved() {
     try {
       // Check for draft saved indicator
@@ -145,7 +193,8 @@ class PublishingStealth {
     }
   }
 
-  async publishArticle() {
+  // Resolves to the topics Medium accepted, or null when publishing failed
+  async publishArticle(tags = []) {
     try {
       // Find and click publish button
       const publishButtonSelector = 'button:contains("Publish")';
@@ -159,6 +208,8 @@ class PublishingStealth {
       // Wait for publish confirmation dialog
       await this.helpers.page.waitForSelector('button:contains("Publish now")', { timeout: 10000 });
       
+      const appliedTags = await this.addTopics(tags);
+      
       // Click publish now
       await this.helpers.humanClick('button:contains("Publish now")');
       
@@ -166,11 +217,34 @@ class PublishingStealth {
       await this.helpers.page.waitForNavigation({ timeout: 30000 });
       
       logger.info('Article published');
-      return true;
+      return appliedTags;
     } catch (error) {
       logger.error('Publish process failed:', error.message);
-      return false;
+      return null;
+    }
+  }
+
+  // Types each tag into the dialog's topic field and reads back the topic chips Medium kept
+  async addTopics(tags) {
+    if (tags.length === 0) {
+      return [];
+    }
+    
+    const topicInput = 'input[placeholder*="topic"]';
+    await this.helpers.page.waitForSelector(topicInput, { timeout: 10000 });
+    
+    for (const tag of tags) {
+      await this.helpers.humanType(tag, topicInput);
+      await this.helpers.page.keyboard.press('Enter');
+      await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 500));
     }
+    
+    const appliedTags = await this.helpers.page.$$eval('[data-testid="publishTopic"]', chips =>
+      chips.map(chip => chip.textContent.trim())
+    );
+    
+    logger.info(`Medium topics applied: ${appliedTags.join(', ') || 'none'}`);
+    return appliedTags;
   }
 
   async getPublishedUrl() {
@@ -227,4 +301,12 @@ class PublishingStealth {
   }
 }
 
+function isMediumHosted(src) {
+  try {
+    return MEDIUM_IMAGE_HOST.test(new URL(src).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
 module.exports = PublishingStealth;
\ No newline at end of file
@@ -0,0 +1,129 @@
+const logger = require('../utils/logger');
+const { parseBlocks } = require('../utils/markdown');
+const { countText, readingEase, gradeLevel } = require('../utils/readability');
+
+class QualityGate {
+  constructor(options = {}) {
+    this.minWords = options.minWords || 1300;
+    this.maxWords = options.maxWords || 1800;
+    this.minReadingEase = options.minReadingEase !== undefined ? options.minReadingEase : 65;
+    this.minSections = options.minSections || 3;
+    this.maxSections = options.maxSections || 5;
+    this.requireIntro = options.requireIntro !== false;
+    this.requireConclusion = options.requireConclusion !== false;
+    this.requireClosingQuestion = options.requireClosingQuestion !== false;
+    this.maxAttempts = options.maxAttempts || 3;
+  }
+
+  // Measures the article's Markdown against the spec: { checkedAt, status: passed | failed,
+  // attempts, metrics, rules: [{ rule, passed, expected, actual }], failures }
+  check(content, attempts = 1) {
+    const metrics = measure(content);
+    const rules = [
+      {
+        rule: 'title',
+        passed: Boolean(metrics.title),
+        expected: 'an H1 title on the first line',
+        actual: metrics.title || 'none'
+      },
+      {
+        rule: 'length',
+        passed: metrics.wordCount >= this.minWords && metrics.wordCount <= this.maxWords,
+        expected: `${this.minWords}-${this.maxWords} words`,
+        actual: `${metrics.wordCount} words`
+      },
+      {
+        rule: 'readability',
+        passed: metrics.readingEase !== null && metrics.readingEase >= this.minReadingEase,
+        expected: `reading ease of at least ${this.minReadingEase}`,
+        actual: `reading ease ${metrics.readingEase}, grade ${metrics.gradeLevel}`
+      },
+      {
+        rule: 'sections',
+        passed: metrics.sections >= this.minSections && metrics.sections <= this.maxSections,
+        expected: `${this.minSections}-${this.maxSections} H2 sections before the conclusion`,
+        actual: `${metrics.sections} sections`
+      }
+    ];
+
+    if (this.requireIntro) {
+      rules.push({
+        rule: 'intro',
+        passed: metrics.introParagraphs > 0,
+        expected: 'an introduction before the first H2',
+        actual: `${metrics.introParagraphs} paragraphs`
+      });
+    }
+    if (this.requireConclusion) {
+      rules.push({
+        rule: 'conclusion',
+        passed: metrics.conclusionParagraphs > 0,
+        expected: 'a final H2 section with prose',
+        actual: metrics.conclusion ? `"${metrics.conclusion}", ${metrics.conclusionParagraphs} paragraphs` : 'none'
+      });
+    }
+    if (this.requireClosingQuestion) {
+      rules.push({
+        rule: 'closing-question',
+        passed: metrics.closingQuestion,
+        expected: 'a question in the last paragraph',
+        actual: metrics.closingQuestion ? 'question' : 'no question'
+      });
+    }
+
+    const failures = rules.filter(r => !r.passed);
+    const report = {
+      checkedAt: new Date().toISOString(),
+      status: failures.length === 0 ? 'passed' : 'failed',
+      attempts,
+      metrics,
+      rules,
+      failures: failures.map(r => `${r.rule}: expected ${r.expected}, found ${r.actual}`)
+    };
+
+    logger.info(`Quality gate: ${rules.length - failures.length}/${rules.length} rules passed (${metrics.wordCount} words, reading ease ${metrics.readingEase})`);
+
+    return report;
+  }
+}
+
+// Structure and prose statistics of the article, leaving out the References section
+// and quoted blocks such as the disclosure
+function measure(content) {
+  const allBlocks = parseBlocks(content);
+  const end = allBlocks.findIndex(block => block.type === 'heading' && /^references$/i.test(block.text.trim()));
+  const blocks = end === -1 ? allBlocks : allBlocks.slice(0, end);
+
+  const title = blocks[0] && blocks[0].type === 'heading' && blocks[0].depth === 1 ? blocks[0].text.trim() : null;
+  const h2s = blocks
+    .map((block, index) => ({ block, index }))
+    .filter(({ block }) => block.type === 'heading' && block.depth === 2);
+  const firstH2 = h2s.length > 0 ? h2s[0].index : blocks.length;
+  const lastH2 = h2s.length > 0 ? h2s[h2s.length - 1].index : blocks.length;
+
+  const prose = blocks.filter(block => block.type === 'paragraph' || block.type === 'list');
+  const paragraphs = blocks.filter(block => block.type === 'paragraph');
+  const counts = countText(prose
+    .map(block => (block.type === 'list' ? block.items.join('\n') : block.text))
+    .join('\n\n')
+    // Link text is read, URLs are not
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1'));
+  const lastParagraph = paragraphs.length > 0 ? paragraphs[paragraphs.length - 1].text : '';
+
+  return {
+    title,
+    wordCount: counts.word,
+    sentences: counts.sentence,
+    readingEase: readingEase(counts),
+    gradeLevel: gradeLevel(counts),
+    // The last H2 section is the conclusion, the ones before it are the body
+    sections: Math.max(h2s.length - 1, 0),
+    introParagraphs: blocks.slice(0, firstH2).filter(block => block.type === 'paragraph').length,
+    conclusion: h2s.length > 1 ? h2s[h2s.length - 1].block.text.trim() : null,
+    conclusionParagraphs: h2s.length > 1 ? blocks.slice(lastH2).filter(block => block.type === 'paragraph').length : 0,
+    closingQuestion: /\?/.test(lastParagraph)
+  };
+}
+
+module.exports = QualityGate;
+module.exports.measure = measure;
\ No newline at end of file
@@ -0,0 +1,116 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+
+// Elements that never hold article text
+const NOISE = 'script, style, noscript, template, svg, iframe, nav, header, footer, aside, form, button, figure figcaption, [role="navigation"], [aria-hidden="true"]';
+
+// Text blocks kept from the page, in document order
+const BLOCKS = 'h1, h2, h3, h4, p, li, pre, blockquote';
+
+class SourceGrounding {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.maxSources = options.maxSources || 3;
+    this.maxCharsPerSource = options.maxCharsPerSource || 6000;
+    this.minChars = options.minChars || 200;
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.skipHosts = options.skipHosts || [];
+  }
+
+  // Fetches the pages a topic came from: { sources: [{ id, url, title, text }], context },
+  // where context is the snippet the source supplied with the topic (HN text, feed summary, editor notes)
+  async gather(topic) {
+    const context = topic.context || null;
+
+    if (!this.enabled) {
+      return { sources: [], context };
+    }
+
+    const sources = [];
+    for (const url of this.candidateUrls(topic)) {
+      if (sources.length >= this.maxSources) break;
+
+      try {
+        const response = await this.fetch(url);
+        const page = extractPage(response.data);
+
+        if (page.text.length < this.minChars) {
+          logger.warn(`Source ${url} yielded only ${page.text.length} characters of text, skipping`);
+          continue;
+        }
+
+        sources.push({
+          id: sources.length + 1,
+          url,
+          title: page.title || url,
+          text: page.text.substring(0, this.maxCharsPerSource)
+        });
+      } catch (error) {
+        logger.warn(`Could not fetch source ${url}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Grounding "${topic.topic}" in ${sources.length} source(s)`);
+
+    return { sources, context };
+  }
+
+  candidateUrls(topic) {
+    const urls = [topic.url, ...(topic.provenance || []).map(p => p.url)];
+
+    return [...new Set(urls.filter(Boolean))].filter(url => {
+      try {
+        const { protocol, hostname } = new URL(url);
+        return (protocol === 'http:' || protocol === 'https:') && !this.skipHosts.includes(hostname);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  async fetch(url) {
+    // Network seam so saved pages can be swapped in
+    return axios.get(url, {
+      timeout: this.timeoutMs,
+      responseType: 'text',
+      maxContentLength: 5 * 1024 * 1024,
+      headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)' }
+    });
+  }
+}
+
+// Readable text of an HTML page: the <article> or <main> element when there is one,
+// otherwise the body, with navigation and other chrome removed
+function extractPage(html) {
+  const $ = cheerio.load(html);
+  $(NOISE).remove();
+
+  const title = ($('meta[property="og:title"]').attr('content') || $('h1').first().text() || $('title').text())
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const root = ['article', 'main', '[role="main"]', 'body']
+    .map(selector => $(selector).first())
+    .find(el => el.length > 0 && el.text().trim().length > 0);
+
+  if (!root) {
+    return { title, text: '' };
+  }
+
+  const blocks = root.find(BLOCKS).toArray()
+    // Nested blocks (a <p> inside an <li>) would otherwise repeat their text
+    .filter(el => $(el).parents(BLOCKS).length === 0)
+    .map(el => {
+      const text = el.tagName === 'pre' ? $(el).text().trim() : $(el).text().replace(/\s+/g, ' ').trim();
+      return /^h\d$/.test(el.tagName) ? `## ${text}` : text;
+    })
+    .filter(text => text && text !== '##');
+
+  const text = blocks.length > 0 ? blocks.join('\n\n') : root.text().replace(/\s+/g, ' ').trim();
+
+  return { title, text };
+}
+
+module.exports = SourceGrounding;
+module.exports.extractPage = extractPage;
\ No newline at end of file
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const path = require('path');
+const { marked } = require('marked');
+const logger = require('../utils/logger');
+
+const STYLE_FILE = path.join(__dirname, '../../style.yaml');
+
+// Block tokens whose text is ours to edit; code, tables, HTML and quotations are left alone
+const EDITABLE = ['heading', 'paragraph', 'list', 'text'];
+
+// Inline spans that are never edited: code, images and links, autolinks and HTML, bare URLs and quotations
+const PROTECTED = /(`+)[^`]*?\1|!?\[[^\]]*\]\([^)]*\)|!?\[[^\]]*\]\[[^\]]*\]|<[^>\n]+>|\bhttps?:\/\/[^\s)>\]]+|"[^"\n]*"|“[^”\n]*”/g;
+
+// List markers and indentation kept in front of the text of a line
+const LINE_PREFIX = /^\s*(?:(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?)?/;
+
+// Sentence boundaries within a line; a following lowercase word (e.g. "i.e. this") is not a new sentence
+const SENTENCE_BREAK = /((?<=[.!?]["')\]]?)\s+(?=["'(\u0000]?[\p{Lu}\p{N}\u0000]))/u;
+
+// Where an over-long sentence may be split in two
+const SPLIT_POINTS = /;\s+|,\s+(and|but|so)\s+/g;
+
+// Left lowercase inside title-cased headings
+const SMALL_WORDS = new Set(['a', 'an', 'the', 'and', 'but', 'or', 'nor', 'for', 'so', 'yet', 'as', 'at', 'by', 'in', 'of', 'on', 'to', 'up', 'via', 'vs', 'with', 'from', 'into', 'over']);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-phrase match tolerant of curly apostrophes and extra whitespace
+function phraseSource(phrase) {
+  return escapeRegExp(phrase).replace(/'/g, "['’]").replace(/\s+/g, '\\s+');
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(word => /[\p{L}\p{N}\u0000]/u.test(word)).length;
+}
+
+class StyleEditor {
+  constructor(guide = {}) {
+    this.bannedPhrases = (guide.bannedPhrases || []).map(entry => ({
+      phrase: entry.phrase,
+      replacement: entry.replacement || '',
+      // A deleted phrase takes its trailing comma or space with it
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}])${phraseSource(entry.phrase)}(?![\\p{L}\\p{N}])${entry.replacement ? '' : '(?:,\\s*|\\s+)?'}`, 'giu')
+    }));
+    this.headingCase = guide.headingCase || 'none';
+    this.properNouns = guide.properNouns || [];
+    this.glossary = (guide.glossary || []).flatMap(entry => (entry.not || []).map(variant => ({
+      use: entry.use,
+      variant,
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}-])${escapeRegExp(variant)}(?![\\p{L}\\p{N}-])`, 'gu')
+    })));
+
+    const sentences = guide.sentences || {};
+    this.maxWords = sentences.maxWords || 0;
+    this.minSplitWords = sentences.minSplitWords || 8;
+  }
+
+  static load(styleFile = STYLE_FILE) {
+    if (!fs.existsSync(styleFile)) {
+      throw new Error(`Style guide not found: ${styleFile}`);
+    }
+    return new StyleEditor(yaml.load(fs.readFileSync(styleFile, 'utf8')));
+  }
+
+  // Applies the house style to an article's Markdown: { content, report }, where the report
+  // lists each edit by rule, a line diff of the result and sentences left too long
+  edit(markdown) {
+    const report = { editedAt: new Date().toISOString(), edits: [], warnings: [], diff: '' };
+    let lineNumber = 1;
+
+    const content = marked.lexer(markdown).map(token => {
+      const first = lineNumber;
+      lineNumber += (token.raw.match(/\n/g) || []).length;
+
+      if (!EDITABLE.includes(token.type)) {
+        return token.raw;
+      }
+
+      // Code fenced inside a list item is part of the list token
+      let inFence = false;
+      return token.raw.split('\n').map((line, i) => {
+        if (/^\s*(```|~~~)/.test(line)) {
+          inFence = !inFence;
+          return line;
+        }
+        if (inFence || line.trim() === '') {
+          return line;
+        }
+        const at = first + i;
+        return token.type === 'heading' ? this.editHeading(line, at, report) : this.editProse(line, at, report);
+      }).join('\n');
+    }).join('');
+
+    report.diff = lineDiff(markdown, content);
+    logger.info(`Style: ${report.edits.length} edit(s), ${report.warnings.length} sentence(s) left over ${this.maxWords} words`);
+
+    return { content, report };
+  }
+
+  editHeading(line, at, report) {
+    // The underline of a setext heading has no words
+    if (/^\s*[=-]+\s*$/.test(line)) {
+      return line;
+    }
+
+    const [, marker, text, closing] = line.match(/^(\s{0,3}#{1,6}\s+|)(.*?)(\s+#+\s*|\s*)$/);
+    const { protectedText, restore } = protect(text);
+
+    let edited = this.applyGlossary(this.removeBannedPhrases(protectedText, at, report, restore), at, report);
+    const recased = this.recase(edited);
+    if (recased !== edited) {
+      report.edits.push({ rule: 'heading-case', line: at, from: restore(edited), to: restore(recased) });
+      edited = recased;
+    }
+
+    return `${marker}${restore(edited)}${closing}`;
+  }
+
+  editProse(line, at, report) {
+    const prefix = line.match(LINE_PREFIX)[0];
+    const { protectedText, restore } = protect(line.slice(prefix.length));
+
+    let edited = this.removeBannedPhrases(protectedText, at, report, restore);
+    edited = this.applyGlossary(edited, at, report);
+    edited = this.limitSentences(edited, at, report, restore);
+
+    return `${prefix}${restore(edited)}`;
+  }
+
+  removeBannedPhrases(text, at, report, restore) {
+    let edited = text;
+
+    for (const { replacement, pattern } of this.bannedPhrases) {
+      edited = edited.replace(pattern, (match, offset, whole) => {
+        if (replacement) {
+          const to = /^\p{Lu}/u.test(match) ? capitalize(replacement) : replacement;
+          report.edits.push({ rule: 'banned-phrase', line: at, from: restore(match), to });
+          return to;
+        }
+
+        report.edits.push({ rule: 'banned-phrase', line: at, from: restore(match.trim()), to: '' });
+        // \u0001 marks a removal at the start of a sentence, so the next word is capitalised
+        return offset === 0 || /[.!?]["')\]]?\s+$/.test(whole.slice(0, offset)) ? '\u0001' : '';
+      });
+    }
+
+    if (edited === text) {
+      return text;
+    }
+
+    return edited
+      .replace(/\u0001(\s*)(\p{Ll})/gu, (match, space, letter) => `${space}${letter.toUpperCase()}`)
+      .replace(/\u0001/g, '')
+      .replace(/ {2,}/g, ' ')
+      .replace(/\s+([,.;:!?])/g, '$1')
+      .replace(/,([.;:!?])/g, '$1')
+      .trimStart();
+  }
+
+  applyGlossary(text, at, report) {
+    let edited = text;
+
+    for (const { use, variant, pattern } of this.glossary) {
+      edited = edited.replace(pattern, () => {
+        report.edits.push({ rule: 'glossary', line: at, from: variant, to: use });
+        return use;
+      });
+    }
+
+    return edited;
+  }
+
+  limitSentences(text, at, report, restore) {
+    if (!this.maxWords) {
+      return text;
+    }
+
+    // Odd entries are the whitespace between sentences
+    const parts = text.split(SENTENCE_BREAK);
+    for (let i = 0; i < parts.length; i += 2) {
+      const pieces = this.splitSentence(parts[i]);
+
+      if (pieces.length > 1) {
+        parts[i] = pieces.join(' ');
+        report.edits.push({ rule: 'sentence-length', line: at, from: restore(pieces.original), to: restore(parts[i]) });
+      }
+      for (const piece of pieces.filter(p => countWords(p) > this.maxWords)) {
+        report.warnings.push({ rule: 'sentence-length', line: at, words: countWords(piece), text: restore(piece) });
+      }
+    }
+
+    return parts.join('');
+  }
+
+  // Splits a sentence at the split point nearest its middle, recursively, while it is over the limit
+  splitSentence(sentence) {
+    const result = [sentence];
+    result.original = sentence;
+
+    const total = countWords(sentence);
+    if (total <= this.maxWords) {
+      return result;
+    }
+
+    let best = null;
+    for (const match of sentence.matchAll(SPLIT_POINTS)) {
+      const before = countWords(sentence.slice(0, match.index));
+      const after = total - before - (match[1] ? 1 : 0);
+      const distance = Math.abs(before - total / 2);
+
+      if (before >= this.minSplitWords && after >= this.minSplitWords && (!best || distance < best.distance)) {
+        best = { match, distance };
+      }
+    }
+
+    if (!best) {
+      return result;
+    }
+
+    const { match } = best;
+    // "and" is dropped at the join, "but" and "so" open the second sentence
+    const conjunction = match[1] && match[1] !== 'and' ? `${match[1]} ` : '';
+    const rest = sentence.slice(match.index + match[0].length);
+    const pieces = [
+      ...this.splitSentence(`${sentence.slice(0, match.index)}.`),
+      ...this.splitSentence(capitalize(`${conjunction}${rest}`))
+    ];
+    pieces.original = sentence;
+
+    return pieces;
+  }
+
+  recase(text) {
+    if (this.headingCase === 'none') {
+      return text;
+    }
+
+    const spellings = new Map(this.properNouns
+      .filter(noun => !/\s/.test(noun))
+      .map(noun => [noun.toLowerCase(), noun]));
+    const words = text.split(/(\s+)/);
+    const last = words.length - 1;
+    let opening = true;
+
+    let recased = words.map((word, i) => {
+      const parts = word.match(/^([^\p{L}\p{N}\u0000]*)([\p{L}\p{N}][\p{L}\p{N}'’.-]*[\p{L}\p{N}]|[\p{L}\p{N}])(.*)$/u);
+      if (i % 2 === 1 || !parts) {
+        opening = opening && i % 2 === 1;
+        return word;
+      }
+
+      const [, lead, core, tail] = parts;
+      const lower = core.toLowerCase();
+      let cased;
+
+      if (spellings.has(lower)) {
+        cased = spellings.get(lower);
+      } else if (/\p{Lu}/u.test(core.slice(1)) || core === 'I') {
+        // Acronyms and names like SQLite keep their capitals
+        cased = core;
+      } else if (this.headingCase === 'title') {
+        cased = SMALL_WORDS.has(lower) && !opening && i !== last ? lower : capitalize(lower);
+      } else {
+        cased = opening ? capitalize(lower) : lower;
+      }
+
+      opening = /:\s*$/.test(tail);
+      return `${lead}${cased}${tail}`;
+    }).join('');
+
+    // Proper nouns of several words are restored after their words were recased one by one
+    for (const noun of this.properNouns.filter(noun => /\s/.test(noun))) {
+      recased = recased.replace(new RegExp(`(?<![\\p{L}\\p{N}])${phraseSource(noun)}(?![\\p{L}\\p{N}])`, 'giu'), noun);
+    }
+
+    return recased;
+  }
+}
+
+// Swaps protected spans for placeholders so no rule can reach inside them
+function protect(text) {
+  const spans = [];
+  const protectedText = text.replace(PROTECTED, span => {
+    spans.push(span);
+    return `\u0000${spans.length - 1}\u0000`;
+  });
+  const restore = edited => edited.replace(/\u0000(\d+)\u0000/g, (match, index) => spans[Number(index)]);
+
+  return { protectedText, restore };
+}
+
+// Edits never add or remove lines, so lines are compared one to one
+function lineDiff(before, after) {
+  const old = before.split('\n');
+  const changed = after.split('\n');
+
+  return old
+    .map((line, i) => (line === changed[i] ? null : `@@ line ${i + 1} @@\n- ${line}\n+ ${changed[i]}`))
+    .filter(Boolean)
+    .join('\n');
+}
+
+module.exports = StyleEditor;
+module.exports.STYLE_FILE = STYLE_FILE;
\ No newline at end of file
@@ -0,0 +1,134 @@
+const moment = require('moment');
+const logger = require('../utils/logger');
+const { findMostSimilar } = require('../utils/similarity');
+
+// Queue tier (> 88) topics kept across runs, losing score as they age
+const QUEUE_THRESHOLD = 88;
+
+class TopicBacklog {
+  constructor(stateManager, options = {}) {
+    this.stateManager = stateManager;
+    this.decayPerDay = options.decayPerDay !== undefined ? options.decayPerDay : 2;
+    this.maxAgeDays = options.maxAgeDays !== undefined ? options.maxAgeDays : 14;
+  }
+
+  ageInDays(entry, now = moment()) {
+    return now.diff(moment(entry.first_seen), 'days', true);
+  }
+
+  // Days since the latest score was given, so a topic scored again starts decaying afresh
+  scoreAgeInDays(entry, now = moment()) {
+    return now.diff(moment(lastScoredAt(entry)), 'days', true);
+  }
+
+  decayedScore(entry, now = moment()) {
+    const latest = entry.score_history[entry.score_history.length - 1].score;
+    const decayed = latest - this.decayPerDay * this.scoreAgeInDays(entry, now);
+    return Math.round(decayed * 10) / 10;
+  }
+
+  merge(entries, queueTopics, now) {
+    for (const topic of queueTopics) {
+      const existing = entries.find(entry => entry.hash === topic.hash);
+      // A score served from the cache was given on an earlier run, at its scored_at
+      const cached = Boolean(topic.fes2 && topic.fes2.cached);
+      const scoredAt = cached && topic.fes2.scored_at ? topic.fes2.scored_at : now.toISOString();
+
+      if (existing) {
+        existing.last_seen = now.toISOString();
+        existing.fes2 = topic.fes2;
+        if (!cached) {
+          existing.score_history.push({ at: scoredAt, score: topic.score });
+          existing.last_scored_at = scoredAt;
+        }
+      } else {
+        entries.push({
+          hash: topic.hash,
+          topic: topic.topic,
+          normalized: topic.normalized,
+          fingerprint: topic.fingerprint,
+          source: topic.source,
+          pillar: topic.pillar || null,
+          url: topic.url || null,
+          context: topic.context || null,
+          provenance: topic.provenance || [],
+          first_seen: now.toISOString(),
+          last_seen: now.toISOString(),
+          last_scored_at: scoredAt,
+          fes2: topic.fes2,
+          score_history: [{ at: scoredAt, score: topic.score }]
+        });
+      }
+    }
+    return entries;
+  }
+
+  pruneReason(entry, { history, similarityThreshold, isCovered }, now) {
+    if (isCovered(entry.hash)) {
+      return 'already covered';
+    }
+    if (this.ageInDays(entry, now) > this.maxAgeDays) {
+      return `older than ${this.maxAgeDays} days`;
+    }
+    if (this.decayedScore(entry, now) <= QUEUE_THRESHOLD) {
+      return `decayed to ${this.decayedScore(entry, now)}`;
+    }
+
+    const published = findMostSimilar(entry.fingerprint, history);
+    if (published && published.similarity >= similarityThreshold) {
+      return `similar to published "${published.entry.title || published.entry.text}"`;
+    }
+    return null;
+  }
+
+  refresh(queueTopics, coverage) {
+    const now = moment();
+    const entries = this.merge(this.stateManager.getTopicBacklog(), queueTopics, now);
+
+    const kept = entries.filter(entry => {
+      const reason = this.pruneReason(entry, coverage, now);
+      if (reason) {
+        logger.info(`Pruned backlog topic "${entry.topic}": ${reason}`);
+      }
+      return !reason;
+    });
+
+    this.stateManager.saveTopicBacklog(kept);
+    logger.info(`Topic backlog holds ${kept.length} topics`);
+
+    return this.candidates(kept, now);
+  }
+
+  candidates(entries = this.stateManager.getTopicBacklog(), now = moment()) {
+    return entries.map(entry => ({
+      topic: entry.topic,
+      hash: entry.hash,
+      normalized: entry.normalized,
+      fingerprint: entry.fingerprint,
+      source: entry.source,
+      pillar: entry.pillar || null,
+      url: entry.url || null,
+      context: entry.context || null,
+      provenance: entry.provenance || [],
+      fes2: entry.fes2,
+      score: this.decayedScore(entry, now),
+      backlog: {
+        first_seen: entry.first_seen,
+        last_scored_at: lastScoredAt(entry),
+        age_days: Math.round(this.ageInDays(entry, now) * 10) / 10
+      }
+    }));
+  }
+
+  remove(topicHash) {
+    const entries = this.stateManager.getTopicBacklog();
+    return this.stateManager.saveTopicBacklog(entries.filter(entry => entry.hash !== topicHash));
+  }
+}
+
+// Entries saved before last_scored_at was kept fall back to their latest score's time
+function lastScoredAt(entry) {
+  return entry.last_scored_at || entry.score_history[entry.score_history.length - 1].at || entry.first_seen;
+}
+
+module.exports = TopicBacklog;
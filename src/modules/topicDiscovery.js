@@ -1,41 +1,74 @@
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
-const cheerio = require('cheerio');
 const crypto = require('crypto');
+const _ = require('lodash');
 const logger = require('../utils/logger');
-const OpenRouterClient = require('../utils/openrouter');
+const { createLlm } = require('../llm');
+const Niche = require('../utils/niche');
+const TopicSafety = require('./topicSafety');
+const { normalizeTopic, fingerprint, findMostSimilar } = require('../utils/similarity');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { createSources } = require('../sources');
+
+const ROOT_DIR = path.join(__dirname, '../..');
 
 class TopicDiscovery {
-  constructor() {
-    this.openrouter = new OpenRouterClient();
+  constructor(llm = createLlm(), options = {}, niche = Niche.load()) {
+    this.llm = llm;
+    this.niche = niche;
+    this.similarityThreshold = options.dedup ? options.dedup.similarityThreshold : 0.5;
+    this.scoring = { batchSize: 8, concurrency: 3, cacheTtlHours: 72, ...options.scoring };
+    this.safety = new TopicSafety(llm, options.safety);
+    this.sources = createSources(niche.sources, {
+      fetch: (url, fetchOptions) => this.fetch(url, fetchOptions),
+      readFile: filePath => this.readFile(filePath),
+      niche
+    });
     this.discoveredTopics = [];
   }
 
-  async discoverTopics() {
+  async discoverTopics(history = [], scoreCache = null) {
     try {
-      // Get topics from multiple sources
-      const googleTrendsTopics = await this.scrapeGoogleTrends();
-      const redditTopics = await this.scrapeReddit();
-      const hackerNewsTopics = await this.scrapeHackerNews();
+      // Get topics from every configured source
+      const allTopics = [];
+      for (const source of this.sources) {
+        allTopics.push(...await source.collect());
+      }
       
       // Combine and deduplicate
-      const allTopics = [...googleTrendsTopics, ...redditTopics, ...hackerNewsTopics];
-      const uniqueTopics = [...new Set(allTopics)];
+      const nicheTopics = this.filterForNiche(allTopics);
+      const uniqueTopics = this.deduplicateTopics(nicheTopics, history);
       
       logger.info(`Discovered ${uniqueTopics.length} unique topics from multiple sources`);
       
+      // Keep sensitive subjects away from scoring and generation altogether
+      const safety = await this.safety.screen(uniqueTopics);
+      const safeTopics = safety.allowed;
+      logger.info(`Safety screen: ${safeTopics.length} passed, ${safety.dropped.length} dropped, ${safety.quarantined.length} quarantined`);
+      
       // Score topics using FES2
+      const fes2Results = await this.scoreCandidates(safeTopics, scoreCache);
+      
       const scoredTopics = [];
-      for (const topic of uniqueTopics) {
-        const score = await this.openrouter.scoreTopic(topic);
-        const topicHash = this.generateTopicHash(topic);
+      const failedTopics = [];
+      safeTopics.forEach((candidate, i) => {
+        const fes2 = fes2Results[i];
         
-        scoredTopics.push({
-          topic,
-          score,
-          hash: topicHash,
-          source: 'multi'
-        });
-      }
+        // The source weight scales the FES2 score, capped at the scale's maximum
+        const scored = {
+          ...candidate,
+          score: fes2.score === null ? null : Math.min(100, Math.round(fes2.score * candidate.weight * 10) / 10),
+          fes2
+        };
+        
+        // Scoring failures are tracked apart so they never count as low scores
+        if (fes2.status === 'ok') {
+          scoredTopics.push(scored);
+        } else {
+          failedTopics.push(scored);
+        }
+      });
       
       // Filter by queue threshold (> 88)
       const queueTopics = scoredTopics.filter(t => t.score > 88);
@@ -45,10 +78,17 @@ class TopicDiscovery {
       
       this.discoveredTopics = {
         all: scoredTopics,
+        failed: failedTopics,
         queue: queueTopics,
-        publish: publishTopics
+        publish: publishTopics,
+        dropped: safety.dropped,
+        quarantined: safety.quarantined
       };
       
+      if (failedTopics.length > 0) {
+        logger.warn(`FES2 scoring failed for ${failedTopics.length} topics (${failedTopics.map(t => t.fes2.status).join(', ')})`);
+      }
+      
       logger.info(`Queue topics (score > 88): ${queueTopics.length}`);
       logger.info(`Publish topics (score > 90): ${publishTopics.length}`);
       
@@ -59,56 +99,113 @@ class TopicDiscovery {
     }
   }
 
-  async scrapeGoogleTrends() {
-    try {
-      const response = await axios.get('https://trends.google.com/trends/trendingsearches/daily?geo=US');
-      const $ = cheerio.load(response.data);
+  filterForNiche(topics) {
+    const kept = topics.filter(({ title }) => {
+      const blocked = this.niche.blockedTerm(title);
+      if (blocked) {
+        logger.info(`Dropped "${title}": blocked term "${blocked}"`);
+        return false;
+      }
       
-      const topics = [];
-      $('div.details-top').each((i, el) => {
-        const title = $(el).find('a.title').text().trim();
-        if (title) topics.push(title);
-      });
+      if (this.niche.requireKeywordMatch && !this.niche.matchPillar(title)) {
+        logger.info(`Dropped "${title}": matches no content pillar`);
+        return false;
+      }
       
-      return topics.slice(0, 10); // Top 10 trends
-    } catch (error) {
-      logger.error('Google Trends scraping failed:', error.message);
-      return [];
-    }
+      return true;
+    });
+    
+    logger.info(`${kept.length} of ${topics.length} candidates fit the "${this.niche.name}" niche`);
+    return kept;
   }
 
-  async scrapeReddit() {
-    try {
-      const response = await axios.get('https://www.reddit.com/r/all/top/.json?limit=20', {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'
-        }
-      });
+  deduplicateTopics(topics, history) {
+    const accepted = [];
+    
+    for (const item of topics) {
+      const topic = item.title;
+      const candidate = {
+        topic,
+        hash: this.generateTopicHash(topic),
+        normalized: normalizeTopic(topic),
+        fingerprint: fingerprint(topic),
+        pillar: (this.niche.matchPillar(topic) || {}).name || null,
+        url: item.url,
+        context: item.context,
+        source: item.provenance.source,
+        weight: item.provenance.weight,
+        provenance: [item.provenance]
+      };
       
-      const topics = response.data.data.children.map(post => post.data.title);
-      return topics.filter(t => t.length > 10 && t.length < 100); // Filter reasonable lengths
-    } catch (error) {
-      logger.error('Reddit scraping failed:', error.message);
-      return [];
+      // Reject rewordings of anything we already published
+      const published = findMostSimilar(candidate.fingerprint, history);
+      if (published && published.similarity >= this.similarityThreshold) {
+        logger.info(`Rejected "${topic}": ${published.similarity.toFixed(2)} similar to published "${published.entry.title || published.entry.text}" (${published.entry.url})`);
+        continue;
+      }
+      
+      // Collapse near-duplicates from different sources within this run
+      const seen = findMostSimilar(candidate.fingerprint, accepted);
+      if (seen && seen.similarity >= this.similarityThreshold) {
+        logger.info(`Skipped "${topic}": near-duplicate of candidate "${seen.entry.topic}"`);
+        // Keep where the duplicate came from; a topic several sources agree on gets the best weight
+        seen.entry.provenance.push(item.provenance);
+        seen.entry.weight = Math.max(seen.entry.weight, item.provenance.weight);
+        continue;
+      }
+      
+      accepted.push(candidate);
     }
+    
+    return accepted;
   }
 
-  async scrapeHackerNews() {
-    try {
-      const response = await axios.get('https://news.ycombinator.com/');
-      const $ = cheerio.load(response.data);
-      
-      const topics = [];
-      $('.titleline > a').each((i, el) => {
-        const title = $(el).text().trim();
-        if (title) topics.push(title);
+  async scoreCandidates(candidates, scoreCache) {
+    const results = new Array(candidates.length);
+    const uncached = [];
+    
+    candidates.forEach((candidate, i) => {
+      const cached = scoreCache && scoreCache.getCachedScore(candidate.hash, this.scoring.cacheTtlHours);
+      if (cached) {
+        results[i] = { ...cached, cached: true };
+      } else {
+        uncached.push(i);
+      }
+    });
+    
+    // Several topics per prompt, a bounded number of prompts in flight
+    const batches = _.chunk(uncached, this.scoring.batchSize);
+    const batchResults = await mapWithConcurrency(batches, this.scoring.concurrency, batch =>
+      this.llm.scoreTopics(batch.map(i => candidates[i].topic), this.niche.describe())
+    );
+    
+    const fresh = [];
+    batches.forEach((batch, b) => {
+      batch.forEach((candidateIndex, j) => {
+        results[candidateIndex] = batchResults[b][j];
+        if (batchResults[b][j].status === 'ok') {
+          fresh.push({ hash: candidates[candidateIndex].hash, fes2: batchResults[b][j] });
+        }
       });
-      
-      return topics.slice(0, 15); // Top 15 stories
-    } catch (error) {
-      logger.error('Hacker News scraping failed:', error.message);
-      return [];
+    });
+    
+    if (scoreCache) {
+      await scoreCache.cacheScores(fresh, this.scoring.cacheTtlHours);
     }
+    
+    logger.info(`Scored ${candidates.length} topics: ${candidates.length - uncached.length} from cache, ${uncached.length} in ${batches.length} LLM batches`);
+    
+    return results;
+  }
+
+  async fetch(url, options = {}) {
+    // Single network seam for all sources so recorded responses can be swapped in
+    return axios.get(url, options);
+  }
+
+  async readFile(filePath) {
+    // Local sources read through here, relative to the repository root
+    return fs.readFileSync(path.resolve(ROOT_DIR, filePath), 'utf8');
   }
 
   generateTopicHash(topic) {
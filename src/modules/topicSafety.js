@@ -0,0 +1,196 @@
+const logger = require('../utils/logger');
+const { termPattern } = require('../utils/niche');
+const { parseJsonLoosely } = require('../utils/llmJson');
+
+// Sensitive categories, with the terms that flag a topic without asking the model
+const CATEGORIES = {
+  tragedy: {
+    description: 'deaths, disasters, accidents, mass casualty events, suicide or mourning',
+    // Kept narrow: "dead code", "killed by the OOM killer" and "fatal error" are everyday tech phrasing
+    terms: ['people killed', 'death toll', 'fatal accident', 'fatal crash', 'fatally', 'mass shooting', 'school shooting', 'massacre', 'earthquake', 'wildfire', 'tsunami', 'plane crash', 'funeral', 'tragedy', 'mourning', 'suicide']
+  },
+  crime: {
+    description: 'crimes, arrests, criminal charges, trials or convictions',
+    terms: ['arrested', 'charged with', 'murder', 'assault', 'robbery', 'convicted', 'sentenced', 'indicted', 'manhunt', 'kidnapping']
+  },
+  private_individual: {
+    description: 'a named or identifiable private person, including personal disputes, doxxing or call-outs',
+    terms: ['aita', 'tifu', 'doxx', 'doxxed', 'my coworker', 'my boss', 'my neighbor', 'my ex']
+  },
+  medical: {
+    description: 'health, medical or treatment claims, diagnoses, supplements or diets',
+    // Not "symptom" or "cure" alone: "symptoms of a memory leak" and "a cure for flaky tests" are tech topics
+    terms: ['miracle cure', 'vaccine', 'cancer', 'medical diagnosis', 'covid', 'medical symptoms', 'dietary supplement', 'weight loss', 'miracle treatment']
+  },
+  elections: {
+    description: 'elections, candidates, campaigns, voting or party politics',
+    // Phrases only: leader election and voting-based consensus are distributed systems topics
+    terms: ['presidential election', 'general election', 'midterm election', 'election results', 'election day', 'ballot', 'voter turnout', 'voter registration', 'voting rights', 'presidential candidate', 'campaign rally', 'primaries', 'polling station', 'electoral']
+  },
+  nsfw: {
+    description: 'sexual, explicit or adult content',
+    terms: ['nsfw', 'nude', 'nudes', 'porn', 'onlyfans', 'sex']
+  }
+};
+
+const ACTIONS = ['block', 'quarantine', 'allow'];
+
+// Block wins over quarantine when a topic falls into several categories; topics the
+// model gave no verdict for are quarantined for a human to look at
+const UNCLASSIFIED_ACTION = 'quarantine';
+const SEVERITY = { allow: 0, quarantine: 1, block: 2 };
+
+class TopicSafety {
+  constructor(llm, options = {}) {
+    this.llm = llm;
+    this.llmCheck = options.llmCheck !== false;
+    this.actions = {};
+    this.rules = {};
+
+    for (const [category, definition] of Object.entries(CATEGORIES)) {
+      const action = (options.categories || {})[category] || 'block';
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Invalid safety action "${action}" for category "${category}"`);
+      }
+      this.actions[category] = action;
+
+      const extra = (options.extraTerms || {})[category] || [];
+      this.rules[category] = [...definition.terms, ...extra];
+    }
+  }
+
+  screenedCategories() {
+    return Object.keys(this.actions).filter(category => this.actions[category] !== 'allow');
+  }
+
+  matchRules(text) {
+    const hits = [];
+    for (const category of this.screenedCategories()) {
+      const term = this.rules[category].find(t => termPattern(t).test(text));
+      if (term) {
+        hits.push({ category, reason: `matched term "${term}"` });
+      }
+    }
+    return hits;
+  }
+
+  decide(candidate, hits, method) {
+    const categories = [...new Set(hits.map(hit => hit.category))];
+    const action = categories
+      .map(category => this.actions[category] || UNCLASSIFIED_ACTION)
+      .reduce((worst, next) => (SEVERITY[next] > SEVERITY[worst] ? next : worst), 'allow');
+
+    return {
+      ...candidate,
+      safety: {
+        action,
+        categories,
+        reasons: hits.map(hit => `${hit.category}: ${hit.reason}`),
+        method,
+        // The template a model verdict came from, so logged decisions can be traced to a prompt version
+        prompt: method === 'llm' ? this.llm.prompts.describe('safety-check') : null
+      }
+    };
+  }
+
+  async screen(candidates) {
+    const allowed = [];
+    const rejected = [];
+    const unresolved = [];
+
+    // Cheap rules first, the model only sees what they let through
+    for (const candidate of candidates) {
+      const hits = this.matchRules(candidate.topic);
+      if (hits.length > 0) {
+        rejected.push(this.decide(candidate, hits, 'rules'));
+      } else {
+        unresolved.push(candidate);
+      }
+    }
+
+    if (this.llmCheck && unresolved.length > 0 && this.screenedCategories().length > 0) {
+      const verdicts = await this.classify(unresolved.map(c => c.topic));
+
+      unresolved.forEach((candidate, i) => {
+        const decision = this.decide(candidate, verdicts[i], 'llm');
+        if (decision.safety.action === 'allow') {
+          allowed.push(candidate);
+        } else {
+          rejected.push(decision);
+        }
+      });
+    } else {
+      allowed.push(...unresolved);
+    }
+
+    for (const topic of rejected) {
+      logger.info(`Safety ${topic.safety.action} "${topic.topic}": ${topic.safety.reasons.join('; ')}`);
+    }
+
+    return {
+      allowed,
+      dropped: rejected.filter(t => t.safety.action === 'block'),
+      quarantined: rejected.filter(t => t.safety.action === 'quarantine')
+    };
+  }
+
+  async classify(topics) {
+    const categories = this.screenedCategories();
+    const prompt = this.llm.prompts.render('safety-check', {
+      topics: topics.map((topic, i) => `${i + 1}. "${topic}"`).join('\n'),
+      categories: categories.map(c => `- ${c}: ${CATEGORIES[c].description}`).join('\n')
+    });
+
+    const result = await this.llm.requestParsed(
+      prompt,
+      text => parseSafetyResponse(text, topics, categories),
+      `safety check of ${topics.length} topics`
+    );
+
+    // Without a verdict a topic cannot be called safe, but a dead API is an outage, not a verdict
+    if (result.status === 'request_failed') {
+      throw new Error(`Safety check failed: ${result.error}`);
+    }
+    if (result.status !== 'ok') {
+      return topics.map(() => [{ category: 'unclassified', reason: `safety check unparseable (${result.error})` }]);
+    }
+
+    return result.value.map(verdict =>
+      verdict || [{ category: 'unclassified', reason: 'missing from safety check reply' }]
+    );
+  }
+}
+
+function parseSafetyResponse(text, topics, categories) {
+  const parsed = parseJsonLoosely(text);
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.results;
+  if (!Array.isArray(entries)) {
+    throw new Error('Reply has no "results" array');
+  }
+
+  const verdicts = new Array(topics.length).fill(null);
+  for (const entry of entries) {
+    if (!entry || !Array.isArray(entry.categories)) continue;
+
+    // Match on topic text first, the model's numbering second
+    let index = topics.findIndex(t => typeof entry.topic === 'string' && t.toLowerCase() === entry.topic.trim().toLowerCase());
+    if (index === -1 && Number.isInteger(Number(entry.id))) {
+      index = Number(entry.id) - 1;
+    }
+    if (index < 0 || index >= topics.length || verdicts[index]) continue;
+
+    const reason = typeof entry.reason === 'string' ? entry.reason : 'flagged by model';
+    verdicts[index] = entry.categories
+      .filter(category => categories.includes(category))
+      .map(category => ({ category, reason }));
+  }
+
+  if (verdicts.every(v => v === null)) {
+    throw new Error('Reply matched none of the topics');
+  }
+  return verdicts;
+}
+
+module.exports = TopicSafety;
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.parseSafetyResponse = parseSafetyResponse;
\ No newline at end of file
@@ -0,0 +1,92 @@
+const axios = require('axios');
+const Publisher = require('./publisher');
+const logger = require('../utils/logger');
+const { insertAfterTitle, stripTitle } = require('../utils/markdown');
+
+// Dev.to accepts at most four lowercase alphanumeric tags
+const MAX_TAGS = 4;
+
+class DevtoPublisher extends Publisher {
+  async initialize() {
+    const apiKey = this.requireOption('apiKey', 'DEVTO_API_KEY');
+
+    this.http = axios.create({
+      baseURL: this.options.baseUrl,
+      timeout: 30000,
+      headers: {
+        'api-key': apiKey,
+        'Content-Type': 'application/json',
+        'Accept': 'application/vnd.forem.api-v1+json'
+      }
+    });
+  }
+
+  async publish(article, image = null) {
+    try {
+      const tags = this.tagsFor(article)
+        .map(tag => tag.toLowerCase().replace(/[^a-z0-9]/g, ''))
+        .filter(Boolean)
+        .slice(0, MAX_TAGS);
+
+      // The title goes in its own field, so the body starts after the H1
+      const content = stripTitle(article.content);
+      const body = {
+        title: article.title,
+        body_markdown: content,
+        published: !this.options.draft,
+        tags
+      };
+
+      // Dev.to has no upload API: the cover is fetched from its source URL and
+      // covers cannot carry captions, so the attribution leads the body instead
+      let leadImage = null;
+      if (image) {
+        body.main_image = image.url;
+        body.body_markdown = insertAfterTitle(content, `*Cover: ${image.caption}*`);
+        leadImage = { url: image.url, caption: image.caption };
+      }
+
+      const response = await this.http.post('/articles', { article: body });
+
+      // Dev.to re-hosts the cover on its own CDN
+      if (leadImage && response.data.cover_image) {
+        leadImage.url = response.data.cover_image;
+      }
+
+      logger.info(`Article published via Dev.to API: ${response.data.url}`);
+
+      return {
+        success: true,
+        id: response.data.id,
+        url: response.data.url,
+        image: leadImage,
+        tags
+      };
+    } catch (error) {
+      const message = this.describeError(error);
+      logger.error('Dev.to publish failed:', message);
+      return {
+        success: false,
+        error: message
+      };
+    }
+  }
+
+  async verify(result) {
+    try {
+      // Unpublished articles are only visible through the authenticated listing
+      if (this.options.draft) {
+        const response = await this.http.get('/articles/me/unpublished');
+        return response.data.some(item => item.id === result.id);
+      }
+
+      const response = await this.http.get(`/articles/${result.id}`);
+      return response.data.id === result.id;
+    } catch (error) {
+      logger.error('Dev.to verification failed:', this.describeError(error));
+      return false;
+    }
+  }
+}
+
+module.exports = DevtoPublisher;
@@ -0,0 +1,104 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const Publisher = require('./publisher');
+const logger = require('../utils/logger');
+const { toHtml, renderInline } = require('../utils/markdown');
+
+class GhostPublisher extends Publisher {
+  async initialize() {
+    const url = this.requireOption('url', 'publisher.ghost.url');
+    this.requireOption('adminApiKey', 'GHOST_ADMIN_API_KEY');
+
+    this.http = axios.create({
+      baseURL: `${url.replace(/\/$/, '')}/ghost/api/admin`,
+      timeout: 30000,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept-Version': 'v5.0'
+      }
+    });
+  }
+
+  createToken() {
+    // Admin API keys are "<id>:<hex secret>" and are exchanged for a short-lived HS256 JWT
+    const [id, secret] = this.options.adminApiKey.split(':');
+    const now = Math.floor(Date.now() / 1000);
+
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = encode({ alg: 'HS256', typ: 'JWT', kid: id });
+    const payload = encode({ iat: now, exp: now + 5 * 60, aud: '/admin/' });
+
+    const signature = crypto
+      .createHmac('sha256', Buffer.from(secret, 'hex'))
+      .update(`${header}.${payload}`)
+      .digest('base64url');
+
+    return `${header}.${payload}.${signature}`;
+  }
+
+  authHeaders() {
+    return { 'Authorization': `Ghost ${this.createToken()}` };
+  }
+
+  async uploadImage(image) {
+    const form = this.imageFormData('file', image, { purpose: 'image' });
+    const response = await this.http.post('/images/upload/', form, {
+      headers: { ...this.authHeaders(), 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data.images[0].url;
+  }
+
+  async publish(article, image = null) {
+    try {
+      const post = {
+        title: article.title,
+        html: toHtml(article.content, { stripTitle: true }),
+        tags: this.tagsFor(article),
+        status: this.options.draft ? 'draft' : 'published'
+      };
+
+      let leadImage = null;
+      if (image) {
+        leadImage = { url: await this.uploadImage(image), caption: image.caption };
+        post.feature_image = leadImage.url;
+        post.feature_image_alt = image.alt;
+        post.feature_image_caption = renderInline(image.caption);
+      }
+
+      const response = await this.http.post('/posts/?source=html', {
+        posts: [post]
+      }, { headers: this.authHeaders() });
+
+      const created = response.data.posts[0];
+      logger.info(`Article published via Ghost Admin API: ${created.url}`);
+
+      return {
+        success: true,
+        id: created.id,
+        url: created.url,
+        image: leadImage,
+        tags: created.tags ? created.tags.map(tag => tag.name) : post.tags
+      };
+    } catch (error) {
+      const message = this.describeError(error);
+      logger.error('Ghost publish failed:', message);
+      return {
+        success: false,
+        error: message
+      };
+    }
+  }
+
+  async verify(result) {
+    try {
+      const response = await this.http.get(`/posts/${result.id}/`, { headers: this.authHeaders() });
+      const expected = this.options.draft ? 'draft' : 'published';
+      return response.data.posts[0].status === expected;
+    } catch (error) {
+      logger.error('Ghost verification failed:', this.describeError(error));
+      return false;
+    }
+  }
+}
+
+module.exports = GhostPublisher;
@@ -0,0 +1,49 @@
+const MediumBrowserPublisher = require('./mediumBrowserPublisher');
+const MediumApiPublisher = require('./mediumApiPublisher');
+const GhostPublisher = require('./ghostPublisher');
+const WordPressPublisher = require('./wordpressPublisher');
+const DevtoPublisher = require('./devtoPublisher');
+
+// Adapter name -> class and the options it reads from config and the environment
+const ADAPTERS = {
+  'medium-browser': {
+    Publisher: MediumBrowserPublisher,
+    options: () => ({ cookies: process.env.MEDIUM_COOKIES_JSON })
+  },
+  'medium-api': {
+    Publisher: MediumApiPublisher,
+    options: config => ({ ...config.mediumApi, token: process.env.MEDIUM_INTEGRATION_TOKEN })
+  },
+  'ghost': {
+    Publisher: GhostPublisher,
+    options: config => ({ ...config.ghost, adminApiKey: process.env.GHOST_ADMIN_API_KEY })
+  },
+  'wordpress': {
+    Publisher: WordPressPublisher,
+    options: config => ({
+      ...config.wordpress,
+      username: process.env.WORDPRESS_USERNAME,
+      appPassword: process.env.WORDPRESS_APP_PASSWORD
+    })
+  },
+  'devto': {
+    Publisher: DevtoPublisher,
+    options: config => ({ ...config.devto, apiKey: process.env.DEVTO_API_KEY })
+  }
+};
+
+function createPublisher(config) {
+  const adapter = ADAPTERS[config.adapter];
+
+  if (!adapter) {
+    throw new Error(`Unknown publisher adapter "${config.adapter}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  return new adapter.Publisher({
+    tags: config.tags,
+    draft: config.draft,
+    ...adapter.options(config)
+  });
+}
+
+module.exports = { createPublisher, ADAPTERS };
@@ -0,0 +1,32 @@
+const Publisher = require('./publisher');
+const PublishingStealth = require('../modules/publishingStealth');
+
+// Medium's publish dialog takes up to five topics
+const MAX_TAGS = 5;
+
+class MediumBrowserPublisher extends Publisher {
+  constructor(options = {}) {
+    super(options);
+    this.stealth = new PublishingStealth();
+  }
+
+  async initialize() {
+    this.requireOption('cookies', 'MEDIUM_COOKIES_JSON');
+    await this.stealth.initialize();
+  }
+
+  async publish(article, image = null) {
+    return this.stealth.publishToMedium(article, this.options.cookies, image, this.tagsFor(article).slice(0, MAX_TAGS));
+  }
+
+  async verify(result) {
+    // publishToMedium already waits for the saved draft and the published page
+    return Boolean(result && result.success && result.url);
+  }
+
+  async close() {
+    await this.stealth.close();
+  }
+}
+
+module.exports = MediumBrowserPublisher;
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Common contract for every publishing target:
+//   initialize()              -> open sessions, resolve accounts
+//   publish(article, image)   -> { success, url, id, image, tags } or { success: false, error }
+//                                image is the lead image as hosted by the target: { url, caption }
+//                                tags are the tags the target actually applied, as it spells them
+//   verify(result)     -> true once the post is reachable on the target
+//   close()            -> release resources
+class Publisher {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  async initialize() {}
+
+  async publish(article, image = null) {
+    throw new Error(`${this.name} does not implement publish()`);
+  }
+
+  async verify(result) {
+    if (!result || !result.url) {
+      return false;
+    }
+
+    try {
+      const response = await axios.get(result.url, { timeout: 15000 });
+      return response.status >= 200 && response.status < 300;
+    } catch (error) {
+      logger.error(`${this.name} could not verify ${result.url}:`, error.message);
+      return false;
+    }
+  }
+
+  async close() {}
+
+  tagsFor(article) {
+    // Platform AI disclosure tags go first so per-platform tag limits never drop them
+    const disclosureTags = (article.disclosure && article.disclosure.tags) || [];
+    return [...new Set([...disclosureTags, ...(this.options.tags || [])])];
+  }
+
+  readImageFile(image) {
+    const filename = path.basename(image.localPath);
+    const extension = path.extname(filename).toLowerCase();
+
+    return {
+      filename,
+      contentType: extension === '.png' ? 'image/png' : 'image/jpeg',
+      data: fs.readFileSync(image.localPath)
+    };
+  }
+
+  imageFormData(field, image, extraFields = {}) {
+    const file = this.readImageFile(image);
+    const form = new FormData();
+
+    form.append(field, new Blob([file.data], { type: file.contentType }), file.filename);
+    for (const [key, value] of Object.entries(extraFields)) {
+      form.append(key, value);
+    }
+
+    return form;
+  }
+
+  describeError(error) {
+    if (error.response) {
+      const detail = typeof error.response.data === 'string'
+        ? error.response.data
+        : JSON.stringify(error.response.data);
+      return `HTTP ${error.response.status}: ${detail}`;
+    }
+    return error.message;
+  }
+
+  requireOption(key, envName) {
+    const value = this.options[key];
+    if (!value) {
+      throw new Error(`${this.name} requires ${envName || key} to be set`);
+    }
+    return value;
+  }
+}
+
+module.exports = Publisher;
@@ -0,0 +1,106 @@
+const axios = require('axios');
+const Publisher = require('./publisher');
+const logger = require('../utils/logger');
+const { toHtml, renderInline } = require('../utils/markdown');
+
+class WordPressPublisher extends Publisher {
+  async initialize() {
+    const url = this.requireOption('url', 'publisher.wordpress.url');
+    const username = this.requireOption('username', 'WORDPRESS_USERNAME');
+    const appPassword = this.requireOption('appPassword', 'WORDPRESS_APP_PASSWORD');
+
+    this.http = axios.create({
+      baseURL: `${url.replace(/\/$/, '')}/wp-json/wp/v2`,
+      timeout: 30000,
+      auth: { username, password: appPassword },
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  async resolveTagIds(names) {
+    // The REST API takes term IDs, so look each tag up by name and create missing ones
+    const ids = [];
+    for (const name of names) {
+      const existing = await this.http.get('/tags', { params: { search: name } });
+      const match = existing.data.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+
+      if (match) {
+        ids.push(match.id);
+      } else {
+        const created = await this.http.post('/tags', { name });
+        ids.push(created.data.id);
+      }
+    }
+    return ids;
+  }
+
+  async uploadImage(image) {
+    const file = this.readImageFile(image);
+
+    const uploaded = await this.http.post('/media', file.data, {
+      headers: {
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`
+      }
+    });
+
+    // Caption and alt text can only be set once the attachment exists
+    await this.http.post(`/media/${uploaded.data.id}`, {
+      caption: renderInline(image.caption),
+      alt_text: image.alt
+    });
+
+    return uploaded.data;
+  }
+
+  async publish(article, image = null) {
+    try {
+      const tags = this.tagsFor(article);
+      const post = {
+        title: article.title,
+        content: toHtml(article.content, { stripTitle: true }),
+        tags: await this.resolveTagIds(tags),
+        status: this.options.draft ? 'draft' : 'publish'
+      };
+
+      let leadImage = null;
+      if (image) {
+        const media = await this.uploadImage(image);
+        post.featured_media = media.id;
+        leadImage = { url: media.source_url, caption: image.caption };
+      }
+
+      const response = await this.http.post('/posts', post);
+
+      logger.info(`Article published via WordPress REST API: ${response.data.link}`);
+
+      return {
+        success: true,
+        id: response.data.id,
+        url: response.data.link,
+        image: leadImage,
+        tags
+      };
+    } catch (error) {
+      const message = this.describeError(error);
+      logger.error('WordPress publish failed:', message);
+      return {
+        success: false,
+        error: message
+      };
+    }
+  }
+
+  async verify(result) {
+    try {
+      const response = await this.http.get(`/posts/${result.id}`);
+      const expected = this.options.draft ? 'draft' : 'publish';
+      return response.data.status === expected;
+    } catch (error) {
+      logger.error('WordPress verification failed:', this.describeError(error));
+      return false;
+    }
+  }
+}
+
+module.exports = WordPressPublisher;
@@ -0,0 +1,170 @@
+const DraftStore = require('./utils/draftStore');
+const { createStateManager } = require('./state');
+const { loadConfig } = require('./utils/config');
+
+const USAGE = `Usage: npm run review -- <command> [args]
+
+Commands:
+  list [status]            List drafts, optionally filtered by status
+  show <id>                Print a draft's metadata and article
+  approve <id> [notes]     Approve a draft for the next publish run
+  reject <id> <notes>      Reject a draft
+  regenerate <id> <notes>  Send a draft back for regeneration with notes
+  published                List published articles from state, newest first`;
+
+function formatDraft(draft) {
+  const flag = draft.review.regeneration_requested ? ' (regeneration requested)' : '';
+  return `${draft.id}  [${draft.status}${flag}]  FES2 ${draft.fes2_score}  "${draft.article.title}"`;
+}
+
+function formatQuality(report) {
+  if (!report) {
+    return ['Quality: none'];
+  }
+  
+  const { metrics } = report;
+  const lines = [`Quality: ${report.status} after ${report.attempts} attempt(s) (${metrics.wordCount} words, reading ease ${metrics.readingEase}, grade ${metrics.gradeLevel}, ${metrics.sections} sections)`];
+  for (const rule of report.rules) {
+    lines.push(`  [${rule.passed ? 'pass' : 'fail'}] ${rule.rule}: ${rule.actual} (expected ${rule.expected})`);
+  }
+  
+  return lines;
+}
+
+function formatFactCheck(report) {
+  if (!report) {
+    return ['Fact check: none'];
+  }
+  
+  const { total, supported, rewritten, removed, unresolved } = report.summary;
+  const lines = [`Fact check: ${report.status} (${total} claims: ${supported} supported, ${rewritten} rewritten, ${removed} removed, ${unresolved} unresolved)`];
+  
+  // Everything the check changed or could not settle, for the reviewer to confirm
+  for (const claim of report.claims.filter(c => c.action !== 'kept')) {
+    const change = claim.action === 'rewritten' ? ` -> ${claim.rewrite}` : '';
+    lines.push(`  [${claim.action}] ${claim.text}${change}`);
+    lines.push(`    ${claim.verdict}: ${claim.evidence || 'no evidence given'}`);
+  }
+  if (report.error) {
+    lines.push(`  Error: ${report.error}`);
+  }
+  
+  return lines;
+}
+
+function formatOriginality(report) {
+  if (!report) {
+    return ['Originality: none'];
+  }
+  
+  const lines = [`Originality: ${report.status} (max ${report.maxOverlap}% shingle overlap, limit ${report.maxOverlapPercent}%)`];
+  for (const comparison of report.comparisons.filter(c => c.overlap > 0)) {
+    lines.push(`  ${comparison.overlap}% with ${comparison.kind} "${comparison.title || comparison.url}"`);
+    for (const span of comparison.longestSpans) {
+      lines.push(`    ${span.words} words: ${span.text}`);
+    }
+  }
+  
+  return lines;
+}
+
+function formatStyle(report) {
+  if (!report) {
+    return ['Style: none'];
+  }
+  
+  const rules = {};
+  for (const edit of report.edits) {
+    rules[edit.rule] = (rules[edit.rule] || 0) + 1;
+  }
+  const counts = Object.entries(rules).map(([rule, count]) => `${count} ${rule}`).join(', ');
+  const lines = [`Style: ${report.edits.length} edits${counts ? ` (${counts})` : ''}, ${report.warnings.length} long sentences left`];
+  
+  for (const warning of report.warnings) {
+    lines.push(`  line ${warning.line}, ${warning.words} words: ${warning.text}`);
+  }
+  if (report.diff) {
+    lines.push(...report.diff.split('\n').map(line => `  ${line}`));
+  }
+  
+  return lines;
+}
+
+// Template name@version, with the niche whose override was used
+function formatPrompts(metadata) {
+  const prompts = (metadata && metadata.prompts) || [];
+  if (prompts.length === 0) {
+    return 'not recorded';
+  }
+  return prompts.map(p => `${p.name}@${p.version}${p.niche ? ` (${p.niche})` : ''}`).join(', ');
+}
+
+function formatPublished(record) {
+  const date = record.published_at ? record.published_at.substring(0, 10) : 'unknown date';
+  const score = record.fes2 && record.fes2.score !== undefined ? `FES2 ${record.fes2.score}` : 'FES2 -';
+  const words = record.word_count ? `${record.word_count} words` : '- words';
+  return `${date}  ${score}  ${words}  ${record.title || record.topic.text || record.topic.hash}  ${record.url || ''}`.trimEnd();
+}
+
+function review(argv, draftStore = new DraftStore(), stateManager = null) {
+  const [command, id, ...rest] = argv;
+  const notes = rest.join(' ') || null;
+
+  switch (command) {
+    case 'list': {
+      const drafts = draftStore.list(id || null);
+      return drafts.length > 0 ? drafts.map(formatDraft).join('\n') : 'No drafts found';
+    }
+    case 'show': {
+      const draft = draftStore.load(id);
+      return [
+        formatDraft(draft),
+        `Topic: ${draft.topic.text} (source: ${draft.topic.source})`,
+        ...formatQuality(draft.quality),
+        `Image: ${draft.image ? draft.image.attribution : 'none'}`,
+        ...formatFactCheck(draft.fact_check),
+        ...formatOriginality(draft.originality),
+        ...formatStyle(draft.style),
+        `Prompts: ${formatPrompts(draft.article.metadata)}`,
+        `Reviewer notes: ${draft.review.notes || 'none'}`,
+        '',
+        draft.article.content
+      ].join('\n');
+    }
+    case 'approve':
+      return formatDraft(draftStore.approve(id, notes));
+    case 'reject':
+      if (!notes) {
+        throw new Error('Rejecting a draft needs reviewer notes');
+      }
+      return formatDraft(draftStore.reject(id, notes));
+    case 'regenerate':
+      return formatDraft(draftStore.requestRegeneration(id, notes));
+    case 'published': {
+      const state = stateManager || createStateManager(loadConfig().state);
+      try {
+        // Records migrated without a publish time sort last
+        const records = [...state.getPublishedArticles()]
+          .sort((a, b) => (b.published_at || '').localeCompare(a.published_at || ''));
+        return records.length > 0 ? records.map(formatPublished).join('\n') : 'Nothing published yet';
+      } finally {
+        if (!stateManager) {
+          state.close();
+        }
+      }
+    }
+    default:
+      return USAGE;
+  }
+}
+
+if (require.main === module) {
+  try {
+    console.log(review(process.argv.slice(2)));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { review };
@@ -0,0 +1,85 @@
+const path = require('path');
+const TopicSource = require('./topicSource');
+
+// Editor-suggested topics from a local file: CSV with a "topic" column (plus
+// optional "url" and "notes"), or plain text with one topic per line
+class FileSource extends TopicSource {
+  async fetchTopics() {
+    const filePath = this.requireOption('path');
+    const text = await this.context.readFile(filePath);
+
+    return path.extname(filePath).toLowerCase() === '.csv'
+      ? parseTopicsCsv(text)
+      : parseTopicsText(text);
+  }
+}
+
+function parseTopicsText(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(title => ({ title }));
+}
+
+function parseTopicsCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const column = name => header.indexOf(name);
+  if (column('topic') === -1) {
+    throw new Error('CSV has no "topic" column');
+  }
+
+  return rows.slice(1).map(row => ({
+    title: (row[column('topic')] || '').trim(),
+    url: column('url') !== -1 ? (row[column('url')] || '').trim() || null : null,
+    context: column('notes') !== -1 ? (row[column('notes')] || '').trim() || null : null
+  }));
+}
+
+// RFC 4180 style: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+module.exports = FileSource;
+module.exports.parseCsv = parseCsv;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const cheerio = require('cheerio');
+const TopicSource = require('./topicSource');
+
+const API_URL = 'https://hacker-news.firebaseio.com/v0';
+
+// Hacker News through the official Firebase API instead of the front page HTML
+class HackerNewsSource extends TopicSource {
+  async fetchTopics() {
+    const list = this.options.list || 'topstories';
+    const excludePrefixes = (this.options.excludePrefixes || []).map(prefix => prefix.toLowerCase());
+
+    const ids = (await this.request(`${API_URL}/${list}.json`)).data || [];
+    const topics = [];
+
+    // Items are fetched one by one until enough stories survive the filters
+    for (const id of ids) {
+      if (topics.length >= this.limit) break;
+
+      const item = (await this.request(`${API_URL}/item/${id}.json`)).data;
+      if (!item || item.type !== 'story' || item.dead || item.deleted || !item.title) continue;
+      if (excludePrefixes.some(prefix => item.title.toLowerCase().startsWith(prefix))) continue;
+
+      topics.push({
+        title: item.title,
+        url: item.url || `https://news.ycombinator.com/item?id=${item.id}`,
+        context: htmlToText(item.text)
+      });
+    }
+
+    return topics;
+  }
+}
+
+// Ask and Show HN text is HTML: paragraphs open with a bare <p>, links and entities are encoded
+function htmlToText(html) {
+  if (!html) return null;
+  return cheerio.load(html.replace(/<p>/gi, ' <p>')).text().replace(/\s+/g, ' ').trim() || null;
+}
+
+module.exports = HackerNewsSource;
+module.exports.API_URL = API_URL;
\ No newline at end of file
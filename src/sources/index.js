@@ -0,0 +1,29 @@
+const RssSource = require('./rssSource');
+const HackerNewsSource = require('./hackerNewsSource');
+const RedditSource = require('./redditSource');
+const FileSource = require('./fileSource');
+
+// Source type name -> class, as used in the niche's sources list
+const SOURCE_TYPES = {
+  'rss': RssSource,
+  'hackernews': HackerNewsSource,
+  'reddit': RedditSource,
+  'file': FileSource
+};
+
+// context: { fetch(url, options), readFile(path), niche }
+function createSources(definitions = [], context = {}) {
+  return definitions
+    .filter(definition => definition.enabled !== false)
+    .map(definition => {
+      const Source = SOURCE_TYPES[definition.type];
+
+      if (!Source) {
+        throw new Error(`Unknown topic source type "${definition.type}". Expected one of: ${Object.keys(SOURCE_TYPES).join(', ')}`);
+      }
+
+      return new Source(definition, context);
+    });
+}
+
+module.exports = { createSources, SOURCE_TYPES };
\ No newline at end of file
@@ -0,0 +1,31 @@
+const TopicSource = require('./topicSource');
+
+// Top posts of the chosen subreddits from the public JSON listing
+class RedditSource extends TopicSource {
+  async fetchTopics() {
+    // Without an explicit list, pull the niche pillars' subreddits
+    const subreddits = this.options.subreddits || (this.context.niche ? this.context.niche.subreddits() : []);
+    if (subreddits.length === 0) {
+      throw new Error(`RedditSource "${this.name}" has no subreddits to read`);
+    }
+
+    const timeframe = this.options.timeframe || 'day';
+    const response = await this.request(`https://www.reddit.com/r/${subreddits.join('+')}/top/.json?t=${timeframe}&limit=${this.limit}`, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'
+      }
+    });
+
+    return response.data.data.children
+      .map(post => post.data)
+      .filter(post => !post.over_18 && !post.stickied)
+      .filter(post => post.title.length > 10 && post.title.length < 100) // Filter reasonable lengths
+      .map(post => ({
+        title: post.title,
+        url: post.url || (post.permalink ? `https://www.reddit.com${post.permalink}` : null),
+        context: post.selftext || null
+      }));
+  }
+}
+
+module.exports = RedditSource;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const cheerio = require('cheerio');
+const TopicSource = require('./topicSource');
+
+// Any RSS 2.0 or Atom feed: one topic per item or entry
+class RssSource extends TopicSource {
+  async fetchTopics() {
+    const response = await this.request(this.requireOption('url'), { responseType: 'text' });
+    return parseFeed(response.data);
+  }
+}
+
+function parseFeed(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  // RSS puts the link in the element text, Atom in an href attribute
+  const items = $('item').length > 0 ? $('item') : $('entry');
+
+  return items.toArray().map(el => {
+    const item = $(el);
+    const link = item.children('link').first();
+    const summary = item.children('description, summary, content').first().text();
+
+    return {
+      title: item.children('title').first().text().trim(),
+      url: (link.attr('href') || link.text()).trim() || null,
+      context: cheerio.load(summary).text().replace(/\s+/g, ' ').trim() || null
+    };
+  });
+}
+
+module.exports = RssSource;
+module.exports.parseFeed = parseFeed;
\ No newline at end of file
@@ -0,0 +1,79 @@
+const logger = require('../utils/logger');
+
+// Common contract for every topic source:
+//   fetchTopics()  -> [{ title, url, context }] fresh from the source
+//   collect()      -> the same items with provenance attached; never throws
+// Options shared by all sources:
+//   name           -> label recorded as the topic's source
+//   weight         -> multiplier applied to the FES2 score of topics from this source
+//   limit          -> maximum topics taken per run
+//   minIntervalMs  -> minimum gap between two requests to the source
+class TopicSource {
+  constructor(options = {}, context = {}) {
+    this.options = options;
+    this.context = context;
+    this.weight = options.weight !== undefined ? options.weight : 1;
+    this.limit = options.limit || 25;
+    this.minIntervalMs = options.minIntervalMs || 0;
+    this.lastRequestAt = 0;
+  }
+
+  get name() {
+    return this.options.name || this.type;
+  }
+
+  get type() {
+    return this.constructor.name;
+  }
+
+  async fetchTopics() {
+    throw new Error(`${this.type} does not implement fetchTopics()`);
+  }
+
+  async collect() {
+    try {
+      const fetchedAt = new Date().toISOString();
+      const items = (await this.fetchTopics())
+        .filter(item => item && item.title)
+        .slice(0, this.limit);
+
+      logger.info(`Source ${this.name}: ${items.length} topics`);
+
+      return items.map(item => ({
+        title: item.title.trim(),
+        url: item.url || null,
+        context: item.context || null,
+        provenance: {
+          source: this.name,
+          type: this.options.type || this.type,
+          url: item.url || null,
+          fetchedAt,
+          weight: this.weight
+        }
+      }));
+    } catch (error) {
+      logger.error(`Source ${this.name} failed:`, error.message);
+      return [];
+    }
+  }
+
+  // Every request goes through the discovery fetch seam, spaced by minIntervalMs
+  async request(url, options = {}) {
+    const wait = this.lastRequestAt + this.minIntervalMs - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    this.lastRequestAt = Date.now();
+
+    return this.context.fetch(url, options);
+  }
+
+  requireOption(key) {
+    if (!this.options[key]) {
+      throw new Error(`${this.type} "${this.name}" requires the "${key}" option`);
+    }
+    return this.options[key];
+  }
+}
+
+module.exports = TopicSource;
\ No newline at end of file
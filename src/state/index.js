@@ -0,0 +1,27 @@
+const path = require('path');
+const StateManager = require('./stateManager');
+const YamlStateManager = require('./yamlStateManager');
+const SqliteStateManager = require('./sqliteStateManager');
+const { DEFAULTS } = require('../utils/config');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// Backend name -> class and the file it keeps state in unless config.state.file says otherwise
+const BACKENDS = {
+  yaml: { StateManager: YamlStateManager, fileName: 'state.yaml' },
+  sqlite: { StateManager: SqliteStateManager, fileName: 'state.db' }
+};
+
+// The state file is resolved against dir: the repo root, or a dry run's output directory
+function createStateManager(config = DEFAULTS.state, dir = ROOT_DIR) {
+  const backend = BACKENDS[config.backend || 'yaml'];
+
+  if (!backend) {
+    throw new Error(`Unknown state backend "${config.backend}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  const file = path.resolve(dir, config.file || backend.fileName);
+  return new backend.StateManager({ ...config, file });
+}
+
+module.exports = { createStateManager, BACKENDS, StateManager, YamlStateManager, SqliteStateManager };
\ No newline at end of file
@@ -0,0 +1,449 @@
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const moment = require('moment');
+const StateManager = require('./stateManager');
+const logger = require('../utils/logger');
+const {
+  SCHEMA_VERSION,
+  LIMITS,
+  articleRecord,
+  scoredTopicRecord,
+  errorTrace,
+  disclosureEntry,
+  safetyEntry
+} = require('./stateSchema');
+
+// Records keep their full JSON; the columns beside them are what the queries filter and sort on
+const TABLES = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+  CREATE TABLE IF NOT EXISTS topic_history (hash TEXT PRIMARY KEY);
+  CREATE TABLE IF NOT EXISTS published_articles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    topic_hash TEXT NOT NULL,
+    source TEXT,
+    title TEXT,
+    url TEXT,
+    published_at TEXT,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS published_articles_published_at ON published_articles (published_at);
+  CREATE TABLE IF NOT EXISTS scored_topics (
+    hash TEXT PRIMARY KEY,
+    topic TEXT,
+    source TEXT,
+    pillar TEXT,
+    score REAL,
+    best_score REAL,
+    first_scored_at TEXT,
+    last_scored_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS scored_topics_best_score ON scored_topics (best_score);
+  CREATE TABLE IF NOT EXISTS score_cache (hash TEXT PRIMARY KEY, scored_at TEXT NOT NULL, fes2 TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS topic_backlog (position INTEGER PRIMARY KEY, entry TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS safety_log (id INTEGER PRIMARY KEY AUTOINCREMENT, hash TEXT, action TEXT, entry TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS error_traces (id INTEGER PRIMARY KEY AUTOINCREMENT, entry TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS disclosure_log (id INTEGER PRIMARY KEY AUTOINCREMENT, entry TEXT NOT NULL);
+`;
+
+// Scalar sections of the state document, kept as JSON in the meta table
+const META_FIELDS = ['last_publish_date', 'last_topic_hash', 'consecutive_low_scores'];
+
+// Hand-edited YAML can load timestamps as Dates, which cannot be bound as parameters
+const bindable = value => (value instanceof Date ? value.toISOString() : value === undefined ? null : value);
+
+// State in a SQLite file: every change is one transaction and nothing is rewritten wholesale,
+// so history, caches and article records can grow without slowing each save down
+class SqliteStateManager extends StateManager {
+  constructor(options = {}) {
+    super(options);
+
+    // A new file has nothing worth backing up before its first write
+    this.backedUp = !fs.existsSync(this.file);
+    this.db = this.open();
+  }
+
+  open() {
+    let db;
+    try {
+      db = new Database(this.file);
+      const check = db.pragma('quick_check', { simple: true });
+      if (check !== 'ok') {
+        throw new Error(check);
+      }
+      db.exec(TABLES);
+    } catch (error) {
+      if (db) {
+        db.close();
+      }
+      throw this.corruptionError(error.message);
+    }
+
+    const version = this.readMeta(db, 'schema_version');
+    if (version === null) {
+      this.writeMeta(db, 'schema_version', SCHEMA_VERSION);
+    } else if (version > SCHEMA_VERSION) {
+      db.close();
+      throw new Error(`State schema v${version} is newer than this version supports (v${SCHEMA_VERSION})`);
+    } else if (version < SCHEMA_VERSION) {
+      // Older files go through the same migrations as state.yaml and are written back whole
+      this.db = db;
+      this.importState(this.exportState());
+      logger.info(`Migrated state from schema v${version} to v${SCHEMA_VERSION}`);
+    }
+
+    return db;
+  }
+
+  readMeta(db, key) {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  writeMeta(db, key, value) {
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, JSON.stringify(bindable(value)));
+  }
+
+  getMeta(key) {
+    return this.readMeta(this.db, key);
+  }
+
+  setMeta(key, value) {
+    this.writeMeta(this.db, key, value);
+  }
+
+  // Every change runs in one immediate transaction. Without the run lock, a change is refused
+  // while another process holds it, as the YAML backend's transient lock would
+  write(change) {
+    try {
+      this.checkLock();
+      this.backup();
+      this.db.transaction(() => {
+        this.checkLock();
+        change();
+      }).immediate();
+      return true;
+    } catch (error) {
+      logger.error('Saving state failed:', error.message);
+      return false;
+    }
+  }
+
+  checkLock() {
+    if (this.lockHeld) {
+      return;
+    }
+    const holder = this.getMeta('lock');
+    if (holder && !this.isStaleLock(holder)) {
+      throw this.lockedError(holder);
+    }
+  }
+
+  backup() {
+    this.rotateBackups(backupFile => {
+      this.db.prepare('VACUUM INTO ?').run(backupFile);
+    });
+  }
+
+  // The lock is a row in meta, taken in a transaction so two runs cannot both see it free
+  lock() {
+    if (this.lockHeld) {
+      return;
+    }
+
+    const current = this.db.transaction(() => {
+      const holder = this.getMeta('lock');
+      if (holder && !this.isStaleLock(holder)) {
+        return holder;
+      }
+      if (holder) {
+        logger.warn(`Taking over stale state lock held by pid ${holder.pid} on ${holder.host} since ${holder.locked_at}`);
+      }
+      this.setMeta('lock', this.newLockHolder());
+      return null;
+    }).immediate();
+
+    if (current) {
+      throw this.lockedError(current);
+    }
+    this.lockHeld = true;
+  }
+
+  unlock() {
+    if (!this.lockHeld) {
+      return;
+    }
+    this.lockHeld = false;
+    this.db.prepare('DELETE FROM meta WHERE key = ?').run('lock');
+  }
+
+  close() {
+    if (!this.db.open) {
+      return;
+    }
+    this.unlock();
+    this.db.close();
+  }
+
+  getLastPublishDate() {
+    return this.getMeta('last_publish_date');
+  }
+
+  getConsecutiveLowScores() {
+    return this.getMeta('consecutive_low_scores') || 0;
+  }
+
+  updateLastPublish(topicHash) {
+    return this.write(() => {
+      this.setMeta('last_publish_date', moment().toISOString());
+      this.setMeta('last_topic_hash', topicHash);
+      this.db.prepare('INSERT OR IGNORE INTO topic_history (hash) VALUES (?)').run(topicHash);
+      // Reset consecutive low scores on successful publish
+      this.setMeta('consecutive_low_scores', 0);
+    });
+  }
+
+  incrementLowScores() {
+    return this.write(() => this.setMeta('consecutive_low_scores', this.getConsecutiveLowScores() + 1));
+  }
+
+  resetLowScores() {
+    return this.write(() => this.setMeta('consecutive_low_scores', 0));
+  }
+
+  addErrorTrace(error) {
+    return this.write(() => {
+      this.db.prepare('INSERT INTO error_traces (entry) VALUES (?)').run(JSON.stringify(errorTrace(error)));
+      // Keep only the most recent errors
+      this.trim('error_traces', LIMITS.errorTraces);
+    });
+  }
+
+  recordDisclosure(topicHash, url, disclosure) {
+    return this.write(() => {
+      this.db.prepare('INSERT INTO disclosure_log (entry) VALUES (?)')
+        .run(JSON.stringify(disclosureEntry(topicHash, url, disclosure)));
+    });
+  }
+
+  recordPublishedArticle(draft, url) {
+    return this.write(() => this.insertArticle(articleRecord(draft, url)));
+  }
+
+  insertArticle(record) {
+    this.db.prepare(`
+      INSERT INTO published_articles (topic_hash, source, title, url, published_at, record)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(record.topic.hash, record.topic.source || null, record.title || null, record.url || null, bindable(record.published_at), JSON.stringify(record));
+  }
+
+  getPublishedArticles({ sinceDays } = {}) {
+    const cutoff = this.cutoff(sinceDays);
+    const rows = cutoff
+      ? this.db.prepare('SELECT record FROM published_articles WHERE published_at >= ? ORDER BY id').all(cutoff)
+      : this.db.prepare('SELECT record FROM published_articles ORDER BY id').all();
+    return rows.map(row => JSON.parse(row.record));
+  }
+
+  getCachedScore(topicHash, ttlHours) {
+    const row = this.db.prepare('SELECT scored_at, fes2 FROM score_cache WHERE hash = ?').get(topicHash);
+    if (!row) return null;
+
+    const ageHours = moment().diff(moment(row.scored_at), 'hours', true);
+    // scored_at travels along so callers can tell when the score was really given
+    return ageHours < ttlHours ? { ...JSON.parse(row.fes2), scored_at: row.scored_at } : null;
+  }
+
+  cacheScores(scores, ttlHours) {
+    const now = moment();
+
+    return this.write(() => {
+      // Drop expired entries so the cache does not grow without bound
+      this.db.prepare('DELETE FROM score_cache WHERE scored_at <= ?').run(now.clone().subtract(ttlHours, 'hours').toISOString());
+
+      const upsert = this.db.prepare(`
+        INSERT INTO score_cache (hash, scored_at, fes2) VALUES (?, ?, ?)
+        ON CONFLICT (hash) DO UPDATE SET scored_at = excluded.scored_at, fes2 = excluded.fes2
+      `);
+      for (const { hash, fes2 } of scores) {
+        upsert.run(hash, now.toISOString(), JSON.stringify(fes2));
+      }
+    });
+  }
+
+  // Latest and best score of every scored topic, without the cap the YAML backend needs
+  recordScoredTopics(topics) {
+    const now = new Date().toISOString();
+
+    return this.write(() => {
+      const previous = this.db.prepare('SELECT * FROM scored_topics WHERE hash = ?');
+      for (const topic of topics.filter(t => t.score !== null && t.score !== undefined)) {
+        this.insertScoredTopic(scoredTopicRecord(topic, previous.get(topic.hash), now));
+      }
+    });
+  }
+
+  insertScoredTopic(entry) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO scored_topics (hash, topic, source, pillar, score, best_score, first_scored_at, last_scored_at)
+      VALUES (@hash, @topic, @source, @pillar, @score, @best_score, @first_scored_at, @last_scored_at)
+    `).run({
+      hash: entry.hash,
+      topic: entry.topic || null,
+      source: entry.source || null,
+      pillar: entry.pillar || null,
+      score: bindable(entry.score),
+      best_score: bindable(entry.best_score),
+      first_scored_at: bindable(entry.first_scored_at),
+      last_scored_at: bindable(entry.last_scored_at)
+    });
+  }
+
+  getScoredTopics({ minScore } = {}) {
+    return minScore !== undefined && minScore !== null
+      ? this.db.prepare('SELECT * FROM scored_topics WHERE best_score > ? ORDER BY last_scored_at').all(minScore)
+      : this.db.prepare('SELECT * FROM scored_topics ORDER BY last_scored_at').all();
+  }
+
+  getTopicBacklog() {
+    return this.db.prepare('SELECT entry FROM topic_backlog ORDER BY position').all()
+      .map(row => JSON.parse(row.entry));
+  }
+
+  saveTopicBacklog(entries) {
+    return this.write(() => this.replaceBacklog(entries));
+  }
+
+  replaceBacklog(entries) {
+    this.db.prepare('DELETE FROM topic_backlog').run();
+    const insert = this.db.prepare('INSERT INTO topic_backlog (position, entry) VALUES (?, ?)');
+    entries.forEach((entry, position) => insert.run(position, JSON.stringify(entry)));
+  }
+
+  recordSafetyDecisions(topics) {
+    return this.write(() => {
+      const remove = this.db.prepare('DELETE FROM safety_log WHERE hash = ?');
+      for (const topic of topics) {
+        remove.run(topic.hash);
+      }
+
+      // Dropped and quarantined candidates with the reasons, newest last
+      topics.map(safetyEntry).forEach(entry => this.insertSafetyEntry(entry));
+
+      // Keep only the most recent decisions
+      this.trim('safety_log', LIMITS.safetyLog);
+    });
+  }
+
+  insertSafetyEntry(entry) {
+    this.db.prepare('INSERT INTO safety_log (hash, action, entry) VALUES (?, ?, ?)')
+      .run(entry.hash || null, entry.action || null, JSON.stringify(entry));
+  }
+
+  getQuarantinedTopics() {
+    return this.db.prepare("SELECT entry FROM safety_log WHERE action = 'quarantine' ORDER BY id").all()
+      .map(row => JSON.parse(row.entry));
+  }
+
+  isTopicProcessed(topicHash) {
+    return Boolean(this.db.prepare('SELECT 1 FROM topic_history WHERE hash = ?').get(topicHash));
+  }
+
+  addTopicToHistory(topicHash) {
+    return this.write(() => {
+      this.db.prepare('INSERT OR IGNORE INTO topic_history (hash) VALUES (?)').run(topicHash);
+    });
+  }
+
+  // Keeps the newest `limit` rows of a log table
+  trim(table, limit) {
+    this.db.prepare(`DELETE FROM ${table} WHERE id NOT IN (SELECT id FROM ${table} ORDER BY id DESC LIMIT ?)`).run(limit);
+  }
+
+  publishedBySource(days = 30) {
+    return this.db.prepare(`
+      SELECT source, COUNT(*) AS count,
+        json_group_array(json_object('title', title, 'url', url, 'published_at', published_at)) AS articles
+      FROM (SELECT COALESCE(source, 'unknown') AS source, title, url, published_at
+        FROM published_articles WHERE published_at >= ? ORDER BY id)
+      GROUP BY source
+      ORDER BY count DESC, source
+    `).all(this.cutoff(days))
+      .map(row => ({ source: row.source, count: row.count, articles: JSON.parse(row.articles) }));
+  }
+
+  highScoringUnpublished(minScore = 88) {
+    return this.db.prepare(`
+      SELECT * FROM scored_topics
+      WHERE best_score > ? AND NOT EXISTS (SELECT 1 FROM topic_history WHERE topic_history.hash = scored_topics.hash)
+      ORDER BY best_score DESC
+    `).all(minScore);
+  }
+
+  // The whole state as one document in the state.yaml layout
+  exportState() {
+    const rows = (sql, column) => this.db.prepare(sql).all().map(row => JSON.parse(row[column]));
+    const state = { schema_version: this.getMeta('schema_version') };
+    for (const field of META_FIELDS) {
+      state[field] = this.getMeta(field);
+    }
+    state.consecutive_low_scores = state.consecutive_low_scores || 0;
+
+    state.topic_history = this.db.prepare('SELECT hash FROM topic_history ORDER BY rowid').all().map(row => row.hash);
+    state.published_articles = rows('SELECT record FROM published_articles ORDER BY id', 'record');
+    state.scored_topics = this.getScoredTopics();
+    state.score_cache = {};
+    for (const row of this.db.prepare('SELECT * FROM score_cache').all()) {
+      state.score_cache[row.hash] = { scored_at: row.scored_at, fes2: JSON.parse(row.fes2) };
+    }
+    state.topic_backlog = this.getTopicBacklog();
+    state.safety_log = rows('SELECT entry FROM safety_log ORDER BY id', 'entry');
+    state.error_traces = rows('SELECT entry FROM error_traces ORDER BY id', 'entry');
+    state.disclosure_log = rows('SELECT entry FROM disclosure_log ORDER BY id', 'entry');
+    return state;
+  }
+
+  // Replaces every table in one transaction, under the lock, after backing up the file
+  importState(document) {
+    const state = this.prepareImport(document);
+    const transientLock = !this.lockHeld;
+
+    this.lock();
+    try {
+      this.backup();
+      this.db.transaction(() => {
+        for (const table of ['topic_history', 'published_articles', 'scored_topics', 'score_cache', 'topic_backlog', 'safety_log', 'error_traces', 'disclosure_log']) {
+          this.db.prepare(`DELETE FROM ${table}`).run();
+        }
+
+        this.setMeta('schema_version', state.schema_version);
+        for (const field of META_FIELDS) {
+          this.setMeta(field, state[field]);
+        }
+
+        const history = this.db.prepare('INSERT OR IGNORE INTO topic_history (hash) VALUES (?)');
+        state.topic_history.forEach(hash => history.run(hash));
+        state.published_articles.forEach(record => this.insertArticle(record));
+        state.scored_topics.forEach(entry => this.insertScoredTopic(entry));
+
+        const cache = this.db.prepare('INSERT INTO score_cache (hash, scored_at, fes2) VALUES (?, ?, ?)');
+        for (const [hash, entry] of Object.entries(state.score_cache)) {
+          cache.run(hash, bindable(entry.scored_at), JSON.stringify(entry.fes2));
+        }
+
+        this.replaceBacklog(state.topic_backlog);
+        state.safety_log.forEach(entry => this.insertSafetyEntry(entry));
+        const errors = this.db.prepare('INSERT INTO error_traces (entry) VALUES (?)');
+        state.error_traces.forEach(entry => errors.run(JSON.stringify(entry)));
+        const disclosures = this.db.prepare('INSERT INTO disclosure_log (entry) VALUES (?)');
+        state.disclosure_log.forEach(entry => disclosures.run(JSON.stringify(entry)));
+      }).immediate();
+    } finally {
+      if (transientLock) {
+        this.unlock();
+      }
+    }
+  }
+}
+
+module.exports = SqliteStateManager;
\ No newline at end of file
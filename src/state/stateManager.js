@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const moment = require('moment');
+const { migrate, validate } = require('./stateSchema');
+
+// Common contract for every state backend. Mutations persist before they return true; one that
+// could not be saved logs why and returns false, so callers that must not lose a write check it.
+//   lock() / unlock() / close()        hold the state for one run; close() also releases the lock
+//   getLastPublishDate(), getConsecutiveLowScores()
+//   updateLastPublish(hash), incrementLowScores(), resetLowScores()
+//   addErrorTrace(error), recordDisclosure(hash, url, disclosure)
+//   recordPublishedArticle(draft, url), getPublishedArticles({ sinceDays })
+//   getCachedScore(hash, ttlHours), cacheScores(scores, ttlHours)
+//   recordScoredTopics(topics), getScoredTopics({ minScore })
+//   getTopicBacklog(), saveTopicBacklog(entries)
+//   recordSafetyDecisions(topics), getQuarantinedTopics()
+//   isTopicProcessed(hash), addTopicToHistory(hash)
+//   exportState() -> state document in the state.yaml layout, importState(document) replaces everything
+// The publish rules, deduplication history and query helpers below are built on that contract;
+// a backend may override the query helpers with something faster
+class StateManager {
+  // options: file, backups (rotated copies kept), staleLockMinutes (age after which a lock is taken over)
+  constructor(options = {}) {
+    this.file = options.file;
+    this.backups = options.backups !== undefined ? options.backups : 5;
+    this.staleLockMs = (options.staleLockMinutes || 120) * 60 * 1000;
+    this.lockHeld = false;
+    this.backedUp = false;
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  canPublish() {
+    const lastPublishDate = this.getLastPublishDate();
+    if (!lastPublishDate) return true;
+
+    return moment().diff(moment(lastPublishDate), 'hours') >= 24;
+  }
+
+  shouldAbort() {
+    return this.getConsecutiveLowScores() >= 3;
+  }
+
+  // Published topics in the last `days` days, in the shape topic deduplication compares against
+  getRecentPublishedTopics(days) {
+    return this.getPublishedArticles({ sinceDays: days })
+      .filter(record => record.topic.fingerprint)
+      .map(record => ({
+        hash: record.topic.hash,
+        text: record.topic.text,
+        fingerprint: record.topic.fingerprint,
+        title: record.title,
+        url: record.url,
+        published_at: record.published_at
+      }));
+  }
+
+  // Articles published in the last `days` days grouped by topic source, busiest source first:
+  // [{ source, count, articles: [{ title, url, published_at }] }]
+  publishedBySource(days = 30) {
+    const groups = new Map();
+    for (const record of this.getPublishedArticles({ sinceDays: days })) {
+      const source = record.topic.source || 'unknown';
+      if (!groups.has(source)) {
+        groups.set(source, []);
+      }
+      groups.get(source).push({ title: record.title, url: record.url, published_at: record.published_at });
+    }
+
+    return [...groups.entries()]
+      .map(([source, articles]) => ({ source, count: articles.length, articles }))
+      .sort((a, b) => b.count - a.count || a.source.localeCompare(b.source));
+  }
+
+  // Topics whose best FES2 score was above minScore but that were never published, best first
+  highScoringUnpublished(minScore = 88) {
+    return this.getScoredTopics({ minScore })
+      .filter(entry => !this.isTopicProcessed(entry.hash))
+      .sort((a, b) => b.best_score - a.best_score);
+  }
+
+  // An imported document is migrated and validated like a loaded one before it replaces anything
+  prepareImport(document) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      throw new Error('Imported state is not a mapping');
+    }
+
+    const { state } = migrate(document);
+    const problems = validate(state);
+    if (problems.length > 0) {
+      throw new Error(`Imported state is invalid: ${problems.join('; ')}`);
+    }
+    return state;
+  }
+
+  cutoff(sinceDays) {
+    return sinceDays !== undefined && sinceDays !== null ? moment().subtract(sinceDays, 'days').toISOString() : null;
+  }
+
+  newLockHolder() {
+    return { pid: process.pid, host: os.hostname(), locked_at: new Date().toISOString() };
+  }
+
+  // Stale when older than staleLockMs, or held by a process on this host that has exited
+  isStaleLock(holder) {
+    if (Date.now() - Date.parse(holder.locked_at) > this.staleLockMs) {
+      return true;
+    }
+    if (holder.host !== os.hostname() || !holder.pid) {
+      return false;
+    }
+    try {
+      process.kill(holder.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  lockedError(holder) {
+    return new Error(`State file ${this.file} is locked by pid ${holder.pid} on ${holder.host} since ${holder.locked_at}`);
+  }
+
+  // Keeps the state as it was before this instance's first write: .1.bak is the newest copy.
+  // copyTo(path) writes the current state to a backup file that does not exist yet
+  rotateBackups(copyTo) {
+    if (this.backedUp || this.backups <= 0 || !fs.existsSync(this.file)) {
+      return;
+    }
+
+    fs.rmSync(this.backupFile(this.backups), { force: true });
+    for (let n = this.backups - 1; n >= 1; n--) {
+      if (fs.existsSync(this.backupFile(n))) {
+        fs.renameSync(this.backupFile(n), this.backupFile(n + 1));
+      }
+    }
+    copyTo(this.backupFile(1));
+    this.backedUp = true;
+  }
+
+  backupFile(n) {
+    return `${this.file}.${n}.bak`;
+  }
+
+  listBackups() {
+    const files = [];
+    for (let n = 1; n <= Math.max(this.backups, 1); n++) {
+      if (fs.existsSync(this.backupFile(n))) {
+        files.push(this.backupFile(n));
+      }
+    }
+    return files;
+  }
+
+  corruptionError(reason) {
+    const backups = this.listBackups();
+    const restore = backups.length > 0
+      ? `Restore the newest good backup (${backups.join(', ')}) or fix the file by hand.`
+      : 'No backups were found; fix the file by hand or restore it from git.';
+
+    return new Error(`State file ${this.file} is corrupt (${reason}). Refusing to start rather than reset it. ${restore}`);
+  }
+}
+
+module.exports = StateManager;
\ No newline at end of file
@@ -0,0 +1,246 @@
+const { normalizeTopic, fingerprint } = require('../utils/similarity');
+
+// Bump with a migration below whenever the shape of state.yaml changes
+const SCHEMA_VERSION = 3;
+
+function defaultState() {
+  return {
+    schema_version: SCHEMA_VERSION,
+    last_publish_date: null,
+    last_topic_hash: null,
+    topic_history: [],
+    published_articles: [],
+    scored_topics: [],
+    score_cache: {},
+    topic_backlog: [],
+    safety_log: [],
+    error_traces: [],
+    disclosure_log: [],
+    consecutive_low_scores: 0
+  };
+}
+
+// One scored topic as kept in state.scored_topics, updated each time the topic is scored again
+function scoredTopicRecord(topic, previous, now) {
+  return {
+    hash: topic.hash,
+    topic: topic.topic,
+    source: topic.source || null,
+    pillar: topic.pillar || null,
+    score: topic.score,
+    best_score: previous && previous.best_score !== null ? Math.max(previous.best_score, topic.score) : topic.score,
+    first_scored_at: previous ? previous.first_scored_at : now,
+    last_scored_at: now
+  };
+}
+
+// One published article as kept in state.published_articles
+function articleRecord(draft, url) {
+  const article = draft.article;
+  const metadata = article.metadata || {};
+  const metrics = draft.quality ? draft.quality.metrics : {};
+  const fes2 = draft.fes2 || {};
+
+  return {
+    draft_id: draft.id,
+    url: url,
+    title: article.title,
+    published_at: new Date().toISOString(),
+    topic: {
+      hash: draft.topic.hash,
+      text: draft.topic.text,
+      normalized: normalizeTopic(draft.topic.text),
+      fingerprint: fingerprint(draft.topic.text),
+      source: draft.topic.source,
+      pillar: draft.topic.pillar || null,
+      url: draft.topic.url || null
+    },
+    fes2: {
+      score: draft.fes2_score,
+      breakdown: fes2.breakdown || null,
+      reasoning: fes2.reasoning || null
+    },
+    word_count: article.wordCount || metrics.wordCount || null,
+    readability: {
+      reading_ease: metrics.readingEase !== undefined ? metrics.readingEase : article.readabilityScore || null,
+      grade_level: metrics.gradeLevel !== undefined ? metrics.gradeLevel : null
+    },
+    image: draft.image
+      ? {
+        url: draft.image.url,
+        uploaded_url: draft.image.uploaded_url || null,
+        photographer: draft.image.photographer || null,
+        attribution: draft.image.attribution || null
+      }
+      : null,
+    models: metadata.models || {},
+    prompts: metadata.prompts || []
+  };
+}
+
+function errorTrace(error) {
+  return { timestamp: new Date().toISOString(), error: error.message, stack: error.stack };
+}
+
+function disclosureEntry(topicHash, url, disclosure) {
+  return {
+    topic_hash: topicHash,
+    url: url,
+    disclosed_at: disclosure.appliedAt,
+    placement: disclosure.placement,
+    tags: disclosure.tags
+  };
+}
+
+// A dropped or quarantined candidate with the safety screen's reasons
+function safetyEntry(topic) {
+  return {
+    hash: topic.hash,
+    topic: topic.topic,
+    action: topic.safety.action,
+    categories: topic.safety.categories,
+    reasons: topic.safety.reasons,
+    method: topic.safety.method,
+    prompt: topic.safety.prompt || null,
+    decided_at: new Date().toISOString()
+  };
+}
+
+// Each migration upgrades state from the version it is keyed by to the next one
+const MIGRATIONS = {
+  // v1 (unversioned): published_topics held hash, text, fingerprint, title and URL, and
+  // topic_history bare hashes. Those become published_articles records, with the details
+  // v1 never kept left null
+  1: state => {
+    const records = (state.published_topics || []).map(entry => ({
+      draft_id: null,
+      url: entry.url || null,
+      title: entry.title || null,
+      published_at: entry.published_at || null,
+      topic: {
+        hash: entry.hash,
+        text: entry.text,
+        normalized: entry.normalized || normalizeTopic(entry.text),
+        fingerprint: entry.fingerprint || fingerprint(entry.text),
+        source: null,
+        pillar: null,
+        url: null
+      },
+      fes2: null,
+      word_count: null,
+      readability: null,
+      image: null,
+      models: {},
+      prompts: [],
+      migrated_from: 1
+    }));
+
+    // Hashes published before published_topics existed are all v1 knows about them
+    const known = new Set(records.map(record => record.topic.hash));
+    for (const hash of state.topic_history || []) {
+      if (!known.has(hash)) {
+        records.push({
+          draft_id: null,
+          url: null,
+          title: null,
+          published_at: hash === state.last_topic_hash ? state.last_publish_date : null,
+          topic: { hash, text: null, normalized: null, fingerprint: null, source: null, pillar: null, url: null },
+          fes2: null,
+          word_count: null,
+          readability: null,
+          image: null,
+          models: {},
+          prompts: [],
+          migrated_from: 1
+        });
+      }
+    }
+
+    const { published_topics, ...rest } = state;
+    return { ...rest, published_articles: records };
+  },
+
+  // v2: no record of scored topics beyond the score cache's TTL. The backlog's queue tier
+  // topics are the only scores v2 kept long enough to seed scored_topics with
+  2: state => ({
+    ...state,
+    scored_topics: (state.topic_backlog || []).map(entry => {
+      const scores = (entry.score_history || []).map(point => point.score);
+      return {
+        hash: entry.hash,
+        topic: entry.topic,
+        source: entry.source || null,
+        pillar: entry.pillar || null,
+        score: scores.length > 0 ? scores[scores.length - 1] : null,
+        best_score: scores.length > 0 ? Math.max(...scores) : null,
+        first_scored_at: entry.first_seen || null,
+        last_scored_at: entry.last_seen || null
+      };
+    })
+  })
+};
+
+const isString = value => typeof value === 'string';
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNullable = check => value => value === null || check(value);
+const isArrayOf = check => value => Array.isArray(value) && value.every(check);
+
+// Expected type of each section; sections not listed here are left alone
+const FIELDS = {
+  schema_version: [Number.isInteger, 'an integer'],
+  // An unquoted timestamp in hand-edited YAML loads as a Date
+  last_publish_date: [isNullable(value => isString(value) || value instanceof Date), 'a date or null'],
+  last_topic_hash: [isNullable(isString), 'a string or null'],
+  topic_history: [isArrayOf(isString), 'a list of topic hashes'],
+  published_articles: [isArrayOf(record => isObject(record) && isObject(record.topic) && isString(record.topic.hash)), 'a list of article records with a topic hash'],
+  scored_topics: [isArrayOf(entry => isObject(entry) && isString(entry.hash)), 'a list of scored topics with a hash'],
+  score_cache: [isObject, 'a mapping of topic hash to score'],
+  topic_backlog: [isArrayOf(isObject), 'a list of backlog entries'],
+  safety_log: [isArrayOf(isObject), 'a list of safety decisions'],
+  error_traces: [isArrayOf(isObject), 'a list of error traces'],
+  disclosure_log: [isArrayOf(isObject), 'a list of disclosure entries'],
+  consecutive_low_scores: [value => Number.isInteger(value) && value >= 0, 'a non-negative integer']
+};
+
+// Problems with a migrated state, as readable strings; an empty list means it is valid
+function validate(state) {
+  if (!isObject(state)) {
+    return ['state is not a mapping'];
+  }
+
+  return Object.entries(FIELDS)
+    .filter(([field, [check]]) => !check(state[field]))
+    .map(([field, [, expected]]) => `${field} should be ${expected}`);
+}
+
+// Upgrades loaded state to SCHEMA_VERSION one migration at a time: { state, from }
+function migrate(state) {
+  const from = state.schema_version || 1;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`State schema v${from} is newer than this version supports (v${SCHEMA_VERSION})`);
+  }
+
+  let migrated = state;
+  for (let version = from; version < SCHEMA_VERSION; version++) {
+    migrated = { ...MIGRATIONS[version](migrated), schema_version: version + 1 };
+  }
+
+  // Sections added since the file was written start out empty
+  return { state: { ...defaultState(), ...migrated }, from };
+}
+
+// Caps on the logs kept in state
+const LIMITS = { errorTraces: 10, safetyLog: 100 };
+
+module.exports = {
+  SCHEMA_VERSION,
+  LIMITS,
+  defaultState,
+  articleRecord,
+  scoredTopicRecord,
+  errorTrace,
+  disclosureEntry,
+  safetyEntry,
+  migrate,
+  validate
+};
\ No newline at end of file
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const moment = require('moment');
+const StateManager = require('./stateManager');
+const logger = require('../utils/logger');
+const {
+  SCHEMA_VERSION,
+  LIMITS,
+  defaultState,
+  articleRecord,
+  scoredTopicRecord,
+  errorTrace,
+  disclosureEntry,
+  safetyEntry,
+  migrate,
+  validate
+} = require('./stateSchema');
+
+// The whole file is rewritten on every save, so only the most recently scored topics are kept
+const MAX_SCORED_TOPICS = 500;
+
+// All state in one YAML document, held in memory and rewritten on every change
+class YamlStateManager extends StateManager {
+  constructor(options = {}) {
+    super(options);
+    this.lockFile = `${this.file}.lock`;
+    this.reload();
+  }
+
+  reload() {
+    const { state, from } = this.loadState();
+    this.state = state;
+    
+    // Migrated in memory only: read-only commands leave the file alone, and the first real
+    // change writes the upgraded state under the lock like any other save
+    if (from < SCHEMA_VERSION) {
+      logger.info(`Migrated state from schema v${from} to v${SCHEMA_VERSION} in memory, written with the next change`);
+    }
+  }
+
+  // { state, from }: the migrated, validated state and the schema version it was stored in
+  loadState() {
+    // A missing file is a first run. Anything unreadable is not, and starting over would
+    // forget every published topic, so it stops the run instead
+    if (!fs.existsSync(this.file)) {
+      logger.info(`No state file at ${this.file}, starting from an empty state`);
+      return { state: defaultState(), from: SCHEMA_VERSION };
+    }
+    
+    let loaded;
+    try {
+      loaded = yaml.load(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      // js-yaml errors carry a multi-line excerpt; the reason and line are enough here
+      throw this.corruptionError(error.mark ? `${error.reason} at line ${error.mark.line + 1}` : error.message);
+    }
+    if (!loaded || typeof loaded !== 'object' || Array.isArray(loaded)) {
+      throw this.corruptionError('the file is empty or not a YAML mapping');
+    }
+    
+    const migrated = migrate(loaded);
+    const problems = validate(migrated.state);
+    if (problems.length > 0) {
+      throw this.corruptionError(problems.join('; '));
+    }
+    
+    return migrated;
+  }
+
+  // Writes are validated, go to a temp file that is renamed over the state file, and take the
+  // lock for the write unless this instance already holds it for the whole run
+  saveState() {
+    const transientLock = !this.lockHeld;
+    
+    try {
+      if (transientLock) {
+        this.acquireLock();
+      }
+      
+      const problems = validate(this.state);
+      if (problems.length > 0) {
+        throw new Error(`refusing to write invalid state: ${problems.join('; ')}`);
+      }
+      
+      this.rotateBackups(backupFile => fs.copyFileSync(this.file, backupFile));
+      writeAtomically(this.file, yaml.dump(this.state, { noRefs: true }));
+      return true;
+    } catch (error) {
+      logger.error('Saving state failed:', error.message);
+      return false;
+    } finally {
+      if (transientLock) {
+        this.unlock();
+      }
+    }
+  }
+
+  // Holds the lock until unlock() and re-reads the file, so this run starts from whatever the
+  // last run wrote and no other run can write until it is done
+  lock() {
+    this.acquireLock();
+    try {
+      this.reload();
+    } catch (error) {
+      this.unlock();
+      throw error;
+    }
+  }
+
+  unlock() {
+    if (!this.lockHeld) {
+      return;
+    }
+    this.lockHeld = false;
+    fs.rmSync(this.lockFile, { force: true });
+  }
+
+  acquireLock() {
+    if (this.lockHeld) {
+      return;
+    }
+    
+    try {
+      fs.writeFileSync(this.lockFile, JSON.stringify(this.newLockHolder()), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      
+      const current = this.readLock();
+      if (!this.isStaleLock(current)) {
+        throw this.lockedError(current);
+      }
+      
+      logger.warn(`Taking over stale state lock held by pid ${current.pid} on ${current.host} since ${current.locked_at}`);
+      fs.rmSync(this.lockFile, { force: true });
+      return this.acquireLock();
+    }
+    
+    this.lockHeld = true;
+  }
+
+  readLock() {
+    try {
+      return JSON.parse(fs.readFileSync(this.lockFile, 'utf8'));
+    } catch (error) {
+      // A half-written lock file is dated by its modification time
+      const stat = fs.statSync(this.lockFile, { throwIfNoEntry: false });
+      return { pid: null, host: null, locked_at: (stat ? stat.mtime : new Date(0)).toISOString() };
+    }
+  }
+
+  close() {
+    this.unlock();
+  }
+
+  getLastPublishDate() {
+    return this.state.last_publish_date;
+  }
+
+  getConsecutiveLowScores() {
+    return this.state.consecutive_low_scores;
+  }
+
+  updateLastPublish(topicHash) {
+    this.state.last_publish_date = moment().toISOString();
+    this.state.last_topic_hash = topicHash;
+    
+    // Add to topic history
+    if (!this.state.topic_history.includes(topicHash)) {
+      this.state.topic_history.push(topicHash);
+    }
+    
+    // Reset consecutive low scores on successful publish
+    this.state.consecutive_low_scores = 0;
+    
+    return this.saveState();
+  }
+
+  incrementLowScores() {
+    this.state.consecutive_low_scores += 1;
+    return this.saveState();
+  }
+
+  resetLowScores() {
+    this.state.consecutive_low_scores = 0;
+    return this.saveState();
+  }
+
+  addErrorTrace(error) {
+    this.state.error_traces.push(errorTrace(error));
+    // Keep only the most recent errors
+    this.state.error_traces = this.state.error_traces.slice(-LIMITS.errorTraces);
+    
+    return this.saveState();
+  }
+
+  recordDisclosure(topicHash, url, disclosure) {
+    this.state.disclosure_log.push(disclosureEntry(topicHash, url, disclosure));
+    return this.saveState();
+  }
+
+  // Full record of a published draft: topic, scores, image, models and prompt versions
+  recordPublishedArticle(draft, url) {
+    this.state.published_articles.push(articleRecord(draft, url));
+    return this.saveState();
+  }
+
+  getPublishedArticles({ sinceDays } = {}) {
+    const cutoff = this.cutoff(sinceDays);
+    return cutoff
+      ? this.state.published_articles.filter(record => record.published_at && record.published_at >= cutoff)
+      : this.state.published_articles;
+  }
+
+  getCachedScore(topicHash, ttlHours) {
+    const entry = this.state.score_cache[topicHash];
+    if (!entry) return null;
+    
+    const ageHours = moment().diff(moment(entry.scored_at), 'hours', true);
+    // scored_at travels along so callers can tell when the score was really given
+    return ageHours < ttlHours ? { ...entry.fes2, scored_at: entry.scored_at } : null;
+  }
+
+  cacheScores(scores, ttlHours) {
+    const cache = this.state.score_cache;
+    const now = moment();
+    
+    // Drop expired entries so the cache does not grow without bound
+    for (const [hash, entry] of Object.entries(cache)) {
+      if (now.diff(moment(entry.scored_at), 'hours', true) >= ttlHours) {
+        delete cache[hash];
+      }
+    }
+    
+    for (const { hash, fes2 } of scores) {
+      cache[hash] = { scored_at: now.toISOString(), fes2: fes2 };
+    }
+    
+    this.state.score_cache = cache;
+    return this.saveState();
+  }
+
+  // Latest and best score of every scored topic; topics are the scored candidates from discovery
+  recordScoredTopics(topics) {
+    const now = new Date().toISOString();
+    const byHash = new Map(this.state.scored_topics.map(entry => [entry.hash, entry]));
+    
+    for (const topic of topics.filter(t => t.score !== null && t.score !== undefined)) {
+      byHash.set(topic.hash, scoredTopicRecord(topic, byHash.get(topic.hash), now));
+    }
+    
+    this.state.scored_topics = [...byHash.values()]
+      .sort((a, b) => a.last_scored_at.localeCompare(b.last_scored_at))
+      .slice(-MAX_SCORED_TOPICS);
+    return this.saveState();
+  }
+
+  getScoredTopics({ minScore } = {}) {
+    return minScore !== undefined && minScore !== null
+      ? this.state.scored_topics.filter(entry => entry.best_score > minScore)
+      : this.state.scored_topics;
+  }
+
+  getTopicBacklog() {
+    return this.state.topic_backlog;
+  }
+
+  saveTopicBacklog(entries) {
+    this.state.topic_backlog = entries;
+    return this.saveState();
+  }
+
+  recordSafetyDecisions(topics) {
+    const log = this.state.safety_log.filter(entry =>
+      !topics.some(topic => topic.hash === entry.hash)
+    );
+    
+    // Dropped and quarantined candidates with the reasons, newest last
+    log.push(...topics.map(safetyEntry));
+    
+    // Keep only the most recent decisions
+    this.state.safety_log = log.slice(-LIMITS.safetyLog);
+    return this.saveState();
+  }
+
+  getQuarantinedTopics() {
+    return this.state.safety_log.filter(entry => entry.action === 'quarantine');
+  }
+
+  isTopicProcessed(topicHash) {
+    return this.state.topic_history.includes(topicHash);
+  }
+
+  addTopicToHistory(topicHash) {
+    if (!this.state.topic_history.includes(topicHash)) {
+      this.state.topic_history.push(topicHash);
+      return this.saveState();
+    }
+    return true;
+  }
+
+  exportState() {
+    return JSON.parse(JSON.stringify(this.state));
+  }
+
+  // Replaces the whole state under the lock; the first write backs up what it replaces
+  importState(document) {
+    const state = this.prepareImport(document);
+    const transientLock = !this.lockHeld;
+    
+    this.acquireLock();
+    try {
+      this.state = state;
+      if (!this.saveState()) {
+        throw new Error(`Could not write imported state to ${this.file}`);
+      }
+    } finally {
+      if (transientLock) {
+        this.unlock();
+      }
+    }
+  }
+}
+
+// Write to a temp file and rename it over the target, so a crash mid-write leaves the old file intact
+function writeAtomically(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = YamlStateManager;
\ No newline at end of file
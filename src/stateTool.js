@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createStateManager, BACKENDS } = require('./state');
+const { loadConfig } = require('./utils/config');
+
+const USAGE = `Usage: npm run state -- <command> [args] [--backend=${Object.keys(BACKENDS).join('|')}]
+
+Commands:
+  export <file>            Write the whole state to a YAML (or .json) file
+  import <file>            Replace the whole state with an exported file
+  published [days]         Articles published in the last [30] days, by topic source
+  unpublished [score]      Topics scored above [88] that were never published
+
+--backend picks the backend to read or write instead of the configured one, e.g.
+export from yaml and import with --backend=sqlite to move state.yaml into state.db`;
+
+function formatSource(group) {
+  return [
+    `${group.source}: ${group.count}`,
+    ...group.articles.map(article => `  ${(article.published_at || 'unknown date').substring(0, 10)}  ${article.title || '-'}  ${article.url || ''}`.trimEnd())
+  ].join('\n');
+}
+
+function formatScoredTopic(entry) {
+  const pillar = entry.pillar ? `  [${entry.pillar}]` : '';
+  const lastScored = entry.last_scored_at ? entry.last_scored_at.substring(0, 10) : 'unknown date';
+  return `${entry.best_score}  ${entry.topic || entry.hash}  (${entry.source || 'unknown'}, last scored ${lastScored})${pillar}`;
+}
+
+function stateTool(argv, stateManager) {
+  const [command, arg] = argv;
+
+  switch (command) {
+    case 'export': {
+      if (!arg) {
+        throw new Error('Exporting needs a file to write to');
+      }
+      const state = stateManager.exportState();
+      fs.writeFileSync(arg, path.extname(arg) === '.json' ? JSON.stringify(state, null, 2) : yaml.dump(state, { noRefs: true }));
+      return `Exported ${state.published_articles.length} articles and ${state.scored_topics.length} scored topics from ${stateManager.file} to ${arg}`;
+    }
+    case 'import': {
+      if (!arg) {
+        throw new Error('Importing needs an exported state file');
+      }
+      // JSON is valid YAML, so either export format loads the same way
+      const document = yaml.load(fs.readFileSync(arg, 'utf8'));
+      stateManager.importState(document);
+      return `Imported ${arg} into ${stateManager.file}`;
+    }
+    case 'published': {
+      const days = arg ? Number(arg) : 30;
+      const groups = stateManager.publishedBySource(days);
+      return groups.length > 0 ? groups.map(formatSource).join('\n') : `Nothing published in the last ${days} days`;
+    }
+    case 'unpublished': {
+      const minScore = arg ? Number(arg) : 88;
+      const topics = stateManager.highScoringUnpublished(minScore);
+      return topics.length > 0 ? topics.map(formatScoredTopic).join('\n') : `No unpublished topics scored above ${minScore}`;
+    }
+    default:
+      return USAGE;
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const backend = (args.find(arg => arg.startsWith('--backend=')) || '').split('=')[1];
+  const config = loadConfig().state;
+
+  let stateManager;
+  try {
+    // Another backend's file is its default one, since config.state.file names the configured backend's
+    stateManager = createStateManager(backend ? { ...config, backend, file: null } : config);
+    console.log(stateTool(args.filter(arg => !arg.startsWith('--')), stateManager));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    if (stateManager) {
+      stateManager.close();
+    }
+  }
+}
+
+module.exports = { stateTool };
\ No newline at end of file
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const path = require('path');
+const _ = require('lodash');
+
+const CONFIG_FILE = path.join(__dirname, '../../config.yaml');
+
+const DEFAULTS = {
+  llm: {
+    // Backends a task can be routed to; only the ones some task uses are created
+    providers: {
+      openrouter: { type: 'openrouter', timeoutMs: 60000 },
+      local: { type: 'openai-compatible', baseUrl: 'http://localhost:11434/v1', apiKeyEnv: 'LOCAL_LLM_API_KEY', timeoutMs: 120000 },
+      mock: { type: 'mock', script: 'fixtures/openrouter.json' }
+    },
+    // Provider per task and its models, tried in order until one answers
+    tasks: {
+      scoring: { provider: 'openrouter', models: ['google/gemma-2-9b-it:free', 'mistralai/mistral-7b-instruct:free'] },
+      writing: { provider: 'openrouter', models: ['meta-llama/llama-3.3-70b-instruct:free', 'deepseek/deepseek-chat-v3-0324:free'] },
+      editing: { provider: 'openrouter', models: ['meta-llama/llama-3.3-70b-instruct:free', 'google/gemma-2-9b-it:free'] }
+    },
+    // Attempts per model on timeouts, rate limits and server errors
+    attemptsPerModel: 3,
+    backoffBaseMs: 1000,
+    backoffMaxMs: 30000,
+    // A longer Retry-After skips to the next model instead of waiting
+    maxRetryAfterMs: 60000
+  },
+  discovery: {
+    scoring: {
+      batchSize: 8,
+      concurrency: 3,
+      cacheTtlHours: 72
+    },
+    backlog: {
+      // Score points a backlog topic loses per day since it was last scored
+      decayPerDay: 2,
+      maxAgeDays: 14
+    },
+    dedup: {
+      // Jaccard similarity of topic fingerprints at or above which a candidate is a repeat
+      similarityThreshold: 0.5,
+      windowDays: 90
+    },
+    safety: {
+      // Ask the model about candidates the term rules let through
+      llmCheck: true,
+      // block | quarantine | allow, per sensitive category
+      categories: {
+        tragedy: 'block',
+        crime: 'block',
+        private_individual: 'block',
+        medical: 'quarantine',
+        elections: 'block',
+        nsfw: 'block'
+      },
+      // Additional rule terms per category, on top of the built-in ones
+      extraTerms: {}
+    }
+  },
+  grounding: {
+    enabled: true,
+    maxSources: 3,
+    maxCharsPerSource: 6000,
+    // Pages with less extractable text than this are treated as unusable
+    minChars: 200,
+    timeoutMs: 15000,
+    // Hosts whose topic URLs are listings or discussion pages, not source material
+    skipHosts: ['trends.google.com', 'www.reddit.com', 'news.ycombinator.com']
+  },
+  factCheck: {
+    enabled: true,
+    // Claims checked per article, in order of appearance
+    maxClaims: 40
+  },
+  originality: {
+    enabled: true,
+    // Words per shingle; shorter shingles flag common phrases as copying
+    shingleSize: 8,
+    // Reject a draft sharing more than this share of its shingles with any one text
+    maxOverlapPercent: 15,
+    maxSpans: 3
+  },
+  generation: {
+    // A part whose length misses its planned budget by more than this share is resized once
+    sectionTolerance: 0.3,
+    // Bridging sentences between parts, written in one request after the parts
+    transitions: true
+  },
+  quality: {
+    minWords: 1300,
+    maxWords: 1800,
+    // Flesch reading ease of the prose; higher is easier
+    minReadingEase: 65,
+    // H2 sections between the introduction and the concluding section
+    minSections: 3,
+    maxSections: 5,
+    requireIntro: true,
+    requireConclusion: true,
+    requireClosingQuestion: true,
+    // Generation plus repair rounds before a failing article is rejected
+    maxAttempts: 3
+  },
+  review: {
+    autoApprove: false
+  },
+  state: {
+    // yaml (one state.yaml document) | sqlite (a state.db file)
+    backend: 'yaml',
+    // Relative to the repo root; defaults to the backend's own file name
+    file: null,
+    // Rotated copies of the state file kept as <file>.N.bak, newest first
+    backups: 5,
+    // A lock older than this is taken over, in case a run died without releasing it
+    staleLockMinutes: 120
+  },
+  disclosure: {
+    text: 'Disclosure: this article was drafted with the assistance of AI tools.',
+    placement: 'top',
+    tags: {
+      default: 'AI',
+      devto: 'ai',
+      ghost: 'AI Assisted',
+      wordpress: 'AI Assisted'
+    }
+  },
+  publisher: {
+    adapter: 'medium-browser',
+    tags: [],
+    draft: false,
+    mediumApi: {
+      baseUrl: 'https://api.medium.com/v1'
+    },
+    ghost: {
+      url: null
+    },
+    wordpress: {
+      url: null
+    },
+    devto: {
+      baseUrl: 'https://dev.to/api'
+    }
+  }
+};
+
+function loadConfig(configFile = CONFIG_FILE) {
+  if (!fs.existsSync(configFile)) {
+    return _.cloneDeep(DEFAULTS);
+  }
+
+  const loaded = yaml.load(fs.readFileSync(configFile, 'utf8')) || {};
+
+  // Arrays in config.yaml replace the defaults instead of merging index by index
+  return _.mergeWith({}, DEFAULTS, loaded, (objValue, srcValue) =>
+    Array.isArray(srcValue) ? srcValue : undefined
+  );
+}
+
+module.exports = { loadConfig, DEFAULTS, CONFIG_FILE };
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const path = require('path');
+const moment = require('moment');
+const _ = require('lodash');
+
+const DRAFTS_DIR = path.join(__dirname, '../../drafts');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'published'];
+
+// Timestamp plus kebab-cased topic, as create() builds it; nothing here can leave the drafts directory
+const ID_PATTERN = /^\d{8}-\d{6}-[\p{L}\p{N}-]*$/u;
+
+class DraftStore {
+  constructor(draftsDir = DRAFTS_DIR) {
+    this.draftsDir = draftsDir;
+  }
+
+  draftPath(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new Error(`Invalid draft id: ${id}`);
+    }
+    return path.join(this.draftsDir, `${id}.yaml`);
+  }
+
+  load(id) {
+    const filePath = this.draftPath(id);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Draft not found: ${id}`);
+    }
+    return yaml.load(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  save(draft) {
+    if (!fs.existsSync(this.draftsDir)) {
+      fs.mkdirSync(this.draftsDir, { recursive: true });
+    }
+    draft.updated_at = moment().toISOString();
+    fs.writeFileSync(this.draftPath(draft.id), yaml.dump(draft, { lineWidth: -1 }));
+    return draft;
+  }
+
+  list(status = null) {
+    if (!fs.existsSync(this.draftsDir)) {
+      return [];
+    }
+
+    const drafts = fs.readdirSync(this.draftsDir)
+      .filter(file => file.endsWith('.yaml'))
+      .map(file => path.basename(file, '.yaml'))
+      .filter(id => ID_PATTERN.test(id))
+      .map(id => this.load(id));
+
+    return _.sortBy(status ? drafts.filter(d => d.status === status) : drafts, 'created_at');
+  }
+
+  create({ topic, article, image }) {
+    const now = moment();
+    // Check reports are kept beside the article, not inside what gets published
+    const { factCheck, originality, style, quality, ...body } = article;
+    const id = `${now.format('YYYYMMDD-HHmmss')}-${_.kebabCase(topic.topic).substring(0, 50)}`;
+
+    return this.save({
+      id,
+      status: 'pending',
+      created_at: now.toISOString(),
+      topic: {
+        text: topic.topic,
+        hash: topic.hash,
+        source: topic.source,
+        pillar: topic.pillar || null,
+        url: topic.url || null,
+        context: topic.context || null,
+        provenance: topic.provenance || []
+      },
+      fes2_score: topic.score,
+      fes2: topic.fes2 || null,
+      quality: quality || null,
+      fact_check: factCheck || null,
+      originality: originality || null,
+      style: style || null,
+      image: image || null,
+      article: body,
+      review: {
+        notes: null,
+        regeneration_requested: false
+      },
+      history: [{ at: now.toISOString(), action: 'created' }]
+    });
+  }
+
+  setStatus(id, status, notes = null) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Invalid draft status "${status}". Expected one of: ${STATUSES.join(', ')}`);
+    }
+
+    const draft = this.load(id);
+    if (draft.status === 'published') {
+      throw new Error(`Draft ${id} is already published`);
+    }
+
+    draft.status = status;
+    draft.review.notes = notes;
+    draft.review.regeneration_requested = false;
+    draft.history.push({ at: moment().toISOString(), action: status, notes });
+
+    return this.save(draft);
+  }
+
+  approve(id, notes = null) {
+    return this.setStatus(id, 'approved', notes);
+  }
+
+  reject(id, notes = null) {
+    return this.setStatus(id, 'rejected', notes);
+  }
+
+  requestRegeneration(id, notes) {
+    if (!notes) {
+      throw new Error('Regeneration requests need reviewer notes');
+    }
+
+    const draft = this.setStatus(id, 'pending', notes);
+    draft.review.regeneration_requested = true;
+    draft.history[draft.history.length - 1].action = 'regeneration_requested';
+
+    return this.save(draft);
+  }
+
+  replaceArticle(id, article, image) {
+    const draft = this.load(id);
+    const { factCheck, originality, style, quality, ...body } = article;
+
+    draft.article = body;
+    draft.fact_check = factCheck || null;
+    draft.originality = originality || null;
+    draft.style = style || null;
+    draft.image = image || draft.image;
+    draft.quality = quality || null;
+    draft.review.regeneration_requested = false;
+    draft.history.push({ at: moment().toISOString(), action: 'regenerated' });
+
+    return this.save(draft);
+  }
+
+  markPublished(id, url, hostedImage = null) {
+    const draft = this.load(id);
+
+    draft.status = 'published';
+    draft.published_url = url;
+    if (draft.image && hostedImage) {
+      draft.image.uploaded_url = hostedImage.url;
+    }
+    draft.history.push({ at: moment().toISOString(), action: 'published', url });
+
+    return this.save(draft);
+  }
+
+  nextApproved() {
+    return this.list('approved')[0] || null;
+  }
+
+  pendingRegenerations() {
+    return this.list('pending').filter(d => d.review.regeneration_requested);
+  }
+
+  hasOpenDraft(topicHash) {
+    return this.list().some(d =>
+      d.topic.hash === topicHash && (d.status === 'pending' || d.status === 'approved')
+    );
+  }
+}
+
+module.exports = DraftStore;
+module.exports.STATUSES = STATUSES;
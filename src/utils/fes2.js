@@ -0,0 +1,101 @@
+const { parseJsonLoosely } = require('./llmJson');
+
+// FES2 (Forecast Engagement Score v2): the LLM rates each criterion, the weighting happens here
+const FES2_WEIGHTS = {
+  engagement: 0.4,
+  nicheRelevance: 0.3,
+  timeliness: 0.2,
+  originality: 0.1
+};
+
+// Accept the key spellings models actually use ("niche_relevance", "Niche relevance", "engagementPotential", ...)
+const KEY_PREFIXES = {
+  engagement: 'engagement',
+  niche: 'nicheRelevance',
+  timel: 'timeliness',
+  original: 'originality'
+};
+
+function normalizeBreakdown(parsed) {
+  const breakdown = {};
+
+  for (const [key, value] of Object.entries(parsed)) {
+    const compact = key.toLowerCase().replace(/[^a-z]/g, '');
+    const prefix = Object.keys(KEY_PREFIXES).find(p => compact.startsWith(p));
+    if (!prefix) continue;
+
+    const score = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof score !== 'number' || Number.isNaN(score) || score < 0 || score > 100) {
+      throw new Error(`Sub-score "${key}" is not a number between 0 and 100: ${JSON.stringify(value)}`);
+    }
+    breakdown[KEY_PREFIXES[prefix]] = score;
+  }
+
+  const missing = Object.keys(FES2_WEIGHTS).filter(key => breakdown[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing FES2 sub-scores: ${missing.join(', ')}`);
+  }
+
+  return breakdown;
+}
+
+function computeScore(breakdown, weights = FES2_WEIGHTS) {
+  const total = Object.entries(weights)
+    .reduce((sum, [key, weight]) => sum + breakdown[key] * weight, 0);
+  return Math.round(total * 10) / 10;
+}
+
+function scoreEntry(entry) {
+  const breakdown = normalizeBreakdown(entry);
+
+  return {
+    score: computeScore(breakdown),
+    breakdown,
+    weights: FES2_WEIGHTS,
+    reasoning: typeof entry.reasoning === 'string' ? entry.reasoning : null
+  };
+}
+
+function parseScoreResponse(text) {
+  return scoreEntry(parseJsonLoosely(text));
+}
+
+function parseBatchScoreResponse(text, topics) {
+  const parsed = parseJsonLoosely(text);
+  const entries = Array.isArray(parsed) ? parsed : parsed.scores;
+
+  if (!Array.isArray(entries)) {
+    throw new Error('Batch response has no "scores" array');
+  }
+
+  const results = topics.map(() => null);
+  const normalized = topics.map(topic => topic.trim().toLowerCase());
+
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object') continue;
+
+    // Match on the echoed topic text first, the 1-based id second
+    let index = typeof entry.topic === 'string'
+      ? normalized.indexOf(entry.topic.trim().toLowerCase())
+      : -1;
+    if (index === -1 && Number.isInteger(Number(entry.id))) {
+      index = Number(entry.id) - 1;
+    }
+    if (index < 0 || index >= topics.length || results[index]) continue;
+
+    try {
+      results[index] = scoreEntry(entry);
+    } catch (error) {
+      // Leave the slot empty so the caller can rescore this topic on its own
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  FES2_WEIGHTS,
+  computeScore,
+  parseScoreResponse,
+  parseBatchScoreResponse
+};
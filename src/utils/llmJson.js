@@ -0,0 +1,122 @@
+// Pulling JSON out of model replies that wrap it in code fences, prose or sloppy syntax
+
+function extractJson(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  // Prefer the inside of a fenced block when there is one
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const source = fenced ? fenced[1] : text;
+
+  // Start at whichever comes first: an object or an array
+  const starts = [source.indexOf('{'), source.indexOf('[')].filter(index => index !== -1);
+  if (starts.length === 0) {
+    return null;
+  }
+  const start = Math.min(...starts);
+
+  // Walk to the matching closing bracket, ignoring brackets inside strings
+  let depth = 0;
+  let inString = null;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === inString) {
+        inString = null;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      inString = char;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) {
+        return source.substring(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+// Bare keys right after "{" or ",", e.g. `{score: 80}` or `, Niche relevance: 70`
+const BARE_KEY = /^([A-Za-z_][\w ]*?)\s*:/;
+
+// Fixes the syntax models get wrong, looking only at what lies outside string values so a
+// reasoning string holding "note: x" or ", ]" comes through untouched: single-quoted strings
+// become double-quoted, bare keys are quoted and trailing commas are dropped
+function repairJson(json) {
+  const source = json
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'");
+  let repaired = '';
+  // The last character written outside whitespace, which tells a key's position from a value's
+  let previous = '';
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = i + 1;
+      for (; end < source.length && source[end] !== char; end++) {
+        if (source[end] === '\\' && end + 1 < source.length) {
+          end++;
+          // Escapes carry over, except \' which JSON does not have
+          value += source[end] === "'" ? "'" : `\\${source[end]}`;
+        } else {
+          value += source[end] === '"' ? '\\"' : source[end];
+        }
+      }
+      repaired += `"${value}"`;
+      previous = '"';
+      i = end;
+      continue;
+    }
+
+    if (char === ',' && /^\s*[}\]]/.test(source.slice(i + 1))) {
+      continue;
+    }
+
+    const key = (previous === '{' || previous === ',') && source.slice(i).match(BARE_KEY);
+    if (key) {
+      repaired += `"${key[1]}":`;
+      previous = ':';
+      i += key[0].length - 1;
+      continue;
+    }
+
+    repaired += char;
+    if (!/\s/.test(char)) {
+      previous = char;
+    }
+  }
+
+  return repaired;
+}
+
+function parseJsonLoosely(text) {
+  const json = extractJson(text);
+  if (!json) {
+    throw new Error('No JSON object found in model output');
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return JSON.parse(repairJson(json));
+  }
+}
+
+module.exports = {
+  extractJson,
+  repairJson,
+  parseJsonLoosely
+};
\ No newline at end of file
@@ -0,0 +1,132 @@
+const { marked } = require('marked');
+
+// marked token type -> block type used across publishers
+const BLOCK_TYPES = {
+  heading: 'heading',
+  paragraph: 'paragraph',
+  list: 'list',
+  code: 'code',
+  blockquote: 'quote',
+  hr: 'divider'
+};
+
+function collectLinks(token, links = []) {
+  if (token.type === 'link') {
+    links.push(token.href);
+  }
+  for (const child of token.tokens || []) {
+    collectLinks(child, links);
+  }
+  for (const item of token.items || []) {
+    collectLinks(item, links);
+  }
+  return links;
+}
+
+function parseBlocks(markdown, options = {}) {
+  const tokens = marked.lexer(markdown).filter(token => token.type !== 'space');
+
+  // The title is sent separately by every publisher, so drop the leading H1 from the body
+  if (options.stripTitle && tokens[0] && tokens[0].type === 'heading' && tokens[0].depth === 1) {
+    tokens.shift();
+  }
+
+  return tokens.map(token => ({
+    type: BLOCK_TYPES[token.type] || token.type,
+    depth: token.depth,
+    ordered: token.ordered,
+    items: token.items ? token.items.map(item => item.text) : undefined,
+    lang: token.lang,
+    text: token.text,
+    links: collectLinks(token),
+    html: marked.parser([token]).trim()
+  }));
+}
+
+function insertAfterTitle(markdown, block) {
+  const lines = markdown.split('\n');
+
+  // Keep the H1 title first so editors and platforms still pick it up
+  const insertAt = lines[0] && lines[0].startsWith('# ') ? 1 : 0;
+  const before = insertAt > 0 ? [''] : [];
+  const after = lines[insertAt] === '' ? [] : [''];
+  lines.splice(insertAt, 0, ...before, block, ...after);
+
+  return lines.join('\n');
+}
+
+// The Markdown body without its leading H1, for platforms that take the title as a field
+function stripTitle(markdown) {
+  return markdown.replace(/^\s*# [^\n]*(?:\n\s*)*/, '');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function renderFigure(src, alt, caption) {
+  return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(alt || '')}">` +
+    `<figcaption>${marked.parseInline(caption || '')}</figcaption></figure>`;
+}
+
+function renderInline(markdown) {
+  return marked.parseInline(markdown);
+}
+
+function renderHtml(blocks) {
+  return blocks.map(block => block.html).join('\n');
+}
+
+function toHtml(markdown, options = {}) {
+  return renderHtml(parseBlocks(markdown, options));
+}
+
+function summarizeBlocks(blocks) {
+  const count = type => blocks.filter(block => block.type === type).length;
+
+  return {
+    headings: count('heading'),
+    paragraphs: count('paragraph'),
+    listItems: blocks
+      .filter(block => block.type === 'list')
+      .reduce((total, block) => total + block.items.length, 0),
+    codeBlocks: count('code'),
+    quotes: count('quote'),
+    links: blocks.flatMap(block => block.links)
+  };
+}
+
+function compareStructure(expected, actual) {
+  const mismatches = [];
+
+  // Paragraph counts are not compared: editors wrap quotes and list items in their own paragraphs
+  for (const key of ['headings', 'listItems', 'codeBlocks', 'quotes']) {
+    if (expected[key] !== actual[key]) {
+      mismatches.push(`${key}: expected ${expected[key]}, found ${actual[key]}`);
+    }
+  }
+
+  const missingLinks = expected.links.filter(href => !actual.links.includes(href));
+  if (missingLinks.length > 0) {
+    mismatches.push(`links missing: ${missingLinks.join(', ')}`);
+  }
+
+  return mismatches;
+}
+
+module.exports = {
+  parseBlocks,
+  renderHtml,
+  renderFigure,
+  renderInline,
+  escapeHtml,
+  toHtml,
+  insertAfterTitle,
+  stripTitle,
+  summarizeBlocks,
+  compareStructure
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const path = require('path');
+
+const NICHE_FILE = path.join(__dirname, '../../niche.yaml');
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word (and simple plural) match, case-insensitive
+function termPattern(term) {
+  return new RegExp(`\\b${escapeRegExp(term.toLowerCase())}(s|es)?\\b`, 'i');
+}
+
+class Niche {
+  constructor(definition) {
+    this.name = definition.name;
+    this.audience = definition.audience;
+    this.angle = definition.angle;
+    this.pillars = definition.pillars || [];
+    this.blockedTerms = definition.blockedTerms || [];
+    this.requireKeywordMatch = definition.requireKeywordMatch !== false;
+    this.sources = definition.sources || [];
+  }
+
+  static load(nicheFile = NICHE_FILE) {
+    if (!fs.existsSync(nicheFile)) {
+      throw new Error(`Niche configuration not found: ${nicheFile}`);
+    }
+    return new Niche(yaml.load(fs.readFileSync(nicheFile, 'utf8')));
+  }
+
+  blockedTerm(text) {
+    return this.blockedTerms.find(term => termPattern(term).test(text)) || null;
+  }
+
+  matchPillar(text) {
+    let best = null;
+
+    for (const pillar of this.pillars) {
+      const matched = pillar.keywords.filter(keyword => termPattern(keyword).test(text));
+      if (matched.length > 0 && (!best || matched.length > best.keywords.length)) {
+        best = { name: pillar.name, keywords: matched };
+      }
+    }
+
+    return best;
+  }
+
+  getPillar(name) {
+    return this.pillars.find(pillar => pillar.name === name) || null;
+  }
+
+  subreddits() {
+    return [...new Set(this.pillars.flatMap(pillar => pillar.subreddits || []))];
+  }
+
+  // One-line niche summary for scoring prompts
+  describe() {
+    const pillars = this.pillars
+      .map(pillar => `${pillar.name} (${pillar.keywords.slice(0, 6).join(', ')})`)
+      .join('; ');
+    return `the publication "${this.name}" for ${this.audience}. Content pillars: ${pillars}`;
+  }
+
+  angleFor(pillarName) {
+    const pillar = pillarName ? this.getPillar(pillarName) : null;
+    return (pillar && pillar.angle) || this.angle;
+  }
+}
+
+module.exports = Niche;
+module.exports.NICHE_FILE = NICHE_FILE;
+module.exports.termPattern = termPattern;
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const path = require('path');
+const _ = require('lodash');
+
+const PROMPTS_DIR = path.join(__dirname, '../../prompts');
+
+// {{name}} placeholders, optionally padded with spaces
+const PLACEHOLDER = /\{\{\s*([A-Za-z][\w]*)\s*\}\}/g;
+
+// YAML front matter between --- lines, then the template body
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+
+function placeholders(body) {
+  return [...new Set([...body.matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+// One template file: front matter with version, description and variables, then the prompt
+function readTemplate(filePath) {
+  const name = path.basename(filePath, '.md');
+  const match = fs.readFileSync(filePath, 'utf8').match(FRONT_MATTER);
+  if (!match) {
+    throw new Error(`Prompt template ${filePath} has no front matter`);
+  }
+
+  const meta = yaml.load(match[1]) || {};
+  if (!Number.isInteger(meta.version) || meta.version < 1) {
+    throw new Error(`Prompt template "${name}" needs a positive integer version, got ${meta.version}`);
+  }
+
+  return {
+    name,
+    version: meta.version,
+    description: meta.description || '',
+    variables: meta.variables || [],
+    body: match[2].trim(),
+    file: filePath
+  };
+}
+
+function readDir(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.md'))
+    .map(file => readTemplate(path.join(dir, file)));
+}
+
+class PromptLibrary {
+  // templates: name -> template; niche: the override set's name, if one was applied
+  constructor(templates, niche = null) {
+    this.templates = templates;
+    this.niche = niche;
+  }
+
+  // Base templates from prompts/, replaced by any with the same name in prompts/niches/<niche>/
+  static load(niche = null, promptsDir = PROMPTS_DIR) {
+    const templates = {};
+    for (const template of readDir(promptsDir)) {
+      templates[template.name] = { ...template, niche: null };
+      checkPlaceholders(template, template.variables);
+    }
+
+    const slug = niche ? _.kebabCase(niche.name) : null;
+    const overrides = slug ? readDir(path.join(promptsDir, 'niches', slug)) : [];
+
+    for (const override of overrides) {
+      const base = templates[override.name];
+      if (!base) {
+        throw new Error(`Prompt override ${override.file} has no base template "${override.name}"`);
+      }
+      // Callers supply the base template's variables, so an override may use fewer but no others
+      checkPlaceholders(override, base.variables);
+      templates[override.name] = { ...override, variables: base.variables, niche: slug };
+    }
+
+    return new PromptLibrary(templates, overrides.length > 0 ? slug : null);
+  }
+
+  get(name) {
+    const template = this.templates[name];
+    if (!template) {
+      throw new Error(`Unknown prompt template "${name}". Expected one of: ${Object.keys(this.templates).join(', ')}`);
+    }
+    return template;
+  }
+
+  // Fills in every placeholder; a declared variable left out is an error, not an empty string
+  render(name, variables = {}) {
+    const template = this.get(name);
+    const missing = template.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+    if (missing.length > 0) {
+      throw new Error(`Prompt template "${name}" v${template.version} is missing variables: ${missing.join(', ')}`);
+    }
+
+    return template.body.replace(PLACEHOLDER, (match, variable) => String(variables[variable]));
+  }
+
+  // What gets recorded with an article: which template and version, and whose override
+  describe(name) {
+    const { version, niche } = this.get(name);
+    return { name, version, niche };
+  }
+}
+
+function checkPlaceholders(template, allowed) {
+  const unknown = placeholders(template.body).filter(variable => !allowed.includes(variable));
+  if (unknown.length > 0) {
+    throw new Error(`Prompt template ${template.file} uses undeclared variables: ${unknown.join(', ')}`);
+  }
+}
+
+module.exports = PromptLibrary;
+module.exports.PROMPTS_DIR = PROMPTS_DIR;
\ No newline at end of file
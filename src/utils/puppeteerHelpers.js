@@ -58,6 +58,41 @@ class PuppeteerHelpers {
     }
   }
 
+  async pasteHtml(html, plainText, selector) {
+    await this.page.focus(selector);
+    
+    // Dispatch a real paste event so the editor runs its own HTML import in one pass
+    await this.page.evaluate((sel, htmlData, textData) => {
+      const editor = document.querySelector(sel);
+      const clipboardData = new DataTransfer();
+      clipboardData.setData('text/html', htmlData);
+      clipboardData.setData('text/plain', textData);
+      
+      editor.dispatchEvent(new ClipboardEvent('paste', {
+        clipboardData,
+        bubbles: true,
+        cancelable: true
+      }));
+    }, selector, html, plainText);
+  }
+
+  async readEditorStructure(selector) {
+    return this.page.evaluate((sel) => {
+      const editor = document.querySelector(sel);
+      const count = query => editor.querySelectorAll(query).length;
+      
+      return {
+        headings: count('h1, h2, h3, h4, h5, h6'),
+        paragraphs: count('p'),
+        listItems: count('li'),
+        codeBlocks: count('pre'),
+        quotes: count('blockquote'),
+        images: Array.from(editor.querySelectorAll('img')).map(img => img.getAttribute('src')),
+        links: Array.from(editor.querySelectorAll('a[href]')).map(a => a.getAttribute('href'))
+      };
+    }, selector);
+  }
+
   async humanClick(selector) {
     const element = await this.page.$(selector);
     if (!element) {
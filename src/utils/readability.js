@@ -0,0 +1,56 @@
+const fleschKincaid = require('flesch-kincaid');
+
+function words(text) {
+  return text.match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+// Vowel-group estimate of a word's syllables, close enough for readability formulas
+function syllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length === 0) {
+    // Numbers and non-Latin words count as one syllable
+    return 1;
+  }
+  if (letters.length <= 3) {
+    return 1;
+  }
+
+  const trimmed = letters
+    .replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, match => match.charAt(0))
+    .replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+
+  return Math.max(groups ? groups.length : 0, 1);
+}
+
+// Sentence, word and syllable counts in the shape flesch-kincaid expects
+function countText(text) {
+  const all = words(text);
+
+  return {
+    sentence: Math.max((text.match(/[.!?]+(?=\s|$)/g) || []).length, all.length > 0 ? 1 : 0),
+    word: all.length,
+    syllable: all.reduce((total, word) => total + syllables(word), 0)
+  };
+}
+
+// Flesch reading ease: higher is easier, 60-70 is plain English
+function readingEase(counts) {
+  if (!counts.sentence || !counts.word) {
+    return null;
+  }
+  const score = 206.835 - 1.015 * (counts.word / counts.sentence) - 84.6 * (counts.syllable / counts.word);
+  return Math.round(score * 10) / 10;
+}
+
+// Flesch-Kincaid grade level: the US school grade needed to follow the text
+function gradeLevel(counts) {
+  const grade = fleschKincaid(counts);
+  return Number.isNaN(grade) ? null : Math.round(grade * 10) / 10;
+}
+
+module.exports = {
+  countText,
+  readingEase,
+  gradeLevel
+};
\ No newline at end of file
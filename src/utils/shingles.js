@@ -0,0 +1,63 @@
+// Word n-gram shingling for copy detection between an article and reference texts
+
+// Copied spans are reported with at most this many words of their text
+const MAX_SPAN_WORDS = 40;
+
+// Lowercased words with their original spelling kept for reporting copied spans
+function tokenize(text) {
+  const words = text.match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu) || [];
+  return words.map(word => ({ norm: word.toLowerCase().replace(/’/g, "'"), word }));
+}
+
+function shingleAt(tokens, i, size) {
+  return tokens.slice(i, i + size).map(token => token.norm).join(' ');
+}
+
+function shingleSet(tokens, size) {
+  const set = new Set();
+  for (let i = 0; i + size <= tokens.length; i++) {
+    set.add(shingleAt(tokens, i, size));
+  }
+  return set;
+}
+
+// Share of the article's shingles found in the reference, plus the longest runs of
+// consecutive shared shingles turned back into word spans of the article
+function compareShingles(articleTokens, referenceTokens, size) {
+  const total = Math.max(articleTokens.length - size + 1, 0);
+  if (total === 0) {
+    return { overlap: 0, shared: 0, total: 0, spans: [] };
+  }
+
+  const reference = shingleSet(referenceTokens, size);
+  const spans = [];
+  let shared = 0;
+  let runStart = -1;
+
+  for (let i = 0; i <= total; i++) {
+    const hit = i < total && reference.has(shingleAt(articleTokens, i, size));
+    if (hit) {
+      shared++;
+      if (runStart === -1) runStart = i;
+    } else if (runStart !== -1) {
+      // Shingles runStart..i-1 overlap by size - 1 words, so they cover words runStart..i+size-2
+      const words = articleTokens.slice(runStart, i - 1 + size);
+      const shown = words.slice(0, MAX_SPAN_WORDS).map(token => token.word).join(' ');
+      spans.push({ words: words.length, text: words.length > MAX_SPAN_WORDS ? `${shown} …` : shown });
+      runStart = -1;
+    }
+  }
+
+  return {
+    overlap: Math.round((shared / total) * 1000) / 10,
+    shared,
+    total,
+    spans: spans.sort((a, b) => b.words - a.words)
+  };
+}
+
+module.exports = {
+  tokenize,
+  shingleSet,
+  compareShingles
+};
\ No newline at end of file
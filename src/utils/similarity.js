@@ -0,0 +1,72 @@
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'how', 'i', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the',
+  'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'you', 'your', 'my', 'me', 'us', 'about', 'after', 'into',
+  'new', 'just', 'now', 'can', 'do', 'does', 'did', 'vs', 'here', 'than', 'then'
+]);
+
+// Light suffix stripping so "move", "moved" and "moving" land on the same token
+function stem(word) {
+  if (word.length <= 3) return word;
+
+  let base = word;
+  if (base.endsWith('ies')) {
+    base = `${base.slice(0, -3)}y`;
+  } else if (base.endsWith('ing') && base.length > 5) {
+    base = base.slice(0, -3);
+  } else if ((base.endsWith('ed') || base.endsWith('es')) && base.length > 4) {
+    base = base.slice(0, -2);
+  } else if (base.endsWith('s') && !base.endsWith('ss')) {
+    base = base.slice(0, -1);
+  }
+
+  return base.length > 3 && base.endsWith('e') ? base.slice(0, -1) : base;
+}
+
+function normalizeTopic(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(stem)
+    .join(' ');
+}
+
+// Fingerprint = sorted set of stemmed content words (unigram shingles)
+function fingerprint(text) {
+  return [...new Set(normalizeTopic(text).split(' ').filter(Boolean))].sort();
+}
+
+function jaccard(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 && setB.size === 0) return 0;
+
+  let intersection = 0;
+  for (const item of setA) {
+    if (setB.has(item)) intersection += 1;
+  }
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+function findMostSimilar(candidateFingerprint, history) {
+  let best = null;
+  for (const entry of history) {
+    const similarity = jaccard(candidateFingerprint, entry.fingerprint);
+    if (!best || similarity > best.similarity) {
+      best = { entry, similarity };
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  normalizeTopic,
+  fingerprint,
+  jaccard,
+  findMostSimilar
+};
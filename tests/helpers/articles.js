@@ -0,0 +1,28 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A disclosed article as the orchestrator hands it to a publisher
+function sampleArticle() {
+  return {
+    title: 'Why we moved our job queue to SQLite',
+    content: '# Why we moved our job queue to SQLite\n\n*Disclosure: drafted with AI assistance.*\n\n## The queue\n\nOne file, **no** server.',
+    disclosure: { tags: ['AI Assisted'] }
+  };
+}
+
+// A lead image with a small file on disk, removed again by cleanup()
+function sampleImage() {
+  const localPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'blogt-image-')), 'lead.jpg');
+  fs.writeFileSync(localPath, Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0xff, 0xd9]));
+
+  return {
+    localPath,
+    url: 'https://images.pexels.com/photos/1/lead.jpg',
+    alt: 'Server rack',
+    caption: 'Photo by [Jane Doe](https://www.pexels.com/@jane) on [Pexels](https://www.pexels.com/photo/1/)',
+    cleanup: () => fs.rmSync(path.dirname(localPath), { recursive: true, force: true })
+  };
+}
+
+module.exports = { sampleArticle, sampleImage };
\ No newline at end of file
@@ -0,0 +1,80 @@
+const http = require('http');
+
+// A local HTTP server answering from a route table keyed by "METHOD /path" (query strings are
+// ignored). A route is a response { status, headers, body }, a function (request) -> response,
+// or an array of those answered in turn, the last one repeating. Unknown routes get a 404.
+// Every request is recorded as { method, path, query, headers, body } for assertions
+async function startMockServer(routes) {
+  const requests = [];
+  const served = {};
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const raw = Buffer.concat(chunks);
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: parseBody(raw, req.headers['content-type']),
+        raw
+      };
+      requests.push(request);
+
+      const key = `${req.method} ${url.pathname}`;
+      let route = routes[key];
+      if (Array.isArray(route)) {
+        const index = Math.min(served[key] || 0, route.length - 1);
+        served[key] = (served[key] || 0) + 1;
+        route = route[index];
+      }
+
+      const response = typeof route === 'function' ? route(request) : route;
+      if (!response) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `No mock route for ${key}` }));
+        return;
+      }
+      if (response.hang) {
+        // Never answers, for client timeouts
+        return;
+      }
+
+      const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body || {});
+      res.writeHead(response.status || 200, {
+        'Content-Type': typeof response.body === 'string' ? 'text/plain' : 'application/json',
+        ...response.headers
+      });
+      res.end(body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function parseBody(raw, contentType = '') {
+  if (raw.length === 0) {
+    return null;
+  }
+  if (contentType.includes('application/json')) {
+    return JSON.parse(raw.toString('utf8'));
+  }
+  if (contentType.startsWith('text/') || contentType.includes('multipart/form-data')) {
+    return raw.toString('utf8');
+  }
+  return raw;
+}
+
+module.exports = { startMockServer };
\ No newline at end of file
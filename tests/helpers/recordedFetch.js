@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// The topic sources' fetch seam, answered from saved responses: url -> file relative to the
+// repository, resolved like axios to { status, data } with .json files parsed. Every call is
+// recorded as { url, options, at }
+function recordedFetch(recordings) {
+  const requests = [];
+
+  const fetch = async (url, options = {}) => {
+    requests.push({ url, options, at: Date.now() });
+    const file = recordings[url];
+    if (!file) {
+      throw new Error(`No recorded response for ${url}`);
+    }
+
+    const text = fs.readFileSync(path.join(ROOT_DIR, file), 'utf8');
+    return { status: 200, data: file.endsWith('.json') ? JSON.parse(text) : text };
+  };
+
+  return { fetch, requests };
+}
+
+module.exports = { recordedFetch, ROOT_DIR };
\ No newline at end of file
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LlmClient = require('../../src/llm/llmClient');
+const PromptLibrary = require('../../src/utils/promptLibrary');
+
+// A provider that answers with the given replies in turn and keeps the prompts it was sent
+function scriptedProvider(replies) {
+  const prompts = [];
+  return {
+    prompts,
+    async generate(prompt, models) {
+      prompts.push(prompt);
+      return { content: replies[Math.min(prompts.length, replies.length) - 1], model: models[0] };
+    }
+  };
+}
+
+const parseJson = text => JSON.parse(text);
+
+test('an unparseable reply is asked for again with the parse-retry template', async () => {
+  const provider = scriptedProvider(['Sure! Here is the JSON: {', '{"ok": true}']);
+  const client = new LlmClient({ scoring: { provider, models: ['test/model'] } }, PromptLibrary.load());
+
+  const result = await client.requestParsed('Return {"ok": true}', parseJson, 'test request');
+
+  assert.deepStrictEqual(result, { status: 'ok', value: { ok: true }, attempts: 2, model: 'test/model' });
+  assert.match(provider.prompts[1], /^Return \{"ok": true\}\n\nYour previous reply could not be parsed \(.+\):\nSure! Here is the JSON: \{\n\nReply again with the JSON only/);
+});
+
+test('a reply that never parses reports how many attempts were made', async () => {
+  const client = new LlmClient({ scoring: { provider: scriptedProvider(['not json']), models: ['test/model'] } }, PromptLibrary.load());
+
+  const result = await client.requestParsed('Return JSON', parseJson, 'test request');
+  assert.strictEqual(result.status, 'parse_failed');
+  assert.strictEqual(result.attempts, 2);
+});
+
+test('an outage is a failed request, not a bad answer', async () => {
+  const provider = { generate: async () => { throw new Error('All scoring models failed'); } };
+  const client = new LlmClient({ scoring: { provider, models: ['test/model'] } }, PromptLibrary.load());
+
+  assert.deepStrictEqual(await client.requestParsed('Return JSON', parseJson, 'test request'), { status: 'request_failed', error: 'All scoring models failed' });
+});
\ No newline at end of file
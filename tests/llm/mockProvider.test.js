@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockProvider = require('../../src/llm/mockProvider');
+const { createLlm } = require('../../src/llm');
+const { ROOT_DIR } = require('../helpers/recordedFetch');
+
+test('the first entry whose pattern matches the prompt answers it', async () => {
+  const provider = new MockProvider({
+    responses: [
+      { match: 'score (this|these) topics?', response: '{"score": 9}' },
+      { match: 'topic', response: 'generic topic reply' }
+    ]
+  });
+
+  assert.deepStrictEqual(await provider.complete('mock', 'Please SCORE THIS TOPIC'), { content: '{"score": 9}', servedBy: 'mock' });
+  assert.strictEqual((await provider.complete('mock', 'Another topic')).content, 'generic topic reply');
+});
+
+test('an unmatched prompt is a bad_request that names the prompt', async () => {
+  const provider = new MockProvider({ responses: [{ match: 'outline', response: '{}' }] });
+
+  await assert.rejects(provider.complete('mock', 'Write a haiku'), { name: 'LlmError', kind: 'bad_request', model: 'mock', message: /No scripted response matches prompt: "Write a haiku/ });
+  await assert.rejects(provider.generate('Write a haiku', provider.defaultModels, 'writing'), { kind: 'exhausted' });
+});
+
+test('script files are read relative to the script, inline files relative to the repository', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-script-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'part.md'), 'A scripted part.');
+    fs.writeFileSync(path.join(dir, 'script.json'), JSON.stringify([{ match: 'part', file: 'part.md' }]));
+
+    const scripted = new MockProvider({ script: path.join(dir, 'script.json') });
+    assert.strictEqual((await scripted.complete('mock', 'Write the part')).content, 'A scripted part.');
+
+    const inline = new MockProvider({ responses: [{ match: 'introduction', file: 'fixtures/article/introduction.md' }] });
+    assert.strictEqual(
+      (await inline.complete('mock', 'Part to write: "Introduction"')).content,
+      fs.readFileSync(path.join(ROOT_DIR, 'fixtures/article/introduction.md'), 'utf8')
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a mock provider needs responses or a script', () => {
+  assert.throws(() => new MockProvider({}), /MockProvider needs "responses" or a "script" file/);
+});
+
+test('the dry-run script routes through createLlm and every file it names exists', async () => {
+  const llm = createLlm({
+    providers: { mock: { type: 'mock', script: 'fixtures/openrouter.json' } },
+    tasks: { writing: { provider: 'mock' } }
+  });
+  const { content, model } = await llm.generate('Part to write: "What Went Well"', 'writing');
+  assert.strictEqual(model, 'mock');
+  assert.ok(content.length > 0);
+
+  const script = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'fixtures/openrouter.json'), 'utf8'));
+  for (const entry of script.filter(e => e.file)) {
+    assert.ok(fs.existsSync(path.join(ROOT_DIR, 'fixtures', entry.file)), entry.file);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OpenAiCompatibleProvider = require('../../src/llm/openAiCompatibleProvider');
+const { startMockServer } = require('../helpers/mockServer');
+
+const COMPLETIONS = 'POST /chat/completions';
+
+const completion = (content, model = 'local/model') => ({ status: 200, body: { model, choices: [{ message: { content } }] } });
+const failure = (status, message, headers = {}) => ({ status, headers, body: { error: { message } } });
+
+// A provider against the mock server whose pauses are recorded instead of waited out
+function providerFor(server, options = {}) {
+  const provider = new OpenAiCompatibleProvider({ baseUrl: `${server.url}/`, backoffBaseMs: 100, ...options });
+  provider.delays = [];
+  provider.sleep = async ms => provider.delays.push(ms);
+  return provider;
+}
+
+// The kind an error response is classified as, from a single attempt
+async function kindOf(response, options = {}) {
+  const server = await startMockServer({ [COMPLETIONS]: response });
+  try {
+    await providerFor(server, options).complete('local/model', 'Hi');
+    return 'none';
+  } catch (error) {
+    return error.kind;
+  } finally {
+    await server.close();
+  }
+}
+
+test('posts a chat completion and reports the model that answered', async () => {
+  const server = await startMockServer({ [COMPLETIONS]: completion('Hello there', 'local/model-q4') });
+  process.env.LOCAL_LLM_KEY = 'local-secret';
+  try {
+    const provider = providerFor(server, { apiKeyEnv: 'LOCAL_LLM_KEY', temperature: 0, maxTokens: 50 });
+    assert.deepStrictEqual(await provider.generate('Say hello', ['local/model'], 'writing'), { content: 'Hello there', model: 'local/model-q4' });
+
+    const [request] = server.requests;
+    assert.strictEqual(request.headers.authorization, 'Bearer local-secret');
+    assert.deepStrictEqual(request.body, { model: 'local/model', messages: [{ role: 'user', content: 'Say hello' }], temperature: 0, max_tokens: 50 });
+  } finally {
+    delete process.env.LOCAL_LLM_KEY;
+    await server.close();
+  }
+});
+
+test('classifies failed responses by status and message', async () => {
+  assert.strictEqual(await kindOf(failure(429, 'Slow down')), 'rate_limited');
+  assert.strictEqual(await kindOf(failure(401, 'Invalid key')), 'auth');
+  assert.strictEqual(await kindOf(failure(402, 'Insufficient credits')), 'payment_required');
+  assert.strictEqual(await kindOf(failure(404, 'Not found')), 'model_unavailable');
+  assert.strictEqual(await kindOf(failure(400, 'Unknown model: local/model')), 'model_unavailable');
+  assert.strictEqual(await kindOf(failure(400, 'messages must not be empty')), 'bad_request');
+  assert.strictEqual(await kindOf(failure(408, 'Request timeout')), 'timeout');
+  assert.strictEqual(await kindOf(failure(503, 'Overloaded')), 'server_error');
+  assert.strictEqual(await kindOf({ status: 200, body: { error: { code: 429, message: 'Upstream rate limited' } } }), 'rate_limited');
+  assert.strictEqual(await kindOf({ status: 200, body: { error: { message: 'Upstream failed' } } }), 'server_error');
+  assert.strictEqual(await kindOf(completion('   ')), 'empty_response');
+  assert.strictEqual(await kindOf({ status: 200, body: { choices: [] } }), 'empty_response');
+});
+
+test('a server that never answers times out, one that is gone is a network error', async () => {
+  assert.strictEqual(await kindOf({ hang: true }, { timeoutMs: 100 }), 'timeout');
+
+  const server = await startMockServer({});
+  const provider = providerFor(server);
+  await server.close();
+  await assert.rejects(provider.complete('local/model', 'Hi'), { kind: 'network' });
+});
+
+test('Retry-After is honoured in seconds, as an HTTP date and when it is zero', async () => {
+  const inFortyFiveSeconds = new Date(Date.now() + 45000).toUTCString();
+  const server = await startMockServer({
+    [COMPLETIONS]: [
+      failure(429, 'Slow down', { 'Retry-After': '7' }),
+      failure(503, 'Overloaded', { 'Retry-After': inFortyFiveSeconds }),
+      failure(429, 'Slow down', { 'Retry-After': '0' }),
+      completion('Done')
+    ]
+  });
+  try {
+    const provider = providerFor(server, { attemptsPerModel: 4 });
+    assert.strictEqual((await provider.generate('Hi', ['local/model'], 'writing')).content, 'Done');
+
+    assert.strictEqual(provider.delays.length, 3);
+    assert.strictEqual(provider.delays[0], 7000);
+    assert.ok(provider.delays[1] > 40000 && provider.delays[1] <= 45000, `waited ${provider.delays[1]}ms for the date`);
+    // A zero Retry-After means retry now, not fall back to exponential backoff
+    assert.strictEqual(provider.delays[2], 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('without Retry-After the pause grows exponentially, with jitter, up to the cap', async () => {
+  const server = await startMockServer({ [COMPLETIONS]: failure(500, 'Internal error') });
+  try {
+    const provider = providerFor(server, { attemptsPerModel: 5, backoffBaseMs: 100, backoffMaxMs: 500 });
+    await assert.rejects(provider.generate('Hi', ['local/model'], 'writing'), { kind: 'exhausted' });
+
+    assert.strictEqual(server.requests.length, 5);
+    [100, 200, 400, 500].forEach((base, i) => {
+      const delay = provider.delays[i];
+      assert.ok(delay >= base * 0.75 && delay <= base * 1.25, `attempt ${i + 1} waited ${delay}ms, expected about ${base}ms`);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('the model chain moves on after non-retryable errors, exhausted retries and long Retry-After', async () => {
+  const server = await startMockServer({
+    [COMPLETIONS]: request => ({
+      'local/missing': failure(404, 'No such model'),
+      'local/busy': failure(429, 'Slow down', { 'Retry-After': '120' }),
+      'local/flaky': failure(502, 'Bad gateway'),
+      'local/fallback': completion('From the fallback', 'local/fallback')
+    })[request.body.model]
+  });
+  try {
+    const provider = providerFor(server, { attemptsPerModel: 2 });
+    const result = await provider.generate('Hi', ['local/missing', 'local/busy', 'local/flaky', 'local/fallback'], 'writing');
+
+    assert.deepStrictEqual(result, { content: 'From the fallback', model: 'local/fallback' });
+    assert.deepStrictEqual(server.requests.map(request => request.body.model), ['local/missing', 'local/busy', 'local/flaky', 'local/flaky', 'local/fallback']);
+    assert.strictEqual(provider.delays.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('an auth error stops the chain at once', async () => {
+  const server = await startMockServer({ [COMPLETIONS]: failure(401, 'Invalid key') });
+  try {
+    const provider = providerFor(server);
+    await assert.rejects(provider.generate('Hi', ['local/a', 'local/b'], 'writing'), { kind: 'auth', status: 401, message: 'Invalid key' });
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a payment error moves on to the next model without retrying', async () => {
+  const server = await startMockServer({
+    [COMPLETIONS]: request => (request.body.model === 'paid/model' ? failure(402, 'Insufficient credits') : completion('From the free model', 'free/model'))
+  });
+  try {
+    const provider = providerFor(server);
+    assert.deepStrictEqual(await provider.generate('Hi', ['paid/model', 'free/model'], 'writing'), { content: 'From the free model', model: 'free/model' });
+    assert.deepStrictEqual(server.requests.map(request => request.body.model), ['paid/model', 'free/model']);
+    assert.strictEqual(provider.delays.length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('when every model fails the last error is reported', async () => {
+  const server = await startMockServer({ [COMPLETIONS]: failure(400, 'messages must not be empty') });
+  try {
+    await assert.rejects(
+      providerFor(server).generate('Hi', ['local/a', 'local/b'], 'scoring'),
+      { kind: 'exhausted', status: 400, model: 'local/b', message: 'All scoring models failed, last error (bad_request): messages must not be empty' }
+    );
+  } finally {
+    await server.close();
+  }
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OpenRouterProvider = require('../../src/llm/openRouterProvider');
+const { startMockServer } = require('../helpers/mockServer');
+
+const COMPLETIONS = 'POST /chat/completions';
+
+// The keys are read when the provider is created
+function withKeys(keys, create) {
+  const saved = { A: process.env.OPENROUTER_KEY_A, B: process.env.OPENROUTER_KEY_B };
+  for (const [name, value] of Object.entries({ A: keys[0], B: keys[1] })) {
+    if (value) process.env[`OPENROUTER_KEY_${name}`] = value;
+    else delete process.env[`OPENROUTER_KEY_${name}`];
+  }
+  try {
+    return create();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value !== undefined) process.env[`OPENROUTER_KEY_${name}`] = value;
+      else delete process.env[`OPENROUTER_KEY_${name}`];
+    }
+  }
+}
+
+// Rejects every key but the one given
+const acceptingOnly = key => request => request.headers.authorization === `Bearer ${key}`
+  ? { status: 200, body: { model: 'openai/gpt-4o-mini', choices: [{ message: { content: 'Scored' } }] } }
+  : { status: 401, body: { error: { message: 'User not found.' } } };
+
+test('switches to the fallback key once the primary key is rejected, and keeps using it', async () => {
+  const server = await startMockServer({ [COMPLETIONS]: acceptingOnly('key-b') });
+  try {
+    const provider = withKeys(['key-a', 'key-b'], () => new OpenRouterProvider({ baseUrl: server.url }));
+
+    assert.deepStrictEqual(await provider.generate('Score this', ['openai/gpt-4o-mini'], 'scoring'), { content: 'Scored', model: 'openai/gpt-4o-mini' });
+    await provider.generate('Score that', ['openai/gpt-4o-mini'], 'scoring');
+
+    assert.deepStrictEqual(server.requests.map(request => request.headers.authorization), ['Bearer key-a', 'Bearer key-b', 'Bearer key-b']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('an auth error on the last key fails the request', async () => {
+  const server = await startMockServer({ [COMPLETIONS]: acceptingOnly('key-c') });
+  try {
+    const provider = withKeys(['key-a', null], () => new OpenRouterProvider({ baseUrl: server.url }));
+
+    await assert.rejects(provider.generate('Score this', ['openai/gpt-4o-mini', 'meta-llama/llama-3.1-8b-instruct'], 'scoring'), { kind: 'auth', status: 401 });
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('other errors do not switch keys', async () => {
+  const server = await startMockServer({ [COMPLETIONS]: { status: 404, body: { error: { message: 'No endpoints found' } } } });
+  try {
+    const provider = withKeys(['key-a', 'key-b'], () => new OpenRouterProvider({ baseUrl: server.url, attemptsPerModel: 1 }));
+
+    await assert.rejects(provider.generate('Score this', ['openai/gpt-4o-mini'], 'scoring'), { kind: 'exhausted' });
+    assert.strictEqual(provider.keyIndex, 0);
+    assert.deepStrictEqual(server.requests.map(request => request.headers.authorization), ['Bearer key-a']);
+  } finally {
+    await server.close();
+  }
+});
\ No newline at end of file
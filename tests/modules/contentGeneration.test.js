@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ContentGeneration = require('../../src/modules/contentGeneration');
+const QualityGate = require('../../src/modules/qualityGate');
+const StyleEditor = require('../../src/modules/styleEditor');
+const Niche = require('../../src/utils/niche');
+const PromptLibrary = require('../../src/utils/promptLibrary');
+
+const niche = new Niche({ name: 'Backend Notes', audience: 'backend engineers', angle: 'practical trade-offs', pillars: [] });
+
+const OUTLINE = {
+  title: 'Job queues in SQLite',
+  introduction: { summary: 'Why a file is enough' },
+  sections: [{ heading: 'Schema' }, { heading: 'Workers' }, { heading: 'Retries' }],
+  conclusion: { heading: 'Wrapping up' },
+  closingQuestion: 'What would you try first?'
+};
+
+function prose(sentences) {
+  return Array.from({ length: sentences }, () => 'The job runs once and then it stops.').join(' ');
+}
+
+// A part of plain prose; the fifth and last one closes with a question
+function fullPart(n) {
+  return n === 5 ? `${prose(6)} What would you try first?` : prose(7);
+}
+
+// Answers outline and transition requests with the given replies, parts with plain prose and
+// repairs with the next entry of `repairs` (text, or a function of the prompt); every prompt
+// is kept by template for the assertions
+function fakeLlm({ outline = OUTLINE, transitions = null, part = fullPart, repairs = [] } = {}) {
+  const calls = { outline: [], transitions: [], part: [], resize: [], repair: [] };
+  return {
+    calls,
+    async requestParsed(prompt, parse) {
+      const isTransitions = prompt.startsWith('Write transition sentences');
+      calls[isTransitions ? 'transitions' : 'outline'].push(prompt);
+      try {
+        return { status: 'ok', value: parse(JSON.stringify(isTransitions ? transitions : outline)), model: 'fake-model', attempts: 1 };
+      } catch (error) {
+        return { status: 'parse_failed', error: error.message, attempts: 1 };
+      }
+    },
+    async generate(prompt, task) {
+      if (prompt.startsWith('Revise this article')) {
+        calls.repair.push(prompt);
+        const next = repairs.shift();
+        return { content: typeof next === 'function' ? next(prompt) : next, model: 'fake-editor' };
+      }
+      if (prompt.startsWith('Rewrite this part')) {
+        calls.resize.push(prompt);
+        return { content: prose(7), model: 'fake-editor' };
+      }
+      calls.part.push(prompt);
+      return { content: part(calls.part.length), model: task === 'writing' ? 'fake-model' : 'fake-editor' };
+    }
+  };
+}
+
+function generator(llm, options = { transitions: false }) {
+  const gate = new QualityGate({ minWords: 100, maxWords: 400, minSections: 3, maxSections: 5, maxAttempts: 3 });
+  return new ContentGeneration(llm, niche, new StyleEditor({}), gate, options, PromptLibrary.load());
+}
+
+test('an article failing the gate is repaired and measured again', async () => {
+  const llm = fakeLlm({
+    part: () => prose(7),
+    repairs: [prompt => {
+      // The repair gets the article as generated, with its failure listed
+      assert.match(prompt, /- closing-question: expected a question in the last paragraph, found no question/);
+      const content = prompt.slice(prompt.indexOf('Article:\n') + 9, prompt.lastIndexOf('\n\nReturn the full revised article:'));
+      return `${content.trimEnd()} What would you try first?\n`;
+    }]
+  });
+
+  const article = await generator(llm).generateArticle('SQLite job queues');
+
+  assert.strictEqual(llm.calls.repair.length, 1);
+  assert.strictEqual(article.quality.status, 'passed');
+  assert.strictEqual(article.quality.attempts, 2);
+  // Metrics describe the final text, not the draft before repair
+  assert.strictEqual(article.wordCount, article.quality.metrics.wordCount);
+  assert.ok(article.content.startsWith('# Job queues in SQLite\n'));
+  assert.ok(article.content.endsWith('The job runs once and then it stops. What would you try first?\n'));
+});
+
+test('repairs stop after maxAttempts and the article is returned as failed', async () => {
+  const llm = fakeLlm({ part: () => prose(7), repairs: ['# Still short\n\nToo short.', '# Still short\n\nToo short again.'] });
+  const article = await generator(llm).generateArticle('SQLite job queues');
+
+  assert.strictEqual(llm.calls.repair.length, 2);
+  assert.strictEqual(article.quality.status, 'failed');
+  assert.strictEqual(article.quality.attempts, 3);
+  assert.strictEqual(article.content, '# Still short\n\nToo short again.');
+  assert.strictEqual(article.wordCount, 3);
+});
+
+test('the outline is planned first and its word budgets scaled to the target length', async () => {
+  const outline = {
+    ...OUTLINE,
+    introduction: { summary: 'Why a file is enough', words: 100 },
+    sections: [{ heading: '## Schema', words: 300 }, { heading: 'Workers', words: 300 }, { heading: 'Retries' }],
+    conclusion: { heading: 'Wrapping up', words: 100 }
+  };
+  const llm = fakeLlm({ outline, part: n => `## Repeated heading\n\n${fullPart(n)}` });
+  const article = await generator(llm).generateArticle('SQLite job queues');
+
+  // 250 target words spread over 100/300/300/50/100 planned (Retries gets an even share), no part under 60
+  assert.deepStrictEqual(article.metadata.outline.map(part => [part.kind, part.heading, part.budget]), [
+    ['introduction', 'Introduction', 60],
+    ['section', 'Schema', 88],
+    ['section', 'Workers', 88],
+    ['section', 'Retries', 60],
+    ['conclusion', 'Wrapping up', 60]
+  ]);
+  // Headings the model repeated in a part are dropped; assembly adds its own
+  assert.strictEqual((article.content.match(/^## /gm) || []).length, 4);
+  assert.doesNotMatch(article.content, /Repeated heading/);
+});
+
+test('an outline outside the section limits stops generation', async () => {
+  const llm = fakeLlm({ outline: { ...OUTLINE, sections: [{ heading: 'Only one' }] } });
+
+  await assert.rejects(generator(llm).generateArticle('SQLite job queues'), /Outline parse_failed: Outline has 1 sections, expected 3-5/);
+  assert.strictEqual(llm.calls.part.length, 0);
+});
+
+test('each part is written with the plan and the article so far in view', async () => {
+  const llm = fakeLlm({ part: n => `Part ${n} text. ${fullPart(n)}` });
+  await generator(llm).generateArticle('SQLite job queues');
+
+  const [intro, schema, , , conclusion] = llm.calls.part;
+  assert.match(intro, /2\. ## Schema \(\d+ words\)/);
+  assert.match(intro, /\(nothing yet, this part opens the article\)/);
+  assert.match(schema, /Article so far:\n# Job queues in SQLite\n\nPart 1 text\./);
+  assert.match(schema, /Part to write: "Schema"/);
+  assert.doesNotMatch(schema, /Part 2 text/);
+  assert.match(conclusion, /## Retries\n\nPart 4 text\./);
+  assert.match(conclusion, /asking the reader a question, along the lines of: What would you try first\?/);
+});
+
+test('a part that misses its budget by more than the tolerance is resized once', async () => {
+  const llm = fakeLlm({ part: n => (n === 2 ? prose(30) : fullPart(n)) });
+  const article = await generator(llm).generateArticle('SQLite job queues');
+
+  assert.strictEqual(llm.calls.resize.length, 1);
+  assert.match(llm.calls.resize[0], /to about 60 words\. It has 240 now/);
+  assert.strictEqual(article.metadata.outline[1].words, 56);
+});
+
+test('transitions open each part after the introduction, matched by heading', async () => {
+  const llm = fakeLlm({
+    transitions: { transitions: [
+      { id: 9, heading: 'workers', sentence: 'Then the workers take over.' },
+      { id: 1, sentence: 'First, the table.' }
+    ] }
+  });
+  const article = await generator(llm, {}).generateArticle('SQLite job queues');
+
+  assert.strictEqual(llm.calls.transitions.length, 1);
+  assert.match(article.content, /## Schema\n\nFirst, the table\. The job runs/);
+  assert.match(article.content, /## Workers\n\nThen the workers take over\. The job runs/);
+  assert.match(article.content, /## Retries\n\nThe job runs/);
+});
+
+test('an unusable transitions reply leaves the parts as written', async () => {
+  const llm = fakeLlm({ transitions: { nothing: true } });
+  const article = await generator(llm, {}).generateArticle('SQLite job queues');
+
+  assert.match(article.content, /## Schema\n\nThe job runs/);
+  assert.deepStrictEqual(article.metadata.prompts.map(prompt => prompt.name).sort(), ['article-part', 'brief', 'outline', 'transitions']);
+});
\ No newline at end of file
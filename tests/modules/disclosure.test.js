@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Disclosure = require('../../src/modules/disclosure');
+
+const CONFIG = {
+  text: 'Disclosure: drafted with AI assistance.',
+  placement: 'top',
+  tags: { default: 'AI Assisted', devto: 'ai' }
+};
+
+test('adds the block after the title with the adapter tag', () => {
+  const article = new Disclosure(CONFIG, 'ghost').apply({ title: 'T', content: '# T\n\nBody.' });
+
+  assert.strictEqual(article.content, '# T\n\n> *Disclosure: drafted with AI assistance.*\n\nBody.');
+  assert.deepStrictEqual(article.disclosure.tags, ['AI Assisted']);
+  assert.strictEqual(new Disclosure(CONFIG, 'ghost').isDisclosed(article), true);
+  assert.deepStrictEqual(new Disclosure(CONFIG, 'devto').platformTags(), ['ai']);
+});
+
+test('only tags the target applied count, however it respelled them', () => {
+  const disclosure = new Disclosure(CONFIG, 'devto');
+  const tags = { tags: ['AI Assisted'] };
+
+  assert.deepStrictEqual(disclosure.appliedTags(tags, ['aiassisted', 'sqlite']), ['AI Assisted']);
+  assert.deepStrictEqual(disclosure.appliedTags(tags, ['ai-assisted']), ['AI Assisted']);
+  assert.deepStrictEqual(disclosure.appliedTags(tags, ['sqlite']), []);
+  assert.deepStrictEqual(disclosure.appliedTags(tags), []);
+});
\ No newline at end of file
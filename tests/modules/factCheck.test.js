@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FactCheck = require('../../src/modules/factCheck');
+const StyleEditor = require('../../src/modules/styleEditor');
+const PromptLibrary = require('../../src/utils/promptLibrary');
+const { extractClaims } = FactCheck;
+
+// Answers requestParsed from canned replies keyed by the start of the request's label
+function cannedLlm(replies) {
+  const requests = [];
+  return {
+    requests,
+    prompts: PromptLibrary.load(),
+    async requestParsed(prompt, parse, label) {
+      requests.push({ prompt, label });
+      const key = Object.keys(replies).find(prefix => label.startsWith(prefix));
+      return { status: 'ok', value: parse(JSON.stringify(replies[key])), model: 'test/model' };
+    }
+  };
+}
+
+const grounding = {
+  sources: [{ id: 1, url: 'https://example.com/queue', title: 'Our queue', text: 'Hosting the queue costs $5 per month on a single node.' }]
+};
+
+function article() {
+  return {
+    content: '# Queues\n\nWe moved off Redis last year.\n\nThe queue handled 90 million jobs in 2024 without downtime.\n',
+    style: { edits: [], warnings: [] },
+    metadata: { prompts: [{ name: 'outline', version: 1, niche: null }] }
+  };
+}
+
+test('claims are sentences with numbers, dates, quotes or names', () => {
+  const claims = extractClaims(article().content);
+  assert.deepStrictEqual(claims.map(claim => claim.text), ['We moved off Redis last year.', 'The queue handled 90 million jobs in 2024 without downtime.']);
+  assert.deepStrictEqual(claims[1].kinds, ['number', 'date']);
+});
+
+test('a rewrite is inserted literally, even when it holds replacement patterns', async () => {
+  const llm = cannedLlm({
+    'fact check': { claims: [{ id: 1, verdict: 'supported' }, { id: 2, verdict: 'unsupported' }] },
+    'claim rewrite': { rewrites: [{ id: 1, rewrite: 'Hosting costs $5 per month, billed as `$&` and `$1`.' }] }
+  });
+  const draft = article();
+
+  const report = await new FactCheck(llm).check(draft, grounding);
+
+  assert.strictEqual(draft.content, '# Queues\n\nWe moved off Redis last year.\n\nHosting costs $5 per month, billed as `$&` and `$1`.\n');
+  assert.strictEqual(report.status, 'passed');
+  assert.deepStrictEqual(report.summary, { total: 2, supported: 1, rewritten: 1, removed: 0, unresolved: 0 });
+});
+
+test('rewrites get the house style, with the edits added to the article\'s style report', async () => {
+  const llm = cannedLlm({
+    'fact check': { claims: [{ id: 1, verdict: 'supported' }, { id: 2, verdict: 'contradicted' }] },
+    'claim rewrite': { rewrites: [{ original: 'The queue handled 90 million jobs in 2024 without downtime.', rewrite: 'In order to save money, we leverage a single node.' }] }
+  });
+  const styleEditor = new StyleEditor({
+    bannedPhrases: [{ phrase: 'in order to', replacement: 'to' }],
+    glossary: [{ use: 'use', not: ['leverage'] }]
+  });
+  const draft = article();
+
+  const report = await new FactCheck(llm, {}, styleEditor).check(draft, grounding);
+
+  assert.ok(draft.content.endsWith('We moved off Redis last year.\n\nTo save money, we use a single node.\n'));
+  assert.strictEqual(report.claims[1].rewrite, 'To save money, we use a single node.');
+  assert.deepStrictEqual(draft.style.edits, [
+    { rule: 'banned-phrase', line: 5, from: 'In order to', to: 'To' },
+    { rule: 'glossary', line: 5, from: 'leverage', to: 'use' }
+  ]);
+});
+
+test('an empty rewrite removes the sentence', async () => {
+  const llm = cannedLlm({
+    'fact check': { claims: [{ id: 1, verdict: 'unsupported' }, { id: 2, verdict: 'supported' }] },
+    'claim rewrite': { rewrites: [{ id: 1, rewrite: '' }] }
+  });
+  const draft = { content: '# Queues\n\nWe moved off Redis last year. The queue handled 90 million jobs in 2024 without downtime.\n' };
+
+  const report = await new FactCheck(llm).check(draft, grounding);
+
+  assert.strictEqual(draft.content, '# Queues\n\nThe queue handled 90 million jobs in 2024 without downtime.\n');
+  assert.strictEqual(report.summary.removed, 1);
+});
+
+test('checks and rewrites render the prompt templates and record their versions with the article', async () => {
+  const llm = cannedLlm({
+    'fact check': { claims: [{ id: 1, verdict: 'supported' }, { id: 2, verdict: 'unsupported', evidence: 'no job count in sources' }] },
+    'claim rewrite': { rewrites: [{ id: 1, rewrite: 'The queue ran on a single node.' }] }
+  });
+  const draft = article();
+
+  await new FactCheck(llm).check(draft, grounding);
+
+  const [check, rewrite] = llm.requests;
+  assert.ok(check.prompt.startsWith('Fact-check each claim from an article'));
+  assert.ok(check.prompt.includes('[1] Our queue\nHosting the queue costs $5 per month on a single node.'));
+  assert.ok(check.prompt.includes('1. We moved off Redis last year.\n2. The queue handled 90 million jobs in 2024 without downtime.'));
+  assert.ok(rewrite.prompt.includes('1. The queue handled 90 million jobs in 2024 without downtime.\n   Problem: unsupported (no job count in sources)'));
+  assert.deepStrictEqual(draft.metadata.prompts, [
+    { name: 'outline', version: 1, niche: null },
+    { name: 'fact-check', version: 1, niche: null },
+    { name: 'rewrite-claims', version: 1, niche: null }
+  ]);
+});
\ No newline at end of file
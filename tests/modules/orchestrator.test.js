@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Orchestrator = require('../../src/modules/orchestrator');
+const DraftStore = require('../../src/utils/draftStore');
+const YamlStateManager = require('../../src/state/yamlStateManager');
+const SqliteStateManager = require('../../src/state/sqliteStateManager');
+const { sampleArticle } = require('../helpers/articles');
+
+const draft = { id: 'draft-1', topic: { hash: 'abc123' }, article: { disclosure: { tags: ['AI Assisted'] } } };
+const publishResult = { success: true, url: 'https://example.com/post', image: null, tags: ['AI Assisted'] };
+
+// The parts of an orchestrator that recording a publish touches: state writes named in failing
+// return false, and a failing draft store throws like a failed file write
+function recorder(failing = []) {
+  const writes = [];
+  const write = name => () => {
+    writes.push(name);
+    return !failing.includes(name);
+  };
+  return Object.assign(Object.create(Orchestrator.prototype), {
+    writes,
+    publisher: { name: 'test' },
+    disclosure: { appliedTags: (disclosure, tags) => tags },
+    draftStore: {
+      markPublished: () => {
+        writes.push('markPublished');
+        if (failing.includes('markPublished')) throw new Error('EACCES: permission denied');
+        return { ...draft, status: 'published' };
+      }
+    },
+    stateManager: {
+      updateLastPublish: write('updateLastPublish'),
+      recordDisclosure: write('recordDisclosure'),
+      recordPublishedArticle: write('recordPublishedArticle')
+    }
+  });
+}
+
+test('a fully recorded publish leaves nothing unrecorded', async () => {
+  const orchestrator = recorder();
+  assert.deepStrictEqual(await orchestrator.recordPublish(draft, publishResult), []);
+  assert.deepStrictEqual(orchestrator.writes, ['markPublished', 'updateLastPublish', 'recordDisclosure', 'recordPublishedArticle']);
+});
+
+test('failed and throwing writes are reported, and the remaining writes still happen', async () => {
+  const orchestrator = recorder(['markPublished', 'recordDisclosure']);
+  assert.deepStrictEqual(await orchestrator.recordPublish(draft, publishResult), ['draft status', 'disclosure']);
+  assert.deepStrictEqual(orchestrator.writes, ['markPublished', 'updateLastPublish', 'recordDisclosure', 'recordPublishedArticle']);
+});
+
+// An orchestrator with one approved draft and a publisher that always succeeds, around a real
+// state manager, so a run goes straight to publishing and recording
+function publishingRun(stateManager, dir) {
+  const draftStore = new DraftStore(path.join(dir, 'drafts'));
+  const created = draftStore.create({ topic: { topic: 'Why we moved our job queue to SQLite', hash: 'abc123', source: 'hacker-news' }, article: sampleArticle() });
+  draftStore.approve(created.id);
+
+  return Object.assign(Object.create(Orchestrator.prototype), {
+    stateManager,
+    draftStore,
+    dryRun: false,
+    disclosure: { isDisclosed: () => true, appliedTags: (disclosure, tags) => tags },
+    cloudflareWarp: { connect: async () => {}, validateIP: async () => true, disconnect: async () => {} },
+    publisher: {
+      name: 'test',
+      initialize: async () => {},
+      publish: async () => ({ success: true, url: 'https://example.com/post', image: null, tags: ['AI Assisted'] }),
+      verify: async () => true,
+      close: async () => {}
+    }
+  });
+}
+
+test('a YAML state that cannot be written fails the run after publishing', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-'));
+  try {
+    const file = path.join(dir, 'state.yaml');
+    const state = new YamlStateManager({ file });
+    // A directory where the temp file should go makes every write fail
+    fs.mkdirSync(`${file}.${process.pid}.tmp`);
+    assert.strictEqual(state.addTopicToHistory('def456'), false);
+
+    const orchestrator = publishingRun(state, dir);
+    assert.deepStrictEqual(await orchestrator.run(), {
+      success: false,
+      reason: 'state_write_failed',
+      url: 'https://example.com/post',
+      draftId: orchestrator.draftStore.list()[0].id
+    });
+    // The draft store still recorded the publish, so the article is not sent out again
+    assert.strictEqual(orchestrator.draftStore.list()[0].status, 'published');
+    assert.strictEqual(fs.existsSync(file), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a SQLite state that cannot be written fails the run after publishing', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-'));
+  try {
+    const state = new SqliteStateManager({ file: path.join(dir, 'state.db'), backups: 0 });
+    // Without its table every disclosure write fails inside the transaction
+    state.db.exec('DROP TABLE disclosure_log');
+    assert.strictEqual(state.recordDisclosure('def456', 'https://example.com/post', { appliedAt: new Date().toISOString(), placement: 'footer', tags: [] }), false);
+
+    const orchestrator = publishingRun(state, dir);
+    assert.deepStrictEqual(await orchestrator.run(), {
+      success: false,
+      reason: 'state_write_failed',
+      url: 'https://example.com/post',
+      draftId: orchestrator.draftStore.list()[0].id
+    });
+
+    // The writes that could land did, and the run closed the database
+    const reopened = new SqliteStateManager({ file: path.join(dir, 'state.db'), backups: 0 });
+    assert.strictEqual(reopened.isTopicProcessed('abc123'), true);
+    assert.deepStrictEqual(reopened.getPublishedArticles().map(record => record.url), ['https://example.com/post']);
+    reopened.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
\ No newline at end of file
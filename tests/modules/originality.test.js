@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Originality = require('../../src/modules/originality');
+
+const source = 'Postgres keeps every row version until vacuum removes the dead tuples, so long transactions hold back cleanup across the whole cluster.';
+
+function article(body) {
+  return { content: `# Vacuum in practice\n\n${body}\n\n## References\n\n1. [Postgres docs](https://www.postgresql.org/docs/) ${source}` };
+}
+
+test('a draft that copies a source past the limit is rejected with the copied span', () => {
+  const originality = new Originality({ shingleSize: 5, maxOverlapPercent: 15 });
+  const report = originality.check(article(`As the manual puts it, ${source}`), [
+    { kind: 'source', id: 's1', title: 'Routine vacuuming', url: 'https://www.postgresql.org/docs/current/routine-vacuuming.html', text: source }
+  ]);
+
+  assert.strictEqual(report.status, 'rejected');
+  assert.ok(report.maxOverlap > 15);
+  assert.match(report.reason, /shared with source "Routine vacuuming"/);
+  assert.match(report.comparisons[0].longestSpans[0].text, /^Postgres keeps every row version/);
+});
+
+test('the title, code blocks and the references list do not count as copying', () => {
+  const originality = new Originality({ shingleSize: 5 });
+  const report = originality.check(
+    article(`Old rows pile up when a transaction stays open for hours.\n\n\`\`\`\n${source}\n\`\`\``),
+    [{ kind: 'catalogue', id: 'a1', title: 'Vacuum in practice', text: `# Vacuum in practice\n\n${source}` }]
+  );
+
+  assert.strictEqual(report.status, 'passed');
+  assert.strictEqual(report.maxOverlap, 0);
+});
+
+test('reports name each reference and a disabled check is skipped', () => {
+  const report = new Originality({ shingleSize: 5 }).check(article('Unrelated prose about queues and workers here.'), [
+    { kind: 'source', url: 'https://example.com/a', text: source },
+    { kind: 'catalogue', id: 'a2', title: 'Queues', text: '# Queues\n\nWorkers pull jobs.' }
+  ]);
+  assert.deepStrictEqual(report.comparisons.map(c => [c.kind, c.id, c.url, c.overlap]), [
+    ['source', null, 'https://example.com/a', 0],
+    ['catalogue', 'a2', null, 0]
+  ]);
+
+  assert.strictEqual(new Originality({ enabled: false }).check(article(source), [{ kind: 'source', text: source }]).status, 'skipped');
+});
\ No newline at end of file
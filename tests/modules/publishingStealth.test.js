@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PublishingStealth = require('../../src/modules/publishingStealth');
+
+// Stands in for the browser: each read of the editor returns the next lead image src
+function stealthWithImages(sources) {
+  const stealth = new PublishingStealth();
+  let reads = 0;
+  stealth.helpers = {
+    readEditorStructure: async () => ({ images: [sources[Math.min(reads++, sources.length - 1)]] })
+  };
+  stealth.imagePollMs = 1;
+  stealth.reads = () => reads;
+  return stealth;
+}
+
+test('waits for the lead image to move from its source to the Medium CDN', async () => {
+  const stealth = stealthWithImages([
+    'https://images.pexels.com/photos/1/lead.jpg',
+    'blob:https://medium.com/3f2a',
+    'https://miro.medium.com/v2/resize:fit:1400/1*abc.jpeg'
+  ]);
+
+  assert.strictEqual(await stealth.waitForHostedImage('div'), 'https://miro.medium.com/v2/resize:fit:1400/1*abc.jpeg');
+  assert.strictEqual(stealth.reads(), 3);
+});
+
+test('accepts the legacy cdn-images hosts', async () => {
+  const stealth = stealthWithImages(['https://cdn-images-1.medium.com/max/1024/1*abc.jpeg']);
+  assert.strictEqual(await stealth.waitForHostedImage('div'), 'https://cdn-images-1.medium.com/max/1024/1*abc.jpeg');
+});
+
+test('gives up instead of recording the source URL as hosted', async () => {
+  const stealth = stealthWithImages(['https://images.pexels.com/photos/1/lead.jpg']);
+  stealth.imageHostTimeoutMs = 20;
+
+  await assert.rejects(stealth.waitForHostedImage('div'), /not re-hosted by Medium within 20ms \(src: https:\/\/images\.pexels\.com/);
+});
\ No newline at end of file
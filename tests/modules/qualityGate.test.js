@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const QualityGate = require('../../src/modules/qualityGate');
+const { measure } = require('../../src/modules/qualityGate');
+
+const SENTENCE = 'The job runs once and then it stops.';
+
+function prose(sentences) {
+  return Array.from({ length: sentences }, () => SENTENCE).join(' ');
+}
+
+// Title, intro, numbered H2 sections and a conclusion, each a paragraph of short sentences
+function article({ title = '# Job queues', sections = 3, sentences = 5, question = true } = {}) {
+  const body = Array.from({ length: sections }, (_, i) => `## Part ${i + 1}\n\n${prose(sentences)}`);
+  const ending = question ? `${prose(sentences)} What would you try first?` : prose(sentences);
+  return [title, prose(sentences), ...body, `## Wrapping up\n\n${ending}`].filter(Boolean).join('\n\n');
+}
+
+const gate = new QualityGate({ minWords: 100, maxWords: 300, minSections: 3, maxSections: 5 });
+
+test('an article built to the spec passes every rule', () => {
+  const report = gate.check(article(), 2);
+
+  assert.strictEqual(report.status, 'passed');
+  assert.strictEqual(report.attempts, 2);
+  assert.deepStrictEqual(report.rules.map(r => r.rule), ['title', 'length', 'readability', 'sections', 'intro', 'conclusion', 'closing-question']);
+  assert.deepStrictEqual(report.failures, []);
+});
+
+test('each missing piece of structure fails its own rule', () => {
+  const failed = content => gate.check(content).rules.filter(r => !r.passed).map(r => r.rule);
+
+  assert.deepStrictEqual(failed(article({ title: null })), ['title']);
+  assert.deepStrictEqual(failed(article({ sections: 1 })), ['sections']);
+  assert.deepStrictEqual(failed(article({ question: false })), ['closing-question']);
+  assert.deepStrictEqual(failed(article({ sentences: 20 })), ['length']);
+  assert.deepStrictEqual(failed('# Job queues\n\n## Only\n\nText here.'), ['length', 'sections', 'intro', 'conclusion', 'closing-question']);
+});
+
+test('failures say what was expected and what was found', () => {
+  const report = gate.check(article({ sections: 6, sentences: 3 }));
+
+  assert.strictEqual(report.status, 'failed');
+  assert.deepStrictEqual(report.failures, ['sections: expected 3-5 H2 sections before the conclusion, found 6 sections']);
+});
+
+test('hard prose fails readability and optional rules can be switched off', () => {
+  const dense = article().replace(/The job runs once and then it stops\./g, 'Asynchronous serialization necessitates considerable infrastructural orchestration.');
+  assert.deepStrictEqual(gate.check(dense).failures.map(f => f.split(':')[0]), ['readability']);
+
+  const lenient = new QualityGate({ minWords: 10, requireIntro: false, requireConclusion: false, requireClosingQuestion: false });
+  assert.deepStrictEqual(lenient.check(article({ question: false })).rules.map(r => r.rule), ['title', 'length', 'readability', 'sections']);
+});
+
+test('references, quotes and code are left out of the metrics', () => {
+  const base = measure(article());
+  const extra = measure(`${article().replace('# Job queues\n\n', '# Job queues\n\n> *Disclosure: drafted with AI assistance and edited by a person.*\n\n')}\n\n\`\`\`js\nqueue.run(job);\n\`\`\`\n\n## References\n\n- [Queue docs](https://example.com/queues)`);
+
+  assert.strictEqual(extra.wordCount, base.wordCount);
+  assert.strictEqual(extra.sections, 3);
+  assert.strictEqual(extra.conclusion, 'Wrapping up');
+  assert.strictEqual(extra.closingQuestion, true);
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SourceGrounding = require('../../src/modules/sourceGrounding');
+const { extractPage } = SourceGrounding;
+const { ROOT_DIR } = require('../helpers/recordedFetch');
+
+const page = file => fs.readFileSync(path.join(ROOT_DIR, file), 'utf8');
+
+test('an <article> page yields its blocks in order, headings marked and code kept as written', () => {
+  const { title, text } = extractPage(page('fixtures/pages/example.com/sqlite-in-production.html'));
+  const blocks = text.split('\n\n');
+
+  assert.strictEqual(title, 'Why we moved our job queue to SQLite');
+  assert.strictEqual(blocks[0], '## Why we moved our job queue to SQLite');
+  assert.strictEqual(blocks[1], 'By the platform team');
+  assert.ok(blocks.includes('## The new design'));
+  assert.ok(blocks.includes('Workers claim a job with a single UPDATE ... RETURNING statement, so two workers can never take the same job. Failed jobs are retried with exponential backoff and move to a dead status after five attempts.'));
+  assert.ok(blocks.includes('PRAGMA journal_mode = WAL;\nPRAGMA busy_timeout = 5000;'));
+  assert.strictEqual(blocks[blocks.length - 1], 'Backups use SQLite\'s online backup command on a schedule, with a monthly restore test. The design assumes a single primary node owns the file.');
+
+  // Page chrome outside the article never reaches the text
+  for (const chrome of ['Careers', 'Related posts', 'Our Postgres upgrade', 'All rights reserved', 'analytics', 'font-family']) {
+    assert.ok(!text.includes(chrome), `"${chrome}" leaked into the text`);
+  }
+});
+
+test('without an <article> the body is used, minus navigation, hidden elements, captions and forms', () => {
+  const { title, text } = extractPage(page('tests/fixtures/pages/release-notes.html'));
+
+  assert.strictEqual(title, 'Queue 2.0 release notes');
+  assert.deepStrictEqual(text.split('\n\n'), [
+    '## What changed',
+    'Jobs can be scheduled with a cron expression.',
+    'Retries now use exponential backoff with jitter.',
+    'Upgrading took us ten minutes. — An early user',
+    'queue upgrade --to 2.0\nqueue migrate'
+  ]);
+});
+
+test('a page without text blocks falls back to the root element\'s text', () => {
+  assert.deepStrictEqual(extractPage(page('tests/fixtures/pages/plain-text.html')), {
+    title: 'Status page',
+    text: 'All systems operational. Last incident resolved on October 2.'
+  });
+});
+
+test('an empty page has no title and no text', () => {
+  assert.deepStrictEqual(extractPage('<html><body><nav>Home</nav></body></html>'), { title: '', text: '' });
+});
+
+test('gather keeps pages with enough text, truncated, and skips short or failing ones', async () => {
+  const pages = {
+    'https://example.com/sqlite-in-production': page('fixtures/pages/example.com/sqlite-in-production.html'),
+    'https://example.com/status': page('tests/fixtures/pages/plain-text.html')
+  };
+  const grounding = new SourceGrounding({ maxCharsPerSource: 500, skipHosts: ['news.ycombinator.com'] });
+  grounding.fetch = async url => {
+    if (!pages[url]) throw new Error('HTTP 404');
+    return { data: pages[url] };
+  };
+
+  const { sources, context } = await grounding.gather({
+    topic: 'SQLite job queues',
+    url: 'https://example.com/sqlite-in-production',
+    context: 'From the HN thread',
+    provenance: [
+      { url: 'https://example.com/sqlite-in-production' },
+      { url: 'https://news.ycombinator.com/item?id=40000001' },
+      { url: 'https://example.com/status' },
+      { url: 'https://example.com/gone' },
+      { url: 'ftp://example.com/file' }
+    ]
+  });
+
+  assert.strictEqual(context, 'From the HN thread');
+  assert.strictEqual(sources.length, 1);
+  assert.strictEqual(sources[0].title, 'Why we moved our job queue to SQLite');
+  assert.strictEqual(sources[0].text.length, 500);
+  assert.ok(sources[0].text.startsWith('## Why we moved our job queue to SQLite\n\nBy the platform team'));
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StyleEditor = require('../../src/modules/styleEditor');
+
+const guide = {
+  bannedPhrases: [
+    { phrase: "it's important to note that", replacement: '' },
+    { phrase: 'leverage', replacement: 'use' }
+  ],
+  headingCase: 'sentence',
+  properNouns: ['SQLite', 'GitHub Actions'],
+  glossary: [{ use: 'JavaScript', not: ['Javascript', 'JS'] }],
+  sentences: { maxWords: 12, minSplitWords: 4 }
+};
+
+test('banned phrases are replaced, or deleted with the sentence recapitalised', () => {
+  const { content, report } = new StyleEditor(guide).edit("It's important to note that queues fail. Leverage retries.\n");
+
+  assert.strictEqual(content, 'Queues fail. Use retries.\n');
+  assert.deepStrictEqual(report.edits.map(edit => [edit.rule, edit.from, edit.to]), [
+    ['banned-phrase', "It's important to note that", ''],
+    ['banned-phrase', 'Leverage', 'Use']
+  ]);
+});
+
+test('glossary variants are respelled as whole words only', () => {
+  const { content } = new StyleEditor(guide).edit('Javascript and JS tooling, not JSON.\n');
+  assert.strictEqual(content, 'JavaScript and JavaScript tooling, not JSON.\n');
+});
+
+test('headings take the house case and keep proper nouns', () => {
+  const { content, report } = new StyleEditor(guide).edit('## Running Sqlite Tests On Github Actions\n\nText.\n');
+
+  assert.strictEqual(content.split('\n')[0], '## Running SQLite tests on GitHub Actions');
+  assert.deepStrictEqual(report.edits.map(edit => edit.rule), ['heading-case']);
+
+  const title = new StyleEditor({ headingCase: 'title' }).edit('## a guide to the event loop\n').content;
+  assert.strictEqual(title, '## A Guide to the Event Loop\n');
+});
+
+test('long sentences are split at a clause boundary, and what cannot be split is reported', () => {
+  const editor = new StyleEditor(guide);
+
+  const { content } = editor.edit('The worker pulls a job from the queue, and the scheduler records the attempt in SQLite.\n');
+  assert.strictEqual(content, 'The worker pulls a job from the queue. The scheduler records the attempt in SQLite.\n');
+
+  const { report } = editor.edit('One two three four five six seven eight nine ten eleven twelve thirteen fourteen.\n');
+  assert.deepStrictEqual(report.warnings.map(warning => warning.words), [14]);
+});
+
+test('code, links, URLs and quotations are never edited', () => {
+  const markdown = [
+    'Call `leverage()` from [Javascript docs](https://example.com/JS) or https://example.com/leverage.',
+    '',
+    'He said "leverage the JS" once.',
+    '',
+    '```js',
+    "// it's important to note that leverage is fine here",
+    '```',
+    ''
+  ].join('\n');
+  const { content, report } = new StyleEditor(guide).edit(markdown);
+
+  assert.strictEqual(content, markdown);
+  assert.deepStrictEqual(report.edits, []);
+  assert.strictEqual(report.diff, '');
+});
+
+test('the report diff lists changed lines only', () => {
+  const { report } = new StyleEditor(guide).edit('Fine line.\n\nWe leverage caches.\n');
+  assert.strictEqual(report.diff, '@@ line 3 @@\n- We leverage caches.\n+ We use caches.');
+});
\ No newline at end of file
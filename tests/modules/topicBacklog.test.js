@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment');
+const TopicBacklog = require('../../src/modules/topicBacklog');
+
+function memoryState(entries = []) {
+  return {
+    entries,
+    getTopicBacklog() { return this.entries; },
+    saveTopicBacklog(next) { this.entries = next; return true; }
+  };
+}
+
+const coverage = { history: [], similarityThreshold: 0.6, isCovered: () => false };
+
+function queueTopic(score, fes2 = { score: score / 10 }) {
+  return { hash: 'h1', topic: 'SQLite as a job queue', fingerprint: ['sqlite', 'job', 'queue'], source: 'hacker-news', score, fes2 };
+}
+
+test('a topic decays from the time it was last scored, not when it was first seen', () => {
+  const now = moment('2026-10-19T12:00:00Z');
+  const backlog = new TopicBacklog(memoryState(), { decayPerDay: 2, maxAgeDays: 14 });
+  const entry = {
+    hash: 'h1',
+    first_seen: '2026-10-09T12:00:00Z',
+    last_scored_at: '2026-10-18T12:00:00Z',
+    score_history: [{ at: '2026-10-09T12:00:00Z', score: 90 }, { at: '2026-10-18T12:00:00Z', score: 95 }]
+  };
+
+  assert.strictEqual(backlog.decayedScore(entry, now), 93);
+  assert.strictEqual(backlog.candidates([entry], now)[0].backlog.age_days, 10);
+});
+
+test('entries without last_scored_at decay from their latest score point', () => {
+  const backlog = new TopicBacklog(memoryState(), { decayPerDay: 2 });
+  const entry = {
+    first_seen: '2026-10-09T12:00:00Z',
+    score_history: [{ at: '2026-10-09T12:00:00Z', score: 90 }, { at: '2026-10-17T12:00:00Z', score: 96 }]
+  };
+
+  assert.strictEqual(backlog.decayedScore(entry, moment('2026-10-19T12:00:00Z')), 92);
+});
+
+test('re-scoring resets the decay clock but a cached score does not', () => {
+  const state = memoryState([{
+    hash: 'h1',
+    topic: 'SQLite as a job queue',
+    fingerprint: ['sqlite', 'job', 'queue'],
+    first_seen: moment().subtract(5, 'days').toISOString(),
+    last_seen: moment().subtract(5, 'days').toISOString(),
+    last_scored_at: moment().subtract(5, 'days').toISOString(),
+    score_history: [{ at: moment().subtract(5, 'days').toISOString(), score: 99 }]
+  }]);
+  const backlog = new TopicBacklog(state, { decayPerDay: 2, maxAgeDays: 14 });
+
+  // Served from the cache: still five days of decay
+  assert.strictEqual(backlog.refresh([queueTopic(99, { score: 9.9, cached: true })], coverage)[0].score, 89);
+
+  // Freshly scored: no decay yet, although first seen five days ago
+  const [candidate] = backlog.refresh([queueTopic(95)], coverage);
+  assert.strictEqual(candidate.score, 95);
+  assert.strictEqual(candidate.backlog.age_days, 5);
+  assert.strictEqual(state.entries[0].score_history.length, 2);
+});
+
+test('a cached score adds no score history point', () => {
+  const scoredAt = moment().subtract(2, 'days').toISOString();
+  const state = memoryState([{
+    hash: 'h1',
+    topic: 'SQLite as a job queue',
+    fingerprint: ['sqlite', 'job', 'queue'],
+    first_seen: scoredAt,
+    last_seen: scoredAt,
+    last_scored_at: scoredAt,
+    score_history: [{ at: scoredAt, score: 99 }]
+  }]);
+  const backlog = new TopicBacklog(state, { decayPerDay: 2, maxAgeDays: 14 });
+
+  backlog.refresh([queueTopic(99, { score: 9.9, cached: true, scored_at: scoredAt })], coverage);
+
+  assert.deepStrictEqual(state.entries[0].score_history, [{ at: scoredAt, score: 99 }]);
+  assert.strictEqual(state.entries[0].last_scored_at, scoredAt);
+});
+
+test('a new entry from a cached score decays from the cache entry\'s scored_at', () => {
+  const scoredAt = moment().subtract(3, 'days').toISOString();
+  const state = memoryState();
+  const backlog = new TopicBacklog(state, { decayPerDay: 2, maxAgeDays: 14 });
+
+  const [candidate] = backlog.refresh([queueTopic(99, { score: 9.9, cached: true, scored_at: scoredAt })], coverage);
+
+  assert.strictEqual(state.entries[0].last_scored_at, scoredAt);
+  assert.deepStrictEqual(state.entries[0].score_history, [{ at: scoredAt, score: 99 }]);
+  assert.strictEqual(candidate.score, 93);
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LlmClient = require('../../src/llm/llmClient');
+const TopicDiscovery = require('../../src/modules/topicDiscovery');
+const PromptLibrary = require('../../src/utils/promptLibrary');
+const Niche = require('../../src/utils/niche');
+const { parseBatchScoreResponse } = require('../../src/utils/fes2');
+
+const scores = (engagement, extra = {}) => ({ engagement, niche_relevance: 80, timeliness: 70, originality: 60, ...extra });
+
+test('batch replies are matched on topic text first and id second, bad entries left empty', () => {
+  const topics = ['Rust in the Linux kernel', 'Local LLM inference on laptops', 'Postgres 17 for developers'];
+  const reply = JSON.stringify({ scores: [
+    { id: 3, topic: 'local llm inference on laptops', ...scores(90) },
+    { id: 1, ...scores(50) },
+    { id: 3, topic: 'Postgres 17 for developers', engagement: 'lots' }
+  ] });
+
+  const results = parseBatchScoreResponse(reply, topics);
+  assert.strictEqual(results[0].breakdown.engagement, 50);
+  assert.strictEqual(results[1].breakdown.engagement, 90);
+  assert.strictEqual(results[2], null);
+  assert.throws(() => parseBatchScoreResponse('{"results": []}', topics), /no "scores" array/);
+});
+
+test('topics a batch reply skipped are scored on their own', async () => {
+  const prompts = [];
+  const provider = {
+    async generate(prompt, models) {
+      prompts.push(prompt);
+      const content = prompt.startsWith('Analyze these topics')
+        ? JSON.stringify({ scores: [{ id: 1, ...scores(90) }] })
+        : JSON.stringify(scores(40));
+      return { content, model: models[0] };
+    }
+  };
+  const client = new LlmClient({ scoring: { provider, models: ['test/model'] } }, PromptLibrary.load());
+
+  const results = await client.scoreTopics(['First topic here', 'Second topic here'], 'developers');
+
+  assert.deepStrictEqual(results.map(result => [result.status, result.breakdown.engagement]), [['ok', 90], ['ok', 40]]);
+  assert.strictEqual(prompts.length, 2);
+  assert.ok(prompts[0].includes('1. "First topic here"\n2. "Second topic here"'));
+  assert.ok(prompts[1].includes('Second topic here') && !prompts[1].includes('First topic here'));
+});
+
+test('cached scores skip the model; the rest go out in bounded batches and are cached', async () => {
+  const batches = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const llm = {
+    async scoreTopics(topics) {
+      batches.push(topics);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return topics.map(topic => ({ score: topic.length, status: topic.includes('fail') ? 'request_failed' : 'ok' }));
+    }
+  };
+  const cache = {
+    saved: null,
+    getCachedScore: (hash, ttlHours) => (hash === 'h1' && ttlHours === 48 ? { score: 99 } : null),
+    cacheScores(entries, ttlHours) {
+      this.saved = { entries, ttlHours };
+      return true;
+    }
+  };
+  const discovery = new TopicDiscovery(llm, { scoring: { batchSize: 2, concurrency: 2, cacheTtlHours: 48 } }, new Niche({ name: 'Test', pillars: [], sources: [] }));
+  const candidates = ['a0', 'b1', 'c2', 'd3 fail', 'e4', 'f5'].map((topic, i) => ({ topic, hash: `h${i}` }));
+
+  const results = await discovery.scoreCandidates(candidates, cache);
+
+  assert.deepStrictEqual(results[1], { score: 99, cached: true });
+  assert.deepStrictEqual(batches, [['a0', 'c2'], ['d3 fail', 'e4'], ['f5']]);
+  assert.strictEqual(maxInFlight, 2);
+  assert.deepStrictEqual(results.map(result => result.score), [2, 99, 2, 7, 2, 2]);
+  assert.deepStrictEqual(cache.saved.entries.map(entry => entry.hash), ['h0', 'h2', 'h4', 'h5']);
+  assert.strictEqual(cache.saved.ttlHours, 48);
+});
\ No newline at end of file
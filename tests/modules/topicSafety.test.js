@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TopicSafety = require('../../src/modules/topicSafety');
+const PromptLibrary = require('../../src/utils/promptLibrary');
+
+const safety = new TopicSafety(null, { llmCheck: false });
+
+test('everyday tech phrasing passes the rules', () => {
+  for (const topic of [
+    'Debugging a fatal error in the Rust borrow checker',
+    'Symptoms of a memory leak in long-running Node services',
+    'Killing dead code with tree shaking',
+    'Why your build is fatal to developer productivity',
+    'Leader election in Raft',
+    'Voting-based consensus without a coordinator',
+    'Our worker was killed in production by the OOM killer',
+    'A cure for noisy neighbours on shared Kubernetes nodes',
+    'Troubleshooting a diagnosis endpoint in Spring Boot health checks',
+    'Shooting yourself in the foot with async iterators'
+  ]) {
+    assert.deepStrictEqual(safety.matchRules(topic), [], topic);
+  }
+});
+
+test('tragedy and medical phrases are still caught', () => {
+  assert.deepStrictEqual(safety.matchRules('Three killed in fatal crash on the highway').map(hit => hit.category), ['tragedy']);
+  assert.deepStrictEqual(safety.matchRules('Driver fatally injured in self-driving test').map(hit => hit.category), ['tragedy']);
+  assert.deepStrictEqual(safety.matchRules('AI app claims to read medical symptoms from selfies').map(hit => hit.category), ['medical']);
+  assert.deepStrictEqual(safety.matchRules('Startup sells a miracle cure for insomnia').map(hit => hit.category), ['medical']);
+  assert.deepStrictEqual(safety.matchRules('Twelve people killed as flooding hits the coast').map(hit => hit.category), ['tragedy']);
+});
+
+test('election phrases are caught, distributed systems vocabulary is not', () => {
+  assert.deepStrictEqual(safety.matchRules('Deepfakes flood social media before the presidential election').map(hit => hit.category), ['elections']);
+  assert.deepStrictEqual(safety.matchRules('Voter turnout apps leak personal data').map(hit => hit.category), ['elections']);
+  assert.deepStrictEqual(safety.matchRules('How etcd runs leader elections').map(hit => hit.category), []);
+});
+
+test('the model classifies what the rules let through, and its decisions name the prompt version', async () => {
+  const requests = [];
+  const llm = {
+    prompts: PromptLibrary.load(),
+    async requestParsed(prompt, parse) {
+      requests.push(prompt);
+      return {
+        status: 'ok',
+        value: parse(JSON.stringify({ results: [
+          { id: 1, topic: 'Profiling a Go service under load', categories: [], reason: 'Technical subject' },
+          { id: 2, topic: 'The engineer behind the leaked payroll spreadsheet', categories: ['private_individual'], reason: 'Names a private person' }
+        ] }))
+      };
+    }
+  };
+  const screen = await new TopicSafety(llm, { categories: { private_individual: 'quarantine' } }).screen([
+    { topic: 'Profiling a Go service under load' },
+    { topic: 'The engineer behind the leaked payroll spreadsheet' },
+    { topic: 'Earthquake response apps compared' }
+  ]);
+
+  assert.strictEqual(requests.length, 1);
+  assert.ok(requests[0].startsWith('Classify each topic for sensitivity'));
+  assert.ok(requests[0].includes('1. "Profiling a Go service under load"\n2. "The engineer behind the leaked payroll spreadsheet"\n'));
+  assert.ok(!requests[0].includes('Earthquake'));
+
+  assert.deepStrictEqual(screen.allowed.map(t => t.topic), ['Profiling a Go service under load']);
+  assert.deepStrictEqual(screen.quarantined[0].safety.prompt, { name: 'safety-check', version: 1, niche: null });
+  assert.strictEqual(screen.dropped[0].safety.method, 'rules');
+  assert.strictEqual(screen.dropped[0].safety.prompt, null);
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DevtoPublisher = require('../../src/publishers/devtoPublisher');
+const { startMockServer } = require('../helpers/mockServer');
+const { sampleArticle, sampleImage } = require('../helpers/articles');
+
+test('publishes Markdown with a cover, attribution line and normalized tags', async () => {
+  const mock = await startMockServer({
+    'POST /articles': { status: 201, body: { id: 5, url: 'https://dev.to/blogt/sqlite-queue', cover_image: 'https://media.dev.to/lead.jpg' } },
+    'GET /articles/5': { body: { id: 5 } }
+  });
+  const image = sampleImage();
+
+  try {
+    const publisher = new DevtoPublisher({ baseUrl: mock.url, apiKey: 'key', tags: ['Job Queues', 'sqlite', 'rust', 'go', 'extra'] });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle(), image);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.image, { url: 'https://media.dev.to/lead.jpg', caption: image.caption });
+
+    const request = mock.requests.find(r => r.path === '/articles');
+    const article = request.body.article;
+    assert.strictEqual(request.headers['api-key'], 'key');
+    assert.deepStrictEqual(article.tags, ['aiassisted', 'jobqueues', 'sqlite', 'rust']);
+    assert.deepStrictEqual(result.tags, article.tags);
+    assert.strictEqual(article.published, true);
+    assert.strictEqual(article.main_image, image.url);
+    // The title is sent as a field, so the body must not repeat it as an H1
+    assert.doesNotMatch(article.body_markdown, /^# /m);
+    assert.match(article.body_markdown, /^\*Cover: Photo by \[Jane Doe\]/);
+
+    assert.strictEqual(await publisher.verify(result), true);
+  } finally {
+    image.cleanup();
+    await mock.close();
+  }
+});
+
+test('drafts are verified through the unpublished listing', async () => {
+  const mock = await startMockServer({
+    'POST /articles': { status: 201, body: { id: 6, url: 'https://dev.to/blogt/draft-6' } },
+    'GET /articles/me/unpublished': { body: [{ id: 4 }, { id: 6 }] }
+  });
+
+  try {
+    const publisher = new DevtoPublisher({ baseUrl: mock.url, apiKey: 'key', draft: true });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle());
+
+    const article = mock.requests.find(r => r.path === '/articles').body.article;
+    assert.strictEqual(article.published, false);
+    assert.match(article.body_markdown, /^\*Disclosure: drafted with AI assistance\.\*\n\n## The queue/);
+    assert.strictEqual(await publisher.verify(result), true);
+    assert.strictEqual(await publisher.verify({ id: 7 }), false);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('API errors are reported instead of thrown', async () => {
+  const mock = await startMockServer({
+    'POST /articles': { status: 422, body: { error: 'Tag list exceeds the maximum of 4 tags', status: 422 } }
+  });
+
+  try {
+    const publisher = new DevtoPublisher({ baseUrl: mock.url, apiKey: 'key' });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle());
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /^HTTP 422: .*maximum of 4 tags/);
+  } finally {
+    await mock.close();
+  }
+});
\ No newline at end of file
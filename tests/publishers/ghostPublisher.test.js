@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const GhostPublisher = require('../../src/publishers/ghostPublisher');
+const { startMockServer } = require('../helpers/mockServer');
+const { sampleArticle, sampleImage } = require('../helpers/articles');
+
+const SECRET = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+const ADMIN = '/ghost/api/admin';
+
+function ghostRoutes(status) {
+  return {
+    [`POST ${ADMIN}/images/upload/`]: { status: 201, body: { images: [{ url: 'https://blog.example.com/content/images/lead.jpg' }] } },
+    [`POST ${ADMIN}/posts/`]: request => ({
+      status: 201,
+      body: {
+        posts: [{
+          id: 'g1',
+          url: 'https://blog.example.com/sqlite-queue/',
+          status: request.body.posts[0].status,
+          tags: request.body.posts[0].tags.map(name => ({ name, slug: name.toLowerCase().replace(/ /g, '-') }))
+        }]
+      }
+    }),
+    [`GET ${ADMIN}/posts/g1/`]: { body: { posts: [{ id: 'g1', status }] } }
+  };
+}
+
+test('publishes HTML with a featured image under a signed admin token', async () => {
+  const mock = await startMockServer(ghostRoutes('published'));
+  const image = sampleImage();
+
+  try {
+    const publisher = new GhostPublisher({ url: `${mock.url}/`, adminApiKey: `key1:${SECRET}`, tags: ['Databases'] });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle(), image);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.url, 'https://blog.example.com/sqlite-queue/');
+    assert.deepStrictEqual(result.image, { url: 'https://blog.example.com/content/images/lead.jpg', caption: image.caption });
+
+    const create = mock.requests.find(r => r.path === `${ADMIN}/posts/`);
+    assert.strictEqual(create.query.source, 'html');
+    const post = create.body.posts[0];
+    assert.strictEqual(post.status, 'published');
+    assert.deepStrictEqual(post.tags, ['AI Assisted', 'Databases']);
+    assert.deepStrictEqual(result.tags, ['AI Assisted', 'Databases']);
+    assert.strictEqual(post.feature_image, 'https://blog.example.com/content/images/lead.jpg');
+    assert.match(post.feature_image_caption, /<a href="https:\/\/www\.pexels\.com\/@jane">Jane Doe<\/a>/);
+    assert.doesNotMatch(post.html, /<h1>/);
+
+    // Admin JWT: kid is the key id and the HS256 signature uses the hex-decoded secret
+    const [scheme, token] = create.headers.authorization.split(' ');
+    const [header, payload, signature] = token.split('.');
+    assert.strictEqual(scheme, 'Ghost');
+    assert.strictEqual(JSON.parse(Buffer.from(header, 'base64url')).kid, 'key1');
+    assert.strictEqual(JSON.parse(Buffer.from(payload, 'base64url')).aud, '/admin/');
+    const expected = crypto.createHmac('sha256', Buffer.from(SECRET, 'hex')).update(`${header}.${payload}`).digest('base64url');
+    assert.strictEqual(signature, expected);
+
+    assert.strictEqual(await publisher.verify(result), true);
+  } finally {
+    image.cleanup();
+    await mock.close();
+  }
+});
+
+test('draft mode creates and verifies a draft', async () => {
+  const mock = await startMockServer(ghostRoutes('draft'));
+
+  try {
+    const publisher = new GhostPublisher({ url: mock.url, adminApiKey: `key1:${SECRET}`, draft: true });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle());
+
+    assert.strictEqual(mock.requests.find(r => r.path === `${ADMIN}/posts/`).body.posts[0].status, 'draft');
+    assert.strictEqual(await publisher.verify(result), true);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('verification fails when the post is not in the expected status', async () => {
+  const mock = await startMockServer(ghostRoutes('draft'));
+
+  try {
+    const publisher = new GhostPublisher({ url: mock.url, adminApiKey: `key1:${SECRET}` });
+    await publisher.initialize();
+    assert.strictEqual(await publisher.verify({ id: 'g1' }), false);
+    assert.strictEqual(await publisher.verify({ id: 'missing' }), false);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('API errors are reported instead of thrown', async () => {
+  const mock = await startMockServer({
+    [`POST ${ADMIN}/posts/`]: { status: 422, body: { errors: [{ message: 'Validation error' }] } }
+  });
+
+  try {
+    const publisher = new GhostPublisher({ url: mock.url, adminApiKey: `key1:${SECRET}` });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle());
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /^HTTP 422: .*Validation error/);
+  } finally {
+    await mock.close();
+  }
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MediumApiPublisher = require('../../src/publishers/mediumApiPublisher');
+const { startMockServer } = require('../helpers/mockServer');
+const { sampleArticle, sampleImage } = require('../helpers/articles');
+
+test('publishes with the uploaded lead image, disclosure tag first and verifies the public post', async () => {
+  // Post URLs point back at the mock so the base verify() can fetch them
+  const mock = await startMockServer({
+    'GET /me': { body: { data: { id: 'u1', username: 'blogt' } } },
+    'POST /images': { body: { data: { url: 'https://cdn-images-1.medium.com/max/1024/lead.jpg' } } },
+    'POST /users/u1/posts': () => ({ status: 201, body: { data: { id: 'p1', url: `${mock.url}/p/p1` } } }),
+    'GET /p/p1': { body: '<html>post</html>' }
+  });
+  const image = sampleImage();
+
+  try {
+    const publisher = new MediumApiPublisher({ baseUrl: mock.url, token: 'secret', tags: ['rust', 'sqlite', 'queues'] });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle(), image);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.id, 'p1');
+    assert.deepStrictEqual(result.image, { url: 'https://cdn-images-1.medium.com/max/1024/lead.jpg', caption: image.caption });
+
+    const post = mock.requests.find(r => r.path === '/users/u1/posts');
+    assert.strictEqual(post.headers.authorization, 'Bearer secret');
+    assert.deepStrictEqual(post.body.tags, ['AI Assisted', 'rust', 'sqlite']);
+    assert.deepStrictEqual(result.tags, ['AI Assisted', 'rust', 'sqlite']);
+    assert.strictEqual(post.body.publishStatus, 'public');
+    assert.match(post.body.content, /^<h1>Why we moved our job queue to SQLite<\/h1>\n<figure><img src="https:\/\/cdn-images-1\.medium\.com/);
+    assert.match(mock.requests.find(r => r.path === '/images').body, /name="image"; filename="lead.jpg"/);
+
+    assert.strictEqual(await publisher.verify(result), true);
+    assert.ok(mock.requests.some(r => r.method === 'GET' && r.path === '/p/p1'));
+  } finally {
+    image.cleanup();
+    await mock.close();
+  }
+});
+
+test('a public post that cannot be fetched fails verification', async () => {
+  const mock = await startMockServer({ 'GET /me': { body: { data: { id: 'u1', username: 'blogt' } } } });
+  try {
+    const publisher = new MediumApiPublisher({ baseUrl: mock.url, token: 'secret' });
+    await publisher.initialize();
+    assert.strictEqual(await publisher.verify({ id: 'p1', url: `${mock.url}/p/missing` }), false);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('draft posts are verified from the created post without fetching the private URL', async () => {
+  const mock = await startMockServer({
+    'GET /me': { body: { data: { id: 'u1', username: 'blogt' } } },
+    'POST /users/u1/posts': request => ({
+      status: 201,
+      body: { data: { id: 'p2', url: 'https://medium.com/p/p2', publishStatus: request.body.publishStatus } }
+    })
+  });
+
+  try {
+    const publisher = new MediumApiPublisher({ baseUrl: mock.url, token: 'secret', draft: true });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle());
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(mock.requests.find(r => r.path === '/users/u1/posts').body.publishStatus, 'draft');
+    assert.strictEqual(await publisher.verify(result), true);
+    assert.strictEqual(await publisher.verify({ success: false }), false);
+    assert.strictEqual(mock.requests.filter(r => r.path.startsWith('/p/')).length, 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('API errors are reported with status and body instead of thrown', async () => {
+  const mock = await startMockServer({
+    'GET /me': { body: { data: { id: 'u1', username: 'blogt' } } },
+    'POST /users/u1/posts': { status: 401, body: { errors: [{ message: 'Token was invalid.' }] } }
+  });
+
+  try {
+    const publisher = new MediumApiPublisher({ baseUrl: mock.url, token: 'expired' });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle());
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /^HTTP 401: .*Token was invalid/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('initialize needs the integration token', async () => {
+  await assert.rejects(new MediumApiPublisher({ baseUrl: 'http://127.0.0.1:9' }).initialize(), /MEDIUM_INTEGRATION_TOKEN/);
+});
\ No newline at end of file
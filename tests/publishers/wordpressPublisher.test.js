@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WordPressPublisher = require('../../src/publishers/wordpressPublisher');
+const { startMockServer } = require('../helpers/mockServer');
+const { sampleArticle, sampleImage } = require('../helpers/articles');
+
+const API = '/wp-json/wp/v2';
+
+function wordpressRoutes(status) {
+  return {
+    [`GET ${API}/tags`]: request => ({
+      body: request.query.search === 'AI Assisted' ? [{ id: 7, name: 'ai assisted' }] : []
+    }),
+    [`POST ${API}/tags`]: { status: 201, body: { id: 12, name: 'Databases' } },
+    [`POST ${API}/media`]: { status: 201, body: { id: 30, source_url: 'https://blog.example.com/wp-content/uploads/lead.jpg' } },
+    [`POST ${API}/media/30`]: { body: { id: 30 } },
+    [`POST ${API}/posts`]: request => ({
+      status: 201,
+      body: { id: 99, link: 'https://blog.example.com/?p=99', status: request.body.status }
+    }),
+    [`GET ${API}/posts/99`]: { body: { id: 99, status } }
+  };
+}
+
+test('publishes with tag ids, a captioned featured image and basic auth', async () => {
+  const mock = await startMockServer(wordpressRoutes('publish'));
+  const image = sampleImage();
+
+  try {
+    const publisher = new WordPressPublisher({ url: mock.url, username: 'editor', appPassword: 'abcd efgh', tags: ['Databases'] });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle(), image);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.url, 'https://blog.example.com/?p=99');
+    assert.deepStrictEqual(result.image, { url: 'https://blog.example.com/wp-content/uploads/lead.jpg', caption: image.caption });
+
+    const post = mock.requests.find(r => r.method === 'POST' && r.path === `${API}/posts`);
+    assert.strictEqual(post.headers.authorization, `Basic ${Buffer.from('editor:abcd efgh').toString('base64')}`);
+    // The existing tag is matched case-insensitively, the missing one is created
+    assert.deepStrictEqual(post.body.tags, [7, 12]);
+    assert.deepStrictEqual(result.tags, ['AI Assisted', 'Databases']);
+    assert.strictEqual(post.body.featured_media, 30);
+    assert.strictEqual(post.body.status, 'publish');
+
+    const upload = mock.requests.find(r => r.path === `${API}/media`);
+    assert.strictEqual(upload.headers['content-disposition'], 'attachment; filename="lead.jpg"');
+    assert.strictEqual(upload.headers['content-type'], 'image/jpeg');
+    const meta = mock.requests.find(r => r.path === `${API}/media/30`);
+    assert.strictEqual(meta.body.alt_text, 'Server rack');
+    assert.match(meta.body.caption, /Jane Doe/);
+
+    assert.strictEqual(await publisher.verify(result), true);
+  } finally {
+    image.cleanup();
+    await mock.close();
+  }
+});
+
+test('draft mode creates and verifies a draft', async () => {
+  const mock = await startMockServer(wordpressRoutes('draft'));
+
+  try {
+    const publisher = new WordPressPublisher({ url: mock.url, username: 'editor', appPassword: 'pw', draft: true });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle());
+
+    assert.strictEqual(mock.requests.find(r => r.method === 'POST' && r.path === `${API}/posts`).body.status, 'draft');
+    assert.strictEqual(await publisher.verify(result), true);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('a post left in another status fails verification', async () => {
+  const mock = await startMockServer(wordpressRoutes('pending'));
+
+  try {
+    const publisher = new WordPressPublisher({ url: mock.url, username: 'editor', appPassword: 'pw' });
+    await publisher.initialize();
+    assert.strictEqual(await publisher.verify({ id: 99 }), false);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('API errors are reported instead of thrown', async () => {
+  const mock = await startMockServer({
+    [`GET ${API}/tags`]: { status: 401, body: { code: 'rest_not_logged_in', message: 'You are not currently logged in.' } }
+  });
+
+  try {
+    const publisher = new WordPressPublisher({ url: mock.url, username: 'editor', appPassword: 'wrong' });
+    await publisher.initialize();
+    const result = await publisher.publish(sampleArticle());
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /^HTTP 401: .*rest_not_logged_in/);
+  } finally {
+    await mock.close();
+  }
+});
\ No newline at end of file
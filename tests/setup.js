@@ -0,0 +1,2 @@
+// Loaded before every test file: keep the pipeline's logging out of the test report
+require('../src/utils/logger').silent = true;
\ No newline at end of file
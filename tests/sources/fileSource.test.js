@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const FileSource = require('../../src/sources/fileSource');
+const { parseCsv } = FileSource;
+const { ROOT_DIR } = require('../helpers/recordedFetch');
+
+const readFile = async filePath => fs.readFileSync(path.join(ROOT_DIR, filePath), 'utf8');
+
+test('reads editor topics from CSV with url and notes', async () => {
+  const [topic] = await new FileSource({ name: 'editor', path: 'fixtures/topics.csv' }, { readFile }).collect();
+
+  assert.strictEqual(topic.title, 'Feature flags without a vendor: a Postgres table is enough');
+  assert.strictEqual(topic.url, 'https://example.com/flags-in-postgres');
+  assert.strictEqual(topic.context, 'Editor pick; we ran this for two years, ask for the "kill switch" story');
+  assert.strictEqual(topic.provenance.type, 'FileSource');
+});
+
+test('reads plain text one topic per line, skipping comments and blanks', async () => {
+  const topics = await new FileSource({ name: 'editor', path: 'tests/fixtures/sources/topics.txt' }, { readFile }).collect();
+  assert.deepStrictEqual(topics.map(t => t.title), ['Feature flags without a vendor', 'Migrating cron jobs to a durable queue']);
+});
+
+test('CSV fields may hold commas, quotes and newlines', () => {
+  assert.deepStrictEqual(parseCsv('topic,notes\r\n"A, B","say ""hi""\nthen go"\n\n'), [['topic', 'notes'], ['A, B', 'say "hi"\nthen go']]);
+});
\ No newline at end of file
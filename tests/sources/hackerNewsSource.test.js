@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HackerNewsSource = require('../../src/sources/hackerNewsSource');
+const { recordedFetch } = require('../helpers/recordedFetch');
+
+const { API_URL } = HackerNewsSource;
+
+// The dry run's recorded front page plus saved items for the cases it does not cover
+function hackerNewsFetch(ids) {
+  const recordings = {
+    [`${API_URL}/topstories.json`]: 'fixtures/hacker-news/topstories.json',
+    [`${API_URL}/newstories.json`]: 'tests/fixtures/sources/hn-newstories.json',
+    [`${API_URL}/item/40000010.json`]: 'tests/fixtures/sources/hn-item-html.json',
+    [`${API_URL}/item/40000011.json`]: 'tests/fixtures/sources/hn-item-dead.json',
+    [`${API_URL}/item/40000012.json`]: 'tests/fixtures/sources/hn-item-comment.json'
+  };
+  for (const id of ids) {
+    recordings[`${API_URL}/item/${id}.json`] = `fixtures/hacker-news/item/${id}.json`;
+  }
+  return recordedFetch(recordings);
+}
+
+test('reads stories in list order, skipping excluded prefixes', async () => {
+  const { fetch } = hackerNewsFetch([40000001, 40000002, 40000003, 40000004, 40000005]);
+  const source = new HackerNewsSource({ name: 'hacker-news', excludePrefixes: ['Ask HN'] }, { fetch });
+
+  const topics = await source.collect();
+  assert.deepStrictEqual(topics.map(t => t.title), [
+    'Why we moved our job queue to SQLite',
+    "What's new in Postgres 17 for application developers",
+    'Cutting CI time in half with smarter dependency caching',
+    "Engineer arrested after wiping former employer's production database"
+  ]);
+  assert.strictEqual(topics[0].url, 'https://example.com/sqlite-in-production');
+});
+
+test('stops fetching items once the limit is reached', async () => {
+  const { fetch, requests } = hackerNewsFetch([40000001, 40000005]);
+  const topics = await new HackerNewsSource({ name: 'hacker-news', limit: 2 }, { fetch }).collect();
+
+  assert.deepStrictEqual(topics.map(t => t.url), ['https://example.com/sqlite-in-production', 'https://news.ycombinator.com/item?id=40000005']);
+  assert.strictEqual(requests.length, 3);
+});
+
+test('item text becomes plain text context, dead items and comments are skipped', async () => {
+  const { fetch } = hackerNewsFetch([]);
+  const topics = await new HackerNewsSource({ name: 'hacker-news', list: 'newstories' }, { fetch }).collect();
+
+  assert.strictEqual(topics.length, 1);
+  assert.strictEqual(topics[0].url, 'https://news.ycombinator.com/item?id=40000010');
+  assert.strictEqual(
+    topics[0].context,
+    "We're on Postgres 16 & use SELECT ... FOR UPDATE SKIP LOCKED. Does anyone run this at >1k jobs/s? Write-up: https://example.com/queue Thanks!"
+  );
+});
\ No newline at end of file
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RedditSource = require('../../src/sources/redditSource');
+const { recordedFetch } = require('../helpers/recordedFetch');
+
+const listingUrl = (subreddits, limit = 25) => `https://www.reddit.com/r/${subreddits}/top/.json?t=day&limit=${limit}`;
+
+test('reads the top listing, keeping reasonably long titles and falling back to the permalink', async () => {
+  const { fetch, requests } = recordedFetch({ [listingUrl('selfhosted+devops')]: 'fixtures/reddit-top.json' });
+  const topics = await new RedditSource({ name: 'reddit', subreddits: ['selfhosted', 'devops'] }, { fetch }).collect();
+
+  assert.deepStrictEqual(topics.map(t => t.title), [
+    'I automated my home lab backups with a 40 line shell script',
+    'Dave Miller from accounting keeps breaking our CI pipeline',
+    'Developers who switched from VS Code to Neovim, what made you stay?'
+  ]);
+  assert.strictEqual(topics[0].url, 'https://www.reddit.com/r/selfhosted/comments/abc123/i_automated_my_home_lab_backups_with_a_4/');
+  assert.match(requests[0].options.headers['User-Agent'], /Mozilla/);
+});
+
+test('drops stickied and NSFW posts and keeps self text as context', async () => {
+  const { fetch } = recordedFetch({ [listingUrl('programming', 10)]: 'tests/fixtures/sources/reddit-listing.json' });
+  const topics = await new RedditSource({ name: 'reddit', subreddits: ['programming'], limit: 10 }, { fetch }).collect();
+
+  assert.deepStrictEqual(topics.map(t => [t.title, t.context]), [
+    ['How we cut our Postgres bill in half with partitioning', null],
+    ['Is anyone running SQLite as their main production database?', 'Thinking about it for a small SaaS.']
+  ]);
+});
+
+test('without a subreddit list it reads the niche pillars\' subreddits', async () => {
+  const { fetch, requests } = recordedFetch({ [listingUrl('programming')]: 'tests/fixtures/sources/reddit-listing.json' });
+  const niche = { subreddits: () => ['programming'] };
+
+  assert.strictEqual((await new RedditSource({ name: 'reddit' }, { fetch, niche }).collect()).length, 2);
+  assert.strictEqual(requests.length, 1);
+  assert.deepStrictEqual(await new RedditSource({ name: 'reddit' }, { fetch }).collect(), []);
+});
\ No newline at end of file
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RssSource = require('../../src/sources/rssSource');
+const { recordedFetch } = require('../helpers/recordedFetch');
+
+const TRENDS_URL = 'https://trends.google.com/trending/rss?geo=US';
+const RUST_URL = 'https://blog.rust-lang.org/feed.xml';
+
+test('reads RSS items with their link and description', async () => {
+  const { fetch, requests } = recordedFetch({ [TRENDS_URL]: 'fixtures/google-trends.xml' });
+  const source = new RssSource({ name: 'google-trends', url: TRENDS_URL, weight: 0.9 }, { fetch });
+
+  const topics = await source.collect();
+
+  assert.deepStrictEqual(topics.map(t => t.title), ['Rust in the Linux kernel', 'Local LLM inference on laptops', 'Championship final score']);
+  assert.strictEqual(topics[0].url, 'https://trends.google.com/trends/explore?q=rust+in+the+linux+kernel');
+  assert.strictEqual(topics[0].context, 'Kernel maintainers debate Rust driver policy');
+  assert.strictEqual(topics[1].context, null);
+  assert.deepStrictEqual(requests[0].options, { responseType: 'text' });
+  assert.strictEqual(topics[0].provenance.source, 'google-trends');
+  assert.strictEqual(topics[0].provenance.weight, 0.9);
+});
+
+test('reads Atom entries with href links and HTML summaries as text', async () => {
+  const { fetch } = recordedFetch({ [RUST_URL]: 'fixtures/rust-blog.xml' });
+  const [topic] = await new RssSource({ name: 'rust-blog', url: RUST_URL }, { fetch }).collect();
+
+  assert.deepStrictEqual(
+    { title: topic.title, url: topic.url, context: topic.context },
+    {
+      title: 'Announcing Rust 1.92.0',
+      url: 'https://blog.rust-lang.org/2026/10/16/Rust-1.92.0.html',
+      context: 'The Rust team is happy to announce a new version of Rust, 1.92.0.'
+    }
+  );
+});
+
+test('a feed without a url yields no topics instead of failing discovery', async () => {
+  const { fetch, requests } = recordedFetch({});
+  assert.deepStrictEqual(await new RssSource({ name: 'broken' }, { fetch }).collect(), []);
+  assert.strictEqual(requests.length, 0);
+});
\ No newline at end of file
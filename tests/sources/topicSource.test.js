@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TopicSource = require('../../src/sources/topicSource');
+const { createSources } = require('../../src/sources');
+
+class StaticSource extends TopicSource {
+  async fetchTopics() {
+    return this.options.items;
+  }
+}
+
+test('collect trims titles, drops empty items, applies the limit and attaches provenance', async () => {
+  const source = new StaticSource({
+    name: 'static',
+    type: 'static',
+    weight: 1.2,
+    limit: 2,
+    items: [{ title: '  First  ', url: 'https://example.com/1' }, { title: '' }, null, { title: 'Second' }, { title: 'Third' }]
+  });
+
+  const topics = await source.collect();
+  assert.deepStrictEqual(topics.map(t => t.title), ['First', 'Second']);
+  assert.deepStrictEqual(
+    { ...topics[0].provenance, fetchedAt: undefined },
+    { source: 'static', type: 'static', url: 'https://example.com/1', fetchedAt: undefined, weight: 1.2 }
+  );
+});
+
+test('requests are spaced by minIntervalMs', async () => {
+  const times = [];
+  const source = new StaticSource({ minIntervalMs: 40 }, { fetch: async () => times.push(Date.now()) });
+
+  await source.request('https://example.com/a');
+  await source.request('https://example.com/b');
+  assert.ok(times[1] - times[0] >= 35, `requests ${times[1] - times[0]}ms apart`);
+});
+
+test('unknown and disabled source types', () => {
+  assert.throws(() => createSources([{ type: 'gopher' }]), /Unknown topic source type "gopher"/);
+  assert.deepStrictEqual(createSources([{ type: 'gopher', enabled: false }]), []);
+});
\ No newline at end of file
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteStateManager = require('../../src/state/sqliteStateManager');
+
+test('writes report whether they were saved', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+  const file = path.join(dir, 'state.db');
+  const run = new SqliteStateManager({ file, backups: 0 });
+  const other = new SqliteStateManager({ file, backups: 0 });
+  try {
+    assert.strictEqual(run.updateLastPublish('abc123'), true);
+    assert.strictEqual(other.isTopicProcessed('abc123'), true);
+
+    // While one run holds the lock every other writer is refused
+    run.lock();
+    assert.strictEqual(other.addTopicToHistory('def456'), false);
+    assert.strictEqual(other.recordDisclosure('def456', 'https://example.com/post', { appliedAt: new Date().toISOString(), placement: 'footer', tags: [] }), false);
+    assert.strictEqual(run.isTopicProcessed('def456'), false);
+    assert.strictEqual(run.addTopicToHistory('def456'), true);
+  } finally {
+    run.close();
+    other.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SCHEMA_VERSION, defaultState, migrate, validate } = require('../../src/state/stateSchema');
+const { fingerprint } = require('../../src/utils/similarity');
+
+test('v1 state becomes v3 with published_topics turned into article records', () => {
+  const { state, from } = migrate({
+    last_publish_date: '2026-09-01T08:00:00.000Z',
+    last_topic_hash: 'old',
+    topic_history: ['abc', 'old'],
+    published_topics: [{ hash: 'abc', text: 'Why we moved our job queue to SQLite', title: 'Why We Moved', url: 'https://medium.com/p/1' }],
+    score_cache: {},
+    consecutive_low_scores: 1
+  });
+
+  assert.strictEqual(from, 1);
+  assert.strictEqual(state.schema_version, SCHEMA_VERSION);
+  assert.strictEqual(state.published_topics, undefined);
+  assert.deepStrictEqual(validate(state), []);
+
+  const [known, bare] = state.published_articles;
+  assert.deepStrictEqual([known.title, known.url, known.topic.hash, known.migrated_from], ['Why We Moved', 'https://medium.com/p/1', 'abc', 1]);
+  assert.deepStrictEqual(known.topic.fingerprint, fingerprint('Why we moved our job queue to SQLite'));
+  // A hash v1 only kept in topic_history gets a bare record, dated if it was the last publish
+  assert.deepStrictEqual([bare.topic.hash, bare.topic.text, bare.published_at], ['old', null, '2026-09-01T08:00:00.000Z']);
+  assert.deepStrictEqual(state.scored_topics, []);
+  assert.strictEqual(state.consecutive_low_scores, 1);
+});
+
+test('v2 state becomes v3 with scored topics seeded from the backlog', () => {
+  const v2 = {
+    ...defaultState(),
+    schema_version: 2,
+    topic_backlog: [{
+      hash: 'h1',
+      topic: 'SQLite as a job queue',
+      source: 'hacker-news',
+      first_seen: '2026-10-01T00:00:00.000Z',
+      last_seen: '2026-10-03T00:00:00.000Z',
+      score_history: [{ at: '2026-10-01T00:00:00.000Z', score: 93 }, { at: '2026-10-03T00:00:00.000Z', score: 90 }]
+    }]
+  };
+  delete v2.scored_topics;
+
+  const { state, from } = migrate(v2);
+
+  assert.strictEqual(from, 2);
+  assert.strictEqual(state.schema_version, 3);
+  assert.deepStrictEqual(state.scored_topics, [{
+    hash: 'h1',
+    topic: 'SQLite as a job queue',
+    source: 'hacker-news',
+    pillar: null,
+    score: 90,
+    best_score: 93,
+    first_scored_at: '2026-10-01T00:00:00.000Z',
+    last_scored_at: '2026-10-03T00:00:00.000Z'
+  }]);
+  assert.deepStrictEqual(validate(state), []);
+});
+
+test('current state passes through and newer state is refused', () => {
+  const current = defaultState();
+  assert.deepStrictEqual(migrate(current), { state: current, from: SCHEMA_VERSION });
+  assert.throws(() => migrate({ schema_version: SCHEMA_VERSION + 1 }), /newer than this version supports/);
+});
+
+test('validate names every section with the wrong shape', () => {
+  assert.deepStrictEqual(validate(null), ['state is not a mapping']);
+  assert.deepStrictEqual(validate({
+    ...defaultState(),
+    topic_history: 'abc',
+    published_articles: [{ url: 'https://medium.com/p/1' }],
+    consecutive_low_scores: -1
+  }), [
+    'topic_history should be a list of topic hashes',
+    'published_articles should be a list of article records with a topic hash',
+    'consecutive_low_scores should be a non-negative integer'
+  ]);
+  // Hand-edited YAML may load an unquoted timestamp as a Date
+  assert.deepStrictEqual(validate({ ...defaultState(), last_publish_date: new Date() }), []);
+});
\ No newline at end of file
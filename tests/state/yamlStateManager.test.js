@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const yaml = require('js-yaml');
+const os = require('os');
+const path = require('path');
+const YamlStateManager = require('../../src/state/yamlStateManager');
+
+function tempState() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+  return { file: path.join(dir, 'state.yaml'), cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('writes report whether they reached the file', () => {
+  const { file, cleanup } = tempState();
+  try {
+    const state = new YamlStateManager({ file });
+    assert.strictEqual(state.updateLastPublish('abc123'), true);
+    assert.strictEqual(new YamlStateManager({ file }).isTopicProcessed('abc123'), true);
+
+    // A directory where the temp file should go makes every write fail
+    fs.mkdirSync(`${file}.${process.pid}.tmp`);
+    assert.strictEqual(state.recordDisclosure('abc123', 'https://example.com/post', { appliedAt: new Date().toISOString(), placement: 'footer', tags: [] }), false);
+    assert.strictEqual(new YamlStateManager({ file }).getPublishedArticles().length, 0);
+  } finally {
+    cleanup();
+  }
+});
+
+test('cached scores come back with the time they were given', () => {
+  const { file, cleanup } = tempState();
+  try {
+    const state = new YamlStateManager({ file });
+    state.cacheScores([{ hash: 'h1', fes2: { score: 9.1, status: 'ok' } }], 72);
+
+    const cached = state.getCachedScore('h1', 72);
+    assert.strictEqual(cached.score, 9.1);
+    assert.strictEqual(cached.scored_at, state.state.score_cache.h1.scored_at);
+  } finally {
+    cleanup();
+  }
+});
+
+test('older state is migrated in memory and only written with the first change', () => {
+  const { file, cleanup } = tempState();
+  try {
+    const v1 = 'topic_history: [abc]\npublished_topics:\n  - hash: abc\n    text: Why we moved our job queue to SQLite\n';
+    fs.writeFileSync(file, v1);
+
+    const state = new YamlStateManager({ file });
+    assert.strictEqual(state.getPublishedArticles()[0].topic.hash, 'abc');
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), v1);
+
+    assert.strictEqual(state.updateLastPublish('def'), true);
+    const written = yaml.load(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(written.schema_version, 3);
+    assert.strictEqual(written.published_topics, undefined);
+    assert.deepStrictEqual(written.published_articles.map(record => record.topic.hash), ['abc']);
+  } finally {
+    cleanup();
+  }
+});
\ No newline at end of file
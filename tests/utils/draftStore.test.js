@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DraftStore = require('../../src/utils/draftStore');
+const { review } = require('../../src/review');
+const { sampleArticle } = require('../helpers/articles');
+
+function tempStore() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'drafts-'));
+  const store = new DraftStore(path.join(root, 'drafts'));
+  return { root, store, cleanup: () => fs.rmSync(root, { recursive: true, force: true }) };
+}
+
+test('draft ids built by create() round-trip through load and approve', () => {
+  const { store, cleanup } = tempStore();
+  try {
+    const draft = store.create({ topic: { topic: 'Why we moved our job queue to SQLite', hash: 'h1', source: 'hacker-news' }, article: sampleArticle() });
+
+    assert.match(draft.id, /^\d{8}-\d{6}-why-we-moved-our-job-queue-to-sq-lite$/);
+    assert.strictEqual(store.load(draft.id).topic.hash, 'h1');
+    assert.strictEqual(store.approve(draft.id).status, 'approved');
+  } finally {
+    cleanup();
+  }
+});
+
+test('ids that could leave the drafts directory are refused before any file is touched', () => {
+  const { root, store, cleanup } = tempStore();
+  try {
+    // A draft-shaped file one level up must stay out of reach
+    fs.writeFileSync(path.join(root, 'outside.yaml'), 'id: outside\nstatus: pending\nreview: {}\nhistory: []\n');
+
+    for (const id of ['../outside', '20261019-120000-../../outside', '/etc/passwd', '20261019-120000-a/b', '', undefined]) {
+      assert.throws(() => store.load(id), /Invalid draft id/, String(id));
+    }
+    assert.throws(() => review(['approve', '../outside'], store), /Invalid draft id/);
+    assert.strictEqual(fs.readFileSync(path.join(root, 'outside.yaml'), 'utf8').includes('approved'), false);
+  } finally {
+    cleanup();
+  }
+});
+
+test('list skips files whose names are not draft ids', () => {
+  const { store, cleanup } = tempStore();
+  try {
+    const draft = store.create({ topic: { topic: 'Rust in the kernel', hash: 'h2', source: 'reddit' }, article: sampleArticle() });
+    fs.writeFileSync(path.join(store.draftsDir, 'notes.yaml'), 'scratch: true\n');
+
+    assert.deepStrictEqual(store.list().map(d => d.id), [draft.id]);
+  } finally {
+    cleanup();
+  }
+});
\ No newline at end of file
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FES2_WEIGHTS, computeScore, parseScoreResponse } = require('../../src/utils/fes2');
+
+test('the overall score is the weighted sum of the sub-scores, computed here', () => {
+  assert.strictEqual(computeScore({ engagement: 80, nicheRelevance: 90, timeliness: 70, originality: 55 }), 78.5);
+  assert.strictEqual(Math.round(Object.values(FES2_WEIGHTS).reduce((sum, weight) => sum + weight, 0) * 100), 100);
+});
+
+test('parses sub-scores under the key spellings models use, ignoring any score they compute', () => {
+  const result = parseScoreResponse(JSON.stringify({
+    engagementPotential: 80,
+    'Niche relevance': '90',
+    timeliness: 70,
+    original_angle: 55,
+    overall: 12,
+    reasoning: 'Concrete production story'
+  }));
+
+  assert.deepStrictEqual(result, {
+    score: 78.5,
+    breakdown: { engagement: 80, nicheRelevance: 90, timeliness: 70, originality: 55 },
+    weights: FES2_WEIGHTS,
+    reasoning: 'Concrete production story'
+  });
+});
+
+test('a reply wrapped in prose and a code fence still parses', () => {
+  const reply = 'Here is my assessment:\n```json\n{"engagement": 60, "niche_relevance": 60, "timeliness": 60, "originality": 60}\n```';
+  assert.strictEqual(parseScoreResponse(reply).score, 60);
+  assert.strictEqual(parseScoreResponse(reply).reasoning, null);
+});
+
+test('missing and out-of-range sub-scores are errors, not zeros', () => {
+  assert.throws(() => parseScoreResponse('{"engagement": 80, "timeliness": 70, "originality": 50}'), /Missing FES2 sub-scores: nicheRelevance/);
+  assert.throws(() => parseScoreResponse('{"engagement": 180, "niche": 70, "timeliness": 70, "originality": 50}'), /Sub-score "engagement" is not a number between 0 and 100/);
+  assert.throws(() => parseScoreResponse('{"engagement": "high", "niche": 70, "timeliness": 70, "originality": 50}'), /not a number/);
+});
\ No newline at end of file
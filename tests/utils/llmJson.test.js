@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractJson, repairJson, parseJsonLoosely } = require('../../src/utils/llmJson');
+
+test('takes the JSON out of a code fence or surrounding prose', () => {
+  assert.deepStrictEqual(parseJsonLoosely('Sure!\n```json\n{"score": 80}\n```\nAnything else?'), { score: 80 });
+  assert.deepStrictEqual(parseJsonLoosely('Scores: [{"id": 1}, {"id": 2}] as requested'), [{ id: 1 }, { id: 2 }]);
+  assert.strictEqual(extractJson('{"text": "a } inside", "n": 1} trailing'), '{"text": "a } inside", "n": 1}');
+  assert.throws(() => parseJsonLoosely('I cannot score this topic.'), /No JSON object found/);
+});
+
+test('drops trailing commas', () => {
+  assert.deepStrictEqual(parseJsonLoosely('{"scores": [{"id": 1, "engagement": 80,},],}'), { scores: [{ id: 1, engagement: 80 }] });
+});
+
+test('quotes bare keys, including keys with spaces', () => {
+  assert.deepStrictEqual(parseJsonLoosely('{engagement: 80, Niche relevance: 70, reasoning: "ok"}'), { engagement: 80, 'Niche relevance': 70, reasoning: 'ok' });
+});
+
+test('reads single-quoted, Python-style objects', () => {
+  assert.deepStrictEqual(parseJsonLoosely("{'topic': 'Rust in the kernel', 'reasoning': 'it\\'s \"hot\"'}"), { topic: 'Rust in the kernel', reasoning: 'it\'s "hot"' });
+});
+
+test('string values are never rewritten', () => {
+  // Broken only by the bare key, so the repair path runs over the reasoning string
+  const reply = '{engagement: 80, "reasoning": "note: x, then {y: 1,} and, ] done", "quote": "don’t"}';
+  assert.deepStrictEqual(parseJsonLoosely(reply), { engagement: 80, reasoning: 'note: x, then {y: 1,} and, ] done', quote: "don't" });
+  assert.strictEqual(repairJson('{"a": "b: c", d: 1,}'), '{"a": "b: c", "d": 1}');
+});
\ No newline at end of file
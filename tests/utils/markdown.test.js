@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBlocks, summarizeBlocks, compareStructure, insertAfterTitle, toHtml } = require('../../src/utils/markdown');
+
+const ARTICLE = [
+  '# Why we moved our job queue to SQLite',
+  '',
+  'Jobs now live in [one table](https://example.com/schema).',
+  '',
+  '## What changed',
+  '',
+  '- Enqueue in the same transaction',
+  '- Claim with `UPDATE ... RETURNING`',
+  '',
+  '```sql',
+  'PRAGMA journal_mode = WAL;',
+  '```',
+  '',
+  '> Lost jobs went away.',
+  '',
+  '---'
+].join('\n');
+
+test('parses Markdown into typed blocks, optionally without the title', () => {
+  const blocks = parseBlocks(ARTICLE, { stripTitle: true });
+
+  assert.deepStrictEqual(blocks.map(block => block.type), ['paragraph', 'heading', 'list', 'code', 'quote', 'divider']);
+  assert.deepStrictEqual(blocks[0].links, ['https://example.com/schema']);
+  assert.deepStrictEqual(blocks[2].items, ['Enqueue in the same transaction', 'Claim with `UPDATE ... RETURNING`']);
+  assert.strictEqual(blocks[3].lang, 'sql');
+  assert.strictEqual(blocks[1].html, '<h2>What changed</h2>');
+  assert.strictEqual(parseBlocks(ARTICLE)[0].depth, 1);
+  assert.ok(!toHtml(ARTICLE, { stripTitle: true }).includes('<h1>'));
+});
+
+test('summarizes what an editor must reproduce', () => {
+  assert.deepStrictEqual(summarizeBlocks(parseBlocks(ARTICLE, { stripTitle: true })), {
+    headings: 1,
+    paragraphs: 1,
+    listItems: 2,
+    codeBlocks: 1,
+    quotes: 1,
+    links: ['https://example.com/schema']
+  });
+});
+
+test('compareStructure names every difference except paragraph counts', () => {
+  const expected = summarizeBlocks(parseBlocks(ARTICLE, { stripTitle: true }));
+
+  assert.deepStrictEqual(compareStructure(expected, { ...expected, paragraphs: 4 }), []);
+  assert.deepStrictEqual(compareStructure(expected, { ...expected, links: ['https://example.com/schema', 'https://example.com/extra'] }), []);
+  assert.deepStrictEqual(
+    compareStructure(expected, { ...expected, headings: 0, listItems: 1, codeBlocks: 0, quotes: 2, links: [] }),
+    [
+      'headings: expected 1, found 0',
+      'listItems: expected 2, found 1',
+      'codeBlocks: expected 1, found 0',
+      'quotes: expected 1, found 2',
+      'links missing: https://example.com/schema'
+    ]
+  );
+});
+
+test('insertAfterTitle keeps the H1 first', () => {
+  assert.strictEqual(insertAfterTitle('# Title\n\nBody', '*Note*'), '# Title\n\n*Note*\n\nBody');
+  assert.strictEqual(insertAfterTitle('Body', '*Note*'), '*Note*\n\nBody');
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Niche = require('../../src/utils/niche');
+const { termPattern } = require('../../src/utils/niche');
+
+const niche = new Niche({
+  name: 'Backend Notes',
+  audience: 'backend engineers',
+  angle: 'practical trade-offs',
+  pillars: [
+    { name: 'Databases', keywords: ['postgres', 'sqlite', 'index', 'query planner'], subreddits: ['PostgreSQL', 'Database'] },
+    { name: 'Queues', keywords: ['queue', 'sqlite', 'backpressure'], subreddits: ['Database', 'ExperiencedDevs'], angle: 'failure modes first' }
+  ],
+  blockedTerms: ['crypto', 'giveaway']
+});
+
+test('terms match whole words and simple plurals, case-insensitively', () => {
+  assert.ok(termPattern('index').test('Rebuilding Indexes without downtime'));
+  assert.ok(termPattern('queue').test('Three queues are better than one'));
+  assert.ok(termPattern('node.js').test('Backpressure in Node.js streams'));
+  assert.ok(!termPattern('node.js').test('Nodexjs is not a runtime'));
+  assert.ok(!termPattern('index').test('Indexing strategies'));
+  assert.ok(!termPattern('sql').test('Why SQLite is enough'));
+});
+
+test('the pillar with the most matching keywords wins', () => {
+  assert.deepStrictEqual(niche.matchPillar('Using SQLite as a job queue under backpressure'), { name: 'Queues', keywords: ['queue', 'sqlite', 'backpressure'] });
+  assert.deepStrictEqual(niche.matchPillar('What the Postgres query planner does with an index'), { name: 'Databases', keywords: ['postgres', 'index', 'query planner'] });
+  assert.strictEqual(niche.matchPillar('A weekend with a new keyboard'), null);
+});
+
+test('blocked terms report which term matched', () => {
+  assert.strictEqual(niche.blockedTerm('Crypto wallets for SQLite fans'), 'crypto');
+  assert.strictEqual(niche.blockedTerm('Cryptography basics for backend engineers'), null);
+});
+
+test('subreddits are collected across pillars without duplicates', () => {
+  assert.deepStrictEqual(niche.subreddits(), ['PostgreSQL', 'Database', 'ExperiencedDevs']);
+});
+
+test('describe and angleFor summarise the niche for prompts', () => {
+  assert.strictEqual(
+    niche.describe(),
+    'the publication "Backend Notes" for backend engineers. Content pillars: Databases (postgres, sqlite, index, query planner); Queues (queue, sqlite, backpressure)'
+  );
+  assert.strictEqual(niche.angleFor('Queues'), 'failure modes first');
+  assert.strictEqual(niche.angleFor('Databases'), 'practical trade-offs');
+  assert.strictEqual(niche.angleFor(null), 'practical trade-offs');
+});
+
+test('load reads a niche file and refuses a missing one', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'niche-'));
+  try {
+    const file = path.join(dir, 'niche.yaml');
+    fs.writeFileSync(file, 'name: Backend Notes\naudience: backend engineers\npillars:\n  - name: Databases\n    keywords: [postgres]\n');
+    const loaded = Niche.load(file);
+    assert.strictEqual(loaded.name, 'Backend Notes');
+    assert.strictEqual(loaded.requireKeywordMatch, true);
+    assert.throws(() => Niche.load(path.join(dir, 'missing.yaml')), /Niche configuration not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
\ No newline at end of file
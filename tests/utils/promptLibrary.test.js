@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PromptLibrary = require('../../src/utils/promptLibrary');
+
+const niche = { name: 'Backend Notes' };
+
+// A prompts directory with the given files, paths relative to it
+function promptsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  for (const [file, text] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  }
+  return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+const GREETING = '---\nversion: 2\ndescription: Greets a reader\nvariables: [name, topic]\n---\nHello {{name}}, today: {{ topic }}.\n';
+
+test('the committed templates load and declare every placeholder they use', () => {
+  const library = PromptLibrary.load();
+  assert.ok(library.get('outline').version >= 1);
+  assert.strictEqual(library.niche, null);
+});
+
+test('render fills placeholders and refuses missing variables', () => {
+  const { dir, cleanup } = promptsDir({ 'greeting.md': GREETING });
+  try {
+    const library = PromptLibrary.load(null, dir);
+
+    assert.strictEqual(library.render('greeting', { name: 'Ada', topic: 0 }), 'Hello Ada, today: 0.');
+    assert.throws(() => library.render('greeting', { name: 'Ada', topic: null }), /Prompt template "greeting" v2 is missing variables: topic/);
+    assert.throws(() => library.render('farewell'), /Unknown prompt template "farewell". Expected one of: greeting/);
+  } finally {
+    cleanup();
+  }
+});
+
+test('templates with undeclared placeholders or without a version are rejected at load', () => {
+  const undeclared = promptsDir({ 'greeting.md': '---\nversion: 1\nvariables: [name]\n---\nHello {{name}} from {{place}}.\n' });
+  const unversioned = promptsDir({ 'greeting.md': '---\ndescription: No version\n---\nHello.\n' });
+  const bare = promptsDir({ 'greeting.md': 'Hello {{name}}.\n' });
+  try {
+    assert.throws(() => PromptLibrary.load(null, undeclared.dir), /uses undeclared variables: place/);
+    assert.throws(() => PromptLibrary.load(null, unversioned.dir), /Prompt template "greeting" needs a positive integer version, got undefined/);
+    assert.throws(() => PromptLibrary.load(null, bare.dir), /has no front matter/);
+  } finally {
+    undeclared.cleanup();
+    unversioned.cleanup();
+    bare.cleanup();
+  }
+});
+
+test('a niche override replaces the base template and is recorded by describe', () => {
+  const { dir, cleanup } = promptsDir({
+    'greeting.md': GREETING,
+    'niches/backend-notes/greeting.md': '---\nversion: 5\n---\nHey {{name}}.\n'
+  });
+  try {
+    const library = PromptLibrary.load(niche, dir);
+
+    assert.strictEqual(library.niche, 'backend-notes');
+    // An override may leave out variables; callers still pass the base template's set
+    assert.strictEqual(library.render('greeting', { name: 'Ada', topic: 'queues' }), 'Hey Ada.');
+    assert.deepStrictEqual(library.describe('greeting'), { name: 'greeting', version: 5, niche: 'backend-notes' });
+    assert.deepStrictEqual(PromptLibrary.load({ name: 'Other' }, dir).describe('greeting'), { name: 'greeting', version: 2, niche: null });
+  } finally {
+    cleanup();
+  }
+});
+
+test('overrides may not add variables or templates the base set lacks', () => {
+  const extraVariable = promptsDir({
+    'greeting.md': GREETING,
+    'niches/backend-notes/greeting.md': '---\nversion: 1\nvariables: [name, mood]\n---\nHey {{name}}, {{mood}}.\n'
+  });
+  const extraTemplate = promptsDir({
+    'greeting.md': GREETING,
+    'niches/backend-notes/farewell.md': '---\nversion: 1\n---\nBye.\n'
+  });
+  try {
+    assert.throws(() => PromptLibrary.load(niche, extraVariable.dir), /uses undeclared variables: mood/);
+    assert.throws(() => PromptLibrary.load(niche, extraTemplate.dir), /has no base template "farewell"/);
+  } finally {
+    extraVariable.cleanup();
+    extraTemplate.cleanup();
+  }
+});
\ No newline at end of file
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { countText, readingEase, gradeLevel } = require('../../src/utils/readability');
+
+test('counts sentences, words and syllables', () => {
+  assert.deepStrictEqual(countText('The cat sat. It ran away!'), { sentence: 2, word: 6, syllable: 7 });
+  // Decimals and version numbers do not end a sentence
+  assert.strictEqual(countText('Node 20.11 is out. Upgrade now.').sentence, 2);
+  // Text without closing punctuation is one sentence
+  assert.strictEqual(countText('no full stop here').sentence, 1);
+});
+
+test('short plain sentences read easier than long technical ones', () => {
+  const plain = countText('The job runs. Then it stops. We check the log.');
+  const dense = countText('Asynchronous serialization necessitates considerable infrastructural orchestration across heterogeneous deployments.');
+
+  assert.ok(readingEase(plain) > 90);
+  assert.ok(readingEase(dense) < 0);
+  assert.ok(gradeLevel(dense) > gradeLevel(plain));
+});
+
+test('empty text has no score', () => {
+  assert.strictEqual(readingEase(countText('')), null);
+});
\ No newline at end of file
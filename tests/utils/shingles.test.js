@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, shingleSet, compareShingles } = require('../../src/utils/shingles');
+
+test('tokens are lowercased for matching and keep their spelling for reports', () => {
+  assert.deepStrictEqual(tokenize('Don’t block the Event-Loop, 2x!'), [
+    { norm: "don't", word: 'Don’t' },
+    { norm: 'block', word: 'block' },
+    { norm: 'the', word: 'the' },
+    { norm: 'event', word: 'Event' },
+    { norm: 'loop', word: 'Loop' },
+    { norm: '2x', word: '2x' }
+  ]);
+});
+
+test('shingles are consecutive word windows of the given size', () => {
+  assert.deepStrictEqual([...shingleSet(tokenize('one two three four'), 3)], ['one two three', 'two three four']);
+  assert.strictEqual(shingleSet(tokenize('one two'), 3).size, 0);
+});
+
+test('overlap is the share of article shingles found in the reference', () => {
+  const article = tokenize('alpha beta gamma delta epsilon zeta');
+  const result = compareShingles(article, tokenize('xx alpha beta gamma delta yy'), 3);
+
+  // 4 article shingles, 2 of them ("alpha beta gamma", "beta gamma delta") shared
+  assert.strictEqual(result.total, 4);
+  assert.strictEqual(result.shared, 2);
+  assert.strictEqual(result.overlap, 50);
+  assert.deepStrictEqual(result.spans, [{ words: 4, text: 'alpha beta gamma delta' }]);
+});
+
+test('copied spans are reported longest first and cut at forty words', () => {
+  const long = Array.from({ length: 50 }, (_, i) => `w${i}`).join(' ');
+  const article = tokenize(`One Two Three Four filler ${long}`);
+  const result = compareShingles(article, tokenize(`one two three four ${long}`), 3);
+
+  assert.strictEqual(result.spans.length, 2);
+  assert.strictEqual(result.spans[0].words, 50);
+  assert.ok(result.spans[0].text.endsWith('w39 …'));
+  assert.deepStrictEqual(result.spans[1], { words: 4, text: 'One Two Three Four' });
+});
+
+test('an article shorter than one shingle has no overlap', () => {
+  assert.deepStrictEqual(compareShingles(tokenize('too short'), tokenize('too short'), 3), { overlap: 0, shared: 0, total: 0, spans: [] });
+});
\ No newline at end of file
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeTopic, fingerprint, jaccard, findMostSimilar } = require('../../src/utils/similarity');
+const TopicDiscovery = require('../../src/modules/topicDiscovery');
+const Niche = require('../../src/utils/niche');
+
+test('normalizing drops stopwords, punctuation and accents and stems word forms', () => {
+  assert.strictEqual(normalizeTopic('Why we MOVED our job queues to SQLite!'), 'mov job queu sqlit');
+  assert.strictEqual(normalizeTopic('Moving the job queue to SQLite'), 'mov job queu sqlit');
+  assert.strictEqual(normalizeTopic('Café libraries'), 'caf library');
+});
+
+test('fingerprints are sorted sets, so word order and repetition do not matter', () => {
+  assert.deepStrictEqual(fingerprint('SQLite job queue, queue jobs in SQLite'), ['job', 'queu', 'sqlit']);
+  assert.deepStrictEqual(fingerprint('Job queue in SQLite'), fingerprint('SQLite in a job queue'));
+});
+
+test('jaccard similarity of fingerprints', () => {
+  assert.strictEqual(jaccard(['a', 'b'], ['a', 'b']), 1);
+  assert.strictEqual(jaccard(['a', 'b', 'c'], ['a', 'd']), 0.25);
+  assert.strictEqual(jaccard([], []), 0);
+});
+
+test('findMostSimilar picks the closest history entry', () => {
+  const history = [
+    { text: 'Postgres 17 for application developers', fingerprint: fingerprint('Postgres 17 for application developers') },
+    { text: 'Why we moved our job queue to SQLite', fingerprint: fingerprint('Why we moved our job queue to SQLite') }
+  ];
+
+  const best = findMostSimilar(fingerprint('Moving job queues to SQLite: a year later'), history);
+  assert.strictEqual(best.entry.text, 'Why we moved our job queue to SQLite');
+  assert.ok(best.similarity >= 0.5, `similarity ${best.similarity}`);
+  assert.strictEqual(findMostSimilar(['anything'], []), null);
+});
+
+test('discovery rejects rewordings of published topics and merges near-duplicate candidates', () => {
+  const discovery = new TopicDiscovery({}, { dedup: { similarityThreshold: 0.5 } }, new Niche({ name: 'Test', pillars: [], sources: [] }));
+  const item = (title, source, weight = 1) => ({ title, url: `https://example.com/${source}`, provenance: { source, weight } });
+  const history = [{ text: 'Why we moved our job queue to SQLite', title: 'Why we moved our job queue to SQLite', url: 'https://example.com/post', fingerprint: fingerprint('Why we moved our job queue to SQLite') }];
+
+  const accepted = discovery.deduplicateTopics([
+    item('Moving our job queues to SQLite', 'hn'),
+    item('Cutting CI time in half with dependency caching', 'hn'),
+    item('Cut CI time in half with smarter dependency caching', 'reddit', 1.4),
+    item('Postgres 17 for application developers', 'rss')
+  ], history);
+
+  assert.deepStrictEqual(accepted.map(topic => topic.topic), ['Cutting CI time in half with dependency caching', 'Postgres 17 for application developers']);
+  assert.deepStrictEqual(accepted[0].provenance.map(p => p.source), ['hn', 'reddit']);
+  assert.strictEqual(accepted[0].weight, 1.4);
+  assert.match(accepted[0].hash, /^[0-9a-f]{64}$/);
+});
\ No newline at end of file